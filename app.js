@@ -0,0 +1,137 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+require('dotenv').config();
+
+// Import routes
+const teamRoutes = require('./routes/teams');
+const userRoutes = require('./routes/users');
+const linkRoutes = require('./routes/links');
+const dashboardRoutes = require('./routes/dashboard');
+const authRoutes = require('./routes/auth');
+const nudgeRoutes = require('./routes/nudges');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
+
+// Import middleware
+const loggerMiddleware = require('./middleware/logger');
+const requestIdMiddleware = require('./middleware/requestId');
+const metricsMiddleware = require('./middleware/metrics');
+const { errorHandler, notFoundHandler } = require('./middleware/errors');
+const { readinessGate } = require('./services/lifecycle');
+const { apiRateLimit, authRateLimit } = require('./middleware/rateLimit');
+// const googleAuthMiddleware = require('./middleware/googleAuth');
+
+const ALLOWED_ORIGINS = [
+  'https://tethernow.netlify.app',
+  'http://localhost:3000',
+  'http://localhost:5173' // Add if using Vitezz
+];
+
+// Build the Express app without connecting to MongoDB or listening, so
+// tests can mount it on their own server (e.g. with supertest)
+function createApp() {
+  const app = express();
+
+  // Proxy hops to trust for the client IP (1 behind Fly's proxy); without
+  // it every request appears to come from the proxy
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+  }
+
+  // Security middleware
+  app.use(helmet());
+  // app.use(cors({
+  //   origin: true,
+  //   credentials: true
+  // }));
+
+  // FIXED CORS Configuration
+  app.use(cors({
+    origin: ALLOWED_ORIGINS,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-Requested-With',
+      'Accept',
+      'Origin'
+    ],
+    // Let the frontend read rate-limit state and request ids
+    exposedHeaders: [
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'RateLimit-Policy',
+      'Retry-After',
+      'X-Request-Id'
+    ],
+    optionsSuccessStatus: 200
+  }));
+
+  // Request id comes first so every response (including body parsing and
+  // rate-limit errors) can be traced
+  app.use(requestIdMiddleware);
+
+  // Health checks and metrics scrapes: not rate limited, logged or counted.
+  // With METRICS_PORT set, metrics are served only by createMetricsApp().
+  app.use('/health', healthRoutes);
+  if (!process.env.METRICS_PORT) {
+    app.use('/metrics', metricsRoutes);
+  }
+
+  app.use(loggerMiddleware);
+  app.use(metricsMiddleware);
+
+  // 503 until startup completes; close connections while draining
+  app.use(readinessGate);
+
+  // Rate limiting, per user (per IP when anonymous); see middleware/rateLimit.js
+  app.use('/api', apiRateLimit());
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // API routes
+  app.use('/api/teams', teamRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/links', linkRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+  app.use('/api/auth', authRateLimit(), authRoutes);
+  app.use('/api/nudges', nudgeRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/search', searchRoutes);
+
+  // 404 handler
+  app.use(notFoundHandler);
+
+  // Error handling middleware
+  app.use(errorHandler);
+
+  return app;
+}
+
+// Metrics-only app for the METRICS_PORT listener. That port is reachable on
+// the private network only, so scrapes need no token.
+function createMetricsApp() {
+  const app = express();
+  app.locals.internalMetrics = true;
+
+  app.use(requestIdMiddleware);
+  app.use('/metrics', metricsRoutes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  createMetricsApp,
+  ALLOWED_ORIGINS
+};
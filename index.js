@@ -1,106 +1,18 @@
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+const { createApp, createMetricsApp, ALLOWED_ORIGINS } = require('./app');
+const lifecycle = require('./services/lifecycle');
 
-// Import routes
-const teamRoutes = require('./routes/teams');
-const userRoutes = require('./routes/users');
-const linkRoutes = require('./routes/links');
-const dashboardRoutes = require('./routes/dashboard');
-const authRoutes = require('./routes/auth');
-
-// Import middleware
-const loggerMiddleware = require('./middleware/logger');
-// const googleAuthMiddleware = require('./middleware/googleAuth');
-
-const app = express();
 const PORT = process.env.PORT || 5000;
+const METRICS_PORT = process.env.METRICS_PORT;
 
-// Security middleware
-app.use(helmet());
-// app.use(cors({
-//   origin: true,
-//   credentials: true
-// }));
-
-// FIXED CORS Configuration
-app.use(cors({
-  origin: [
-    'https://tethernow.netlify.app',
-    'http://localhost:3000',
-    'http://localhost:5173' // Add if using Vitezz
-  ],
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: [
-    'Content-Type', 
-    'Authorization', 
-    'X-Requested-With', 
-    'Accept',
-    'Origin'
-  ],
-  optionsSuccessStatus: 200
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Custom middleware
-app.use(loggerMiddleware);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    message: 'Tether API is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// API routes
-app.use('/api/teams', teamRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/links', linkRoutes);
-app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/auth', authRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+const app = createApp();
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('✅ Connected to MongoDB');
-    app.listen(PORT, () => {
-      console.log(`🚀 Tether API server running on port ${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    });
-  })
-  .catch((error) => {
-    console.error('❌ MongoDB connection error:', error);
-    process.exit(1);
+// Connect, listen and handle SIGTERM/SIGINT (skipped when required by tests)
+if (require.main === module) {
+  lifecycle.start(app, {
+    port: PORT,
+    origins: ALLOWED_ORIGINS,
+    metrics: METRICS_PORT ? { app: createMetricsApp(), port: METRICS_PORT } : null
   });
+}
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,9 @@
+const { evaluateAllBadges } = require('../services/badgeService');
+
+module.exports = [
+  {
+    name: 'badges:evaluateAll',
+    schedule: '0 3 * * *',
+    run: () => evaluateAllBadges()
+  }
+];
@@ -0,0 +1,19 @@
+const { registerJob } = require('../services/scheduler');
+const nudgeJobs = require('./nudges');
+const metricsJobs = require('./metrics');
+const badgeJobs = require('./badges');
+const recurrenceJobs = require('./recurrence');
+const teamJobs = require('./teams');
+
+// Register every cron job with the scheduler (called once at startup)
+function registerJobs() {
+  [
+    ...nudgeJobs,
+    ...metricsJobs,
+    ...badgeJobs,
+    ...recurrenceJobs,
+    ...teamJobs
+  ].forEach(registerJob);
+}
+
+module.exports = registerJobs;
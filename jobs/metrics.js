@@ -0,0 +1,15 @@
+const { refreshAllResponseStats } = require('../services/activityService');
+const { markOverdueOutcomes } = require('../services/outcomeService');
+
+module.exports = [
+  {
+    name: 'metrics:refreshResponseStats',
+    schedule: '45 * * * *',
+    run: () => refreshAllResponseStats()
+  },
+  {
+    name: 'metrics:markOverdueOutcomes',
+    schedule: '50 * * * *',
+    run: () => markOverdueOutcomes()
+  }
+];
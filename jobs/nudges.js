@@ -0,0 +1,23 @@
+const {
+  remindUpcomingLinks,
+  followUpUnresponsive,
+  escalateOverdueFollowUps
+} = require('../services/nudgeService');
+
+module.exports = [
+  {
+    name: 'nudges:remindUpcoming',
+    schedule: '*/5 * * * *',
+    run: () => remindUpcomingLinks()
+  },
+  {
+    name: 'nudges:followUpUnresponsive',
+    schedule: '15 * * * *',
+    run: () => followUpUnresponsive()
+  },
+  {
+    name: 'nudges:escalateOverdue',
+    schedule: '30 * * * *',
+    run: () => escalateOverdueFollowUps()
+  }
+];
@@ -0,0 +1,9 @@
+const { materializeAllSeries } = require('../services/recurrenceService');
+
+module.exports = [
+  {
+    name: 'links:materializeRecurring',
+    schedule: '5 * * * *',
+    run: () => materializeAllSeries()
+  }
+];
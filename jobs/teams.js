@@ -0,0 +1,21 @@
+const { expireInvitations } = require('../services/invitationService');
+const { purgeExpiredArchives } = require('../services/teamService');
+const { reconcileMemberships } = require('../services/membershipService');
+
+module.exports = [
+  {
+    name: 'teams:expireInvitations',
+    schedule: '20 * * * *',
+    run: () => expireInvitations()
+  },
+  {
+    name: 'teams:purgeExpiredArchives',
+    schedule: '30 4 * * *',
+    run: () => purgeExpiredArchives()
+  },
+  {
+    name: 'teams:reconcileMemberships',
+    schedule: '10 3 * * *',
+    run: () => reconcileMemberships()
+  }
+];
@@ -1,38 +1,48 @@
-// Placeholder for authentication middleware. Clerk logic removed.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
+const { authorize, requireRole, requireTeamMembership } = require('./permissions');
+const { bindUser } = require('./logger');
+const { UnauthorizedError } = require('./errors');
 
-// Add your own authentication logic here if needed. 
+// Authenticate requests carrying a signed access token issued by /api/auth.
+// On success req.user is the User document and req.auth the token payload.
+async function authMiddleware(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next(new UnauthorizedError('No access token provided', { code: 'TOKEN_MISSING' }));
+  }
+
+  const token = authHeader.slice('Bearer '.length).trim();
 
-// module.exports = function (req, res, next) {
-//   console.log('Auth middleware running. Header:', req.headers.authorization);
-//   const authHeader = req.headers.authorization;
-//   if (authHeader && authHeader.startsWith('Bearer testuser-')) {
-//     // Extract username from token
-//     const username = authHeader.replace('Bearer testuser-', '');
-//     req.user = { email: `${username}@test.com`, firstName: username, role: 'PM' };
-//     return next();
-//   }
-//   // If not a test user, block access (or add other auth logic here)
-//   return res.status(401).json({ error: 'Unauthorized' });
-// }; 
+  let payload;
+  try {
+    payload = await verifyAccessToken(token);
+    if (!mongoose.isValidObjectId(payload.sub)) {
+      throw new Error('Invalid token subject');
+    }
+  } catch (err) {
+    return next(err.name === 'TokenExpiredError'
+      ? new UnauthorizedError('Access token expired', { code: 'TOKEN_EXPIRED' })
+      : new UnauthorizedError('Invalid access token', { code: 'TOKEN_INVALID' }));
+  }
 
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return next(new UnauthorizedError('User for this token no longer exists', { code: 'TOKEN_INVALID' }));
+    }
 
-module.exports = function (req, res, next) {
-  console.log('Auth middleware running. Header:', req.headers.authorization);
-  const authHeader = req.headers.authorization;
-  
-  if (authHeader && authHeader.startsWith('Bearer testuser-')) {
-    // Extract username from token for test users
-    const username = authHeader.replace('Bearer testuser-', '');
-    req.user = { 
-      email: `${username}@test.com`, 
-      firstName: username, 
-      name: `Test User ${username.slice(-1)}`,
-      role: 'PM',
-      username: username
-    };
-    return next();
+    req.user = user;
+    req.auth = payload;
+    bindUser(req, user);
+    next();
+  } catch (error) {
+    next(error);
   }
-  
-  // Block access for non-test users
-  return res.status(401).json({ error: 'Unauthorized' });
-};
\ No newline at end of file
+}
+
+module.exports = authMiddleware;
+module.exports.authorize = authorize;
+module.exports.requireRole = requireRole;
+module.exports.requireTeamMembership = requireTeamMembership;
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const logger = require('../services/logger');
+
+// Application errors carry the HTTP status, a machine-readable code and the
+// short label used as `error` in the response envelope:
+//   { error, code, message, details?, requestId }
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', label = 'Internal server error', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.label = label;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, { label = 'Validation error', code = 'VALIDATION_ERROR', details } = {}) {
+    super(message, { status: 400, code, label, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', { label = 'Unauthorized', code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status: 401, code, label });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', { label = 'Access denied', code = 'FORBIDDEN' } = {}) {
+    super(message, { status: 403, code, label });
+  }
+}
+
+class NotFoundError extends AppError {
+  // new NotFoundError('Team') -> "Team not found" / "The requested team does not exist"
+  constructor(resource = 'Resource', { message, code = 'NOT_FOUND' } = {}) {
+    super(message || `The requested ${resource.toLowerCase()} does not exist`, {
+      status: 404,
+      code,
+      label: `${resource} not found`
+    });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { label = 'Conflict', code = 'CONFLICT', status = 409 } = {}) {
+    super(message, { status, code, label });
+  }
+}
+
+// Wrap an async route handler so rejections reach the error handler
+function asyncHandler(handler) {
+  return function asyncRouteHandler(req, res, next) {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// Translate library errors into AppErrors
+function normalizeError(err) {
+  if (err instanceof AppError) return err;
+
+  if (err.isJoi) {
+    return new ValidationError(err.details[0].message, {
+      details: err.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(fieldError => ({ path: fieldError.path, message: fieldError.message }));
+    return new ValidationError(details.map(detail => detail.message).join('; '), { details });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return err.kind === 'ObjectId'
+      ? new ValidationError(`"${err.value}" is not a valid id`, { label: 'Invalid id', code: 'INVALID_ID', details: [{ path: err.path }] })
+      : new ValidationError(`Invalid value for ${err.path}`, { details: [{ path: err.path }] });
+  }
+  if (err instanceof mongoose.Error.DocumentNotFoundError) {
+    return new NotFoundError('Document');
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return new ConflictError('The resource was modified by another request; retry with fresh data', { code: 'STALE_WRITE' });
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(`A record with this ${fields.join(', ') || 'value'} already exists`, {
+      label: 'Duplicate',
+      code: 'DUPLICATE'
+    });
+  }
+  if (err.name === 'InvalidTransitionError') {
+    return new ValidationError(err.message, { label: 'Invalid status transition', code: 'INVALID_TRANSITION' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { label: 'Invalid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE', label: 'Payload too large' });
+  }
+  return null;
+}
+
+// Central error handler; unknown errors are logged with their stack and
+// reported as a generic 500 (details only outside production)
+function errorHandler(err, req, res, next) {
+  const log = req.log || logger;
+  const appError = normalizeError(err);
+
+  if (!appError) {
+    log.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
+  } else if (appError.status >= 500) {
+    log.warn('Request failed', { code: appError.code, message: appError.message });
+  } else {
+    log.debug('Request failed', { code: appError.code, message: appError.message });
+  }
+
+  if (res.headersSent) return next(err);
+
+  res.locals.errorCode = appError ? appError.code : 'INTERNAL_ERROR';
+
+  if (!appError) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      message: process.env.NODE_ENV === 'production' ? 'Something went wrong' : err.message
+    });
+  }
+
+  res.status(appError.status).json({
+    error: appError.label,
+    code: appError.code,
+    message: appError.message,
+    ...(appError.details && { details: appError.details })
+  });
+}
+
+// Fallback for unmatched routes
+function notFoundHandler(req, res) {
+  res.locals.errorCode = 'ROUTE_NOT_FOUND';
+  res.status(404).json({
+    error: 'Route not found',
+    code: 'ROUTE_NOT_FOUND',
+    message: `${req.method} ${req.originalUrl.split('?')[0]} does not exist`
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+};
@@ -1,33 +1,74 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { bindUser } = require('./logger');
+const { AppError, UnauthorizedError } = require('./errors');
+const tokenService = require('../services/tokenService');
+const { recordAudit } = require('../services/auditService');
 
 const JWT_SECRET = process.env.NEXTAUTH_SECRET;
 
+// An unverified account may have been registered by someone who does not own
+// the address. The Google user does, so the unproven password is discarded
+// (and any session it opened revoked) rather than linked to their sign-in.
+async function claimUnverifiedAccount(req, user) {
+  const hadPassword = Boolean(user.passwordHash);
+  if (hadPassword) {
+    user.passwordHash = null;
+    user.passwordReset = { tokenHash: null, expiresAt: null };
+    await tokenService.revokeAllForUser(user._id, 'ACCOUNT_CLAIMED');
+  }
+  user.markEmailVerified();
+  await user.save();
+  recordAudit(req, {
+    action: 'auth.google.link',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email },
+    metadata: { passwordDiscarded: hadPassword }
+  });
+}
+
+// Verifies a NextAuth (Google) session JWT and resolves the matching User.
+// Only used by POST /api/auth/exchange to mint Tether tokens.
 async function jwtAuthMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+    return next(new UnauthorizedError('No token provided', { code: 'TOKEN_MISSING' }));
+  }
+  if (!JWT_SECRET) {
+    return next(new AppError('Google sign-in is not configured', { status: 503, code: 'GOOGLE_AUTH_UNAVAILABLE', label: 'Service unavailable' }));
   }
   const token = authHeader.split(' ')[1];
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return next(new UnauthorizedError(err.message, { label: 'Invalid or expired token', code: 'TOKEN_INVALID' }));
+  }
+  if (!payload.email) {
+    return next(new UnauthorizedError('Token has no email claim', { label: 'Invalid or expired token', code: 'TOKEN_INVALID' }));
+  }
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    // Find or create user in DB
-    let user = await User.findOne({ email: payload.email });
+    // Find or create user in DB. Google has verified the address, so the
+    // account is marked verified either way.
+    let user = await User.findOne({ email: payload.email }).select('+passwordHash');
     if (!user) {
       user = await User.create({
         email: payload.email,
-        firstName: payload.name?.split(' ')[0] || '',
-        lastName: payload.name?.split(' ')[1] || '',
+        name: payload.name || payload.email.split('@')[0],
         avatar: payload.picture || null,
-        role: 'PM',
+        department: 'PM',
         onboarded: false,
+        emailVerifiedAt: new Date()
       });
+    } else if (!user.emailVerifiedAt) {
+      await claimUnverifiedAccount(req, user);
     }
     req.user = user;
+    bindUser(req, user);
     next();
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token', details: err.message });
+    next(err);
   }
 }
 
-module.exports = jwtAuthMiddleware; 
\ No newline at end of file
+module.exports = jwtAuthMiddleware;
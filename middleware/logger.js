@@ -1,49 +1,37 @@
+const logger = require('../services/logger');
+
+// Per-request logging. req.log carries the request id (and the user id once
+// authentication has run); one summary line is written when the response
+// finishes, at warn for 4xx and error for 5xx.
 const loggerMiddleware = (req, res, next) => {
-  const start = Date.now();
-  const { method, url, ip } = req;
-  
-  // Log request start
-  console.log(`📥 ${method} ${url} - ${ip} - ${new Date().toISOString()}`);
-  
-  // Add user info if available
-  if (req.user) {
-    console.log(`👤 User: ${req.user.fullName} (${req.user.role})`);
-  }
-  
-  // Override res.end to log response
-  const originalEnd = res.end;
-  res.end = function(chunk, encoding) {
-    const duration = Date.now() - start;
+  const start = process.hrtime.bigint();
+  req.log = logger.child({ requestId: req.id });
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
     const status = res.statusCode;
-    
-    // Color code based on status
-    let statusColor = '🟢'; // Success
-    if (status >= 400 && status < 500) {
-      statusColor = '🟡'; // Client error
-    } else if (status >= 500) {
-      statusColor = '🔴'; // Server error
-    }
-    
-    console.log(`${statusColor} ${method} ${url} - ${status} - ${duration}ms`);
-    
-    // Log errors
-    if (status >= 400) {
-      console.error(`❌ Error ${status}: ${url}`);
-      if (chunk) {
-        try {
-          const errorBody = JSON.parse(chunk.toString());
-          console.error(`   Message: ${errorBody.message || errorBody.error || 'Unknown error'}`);
-        } catch (e) {
-          console.error(`   Body: ${chunk.toString()}`);
-        }
-      }
-    }
-    
-    // Call original end method
-    originalEnd.call(this, chunk, encoding);
-  };
-  
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    req.log[level]('request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      status,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip,
+      userId: req.user ? req.user._id : undefined,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
   next();
 };
 
-module.exports = loggerMiddleware; 
\ No newline at end of file
+// Bind the authenticated user to the request logger
+function bindUser(req, user) {
+  if (req.log) {
+    req.log = req.log.child({ userId: user._id.toString() });
+  }
+}
+
+module.exports = loggerMiddleware;
+module.exports.bindUser = bindUser;
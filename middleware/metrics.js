@@ -0,0 +1,43 @@
+const { httpRequestsTotal, httpRequestDuration, httpErrorsTotal } = require('../services/metrics');
+
+function segments(path) {
+  return path.split('/').filter(Boolean);
+}
+
+// Route template for the request (e.g. /api/teams/:teamId), so label
+// cardinality stays bounded. When an error unwinds the router, req.baseUrl
+// has been reset, so the mount path is recovered from the original URL.
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  const routePath = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+
+  let base = req.baseUrl;
+  if (!base) {
+    const urlSegments = segments(req.originalUrl.split('?')[0]);
+    base = '/' + urlSegments.slice(0, Math.max(urlSegments.length - segments(routePath).length, 0)).join('/');
+  }
+
+  const full = `${base}${routePath}`.replace(/\/{2,}/g, '/');
+  return full.length > 1 ? full.replace(/\/$/, '') : full;
+}
+
+// Record request counts, latency and errors once the response finishes
+const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    const status = res.statusCode;
+
+    endTimer({ method: req.method, route });
+    httpRequestsTotal.inc({ method: req.method, route, status });
+    if (status >= 400) {
+      httpErrorsTotal.inc({ method: req.method, route, status, code: res.locals.errorCode || 'UNKNOWN' });
+    }
+  });
+
+  next();
+};
+
+module.exports = metricsMiddleware;
+module.exports.routeLabel = routeLabel;
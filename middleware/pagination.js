@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+// Shared list-query layer: parses `limit`, `cursor`, `sort` and whitelisted
+// filters into req.listQuery, then pages results with keyset (cursor)
+// pagination on the sort field plus _id.
+//
+// A list spec looks like:
+//   {
+//     sortFields: { scheduledAt: 'scheduledAt', score: 'stats.reputationScore' },
+//     defaultSort: '-createdAt',
+//     filters: {
+//       status: { type: 'in', field: 'status', values: [...] },
+//       tags: { type: 'all', field: 'tags' },
+//       scheduled: { type: 'dateRange', field: 'scheduledAt' }, // scheduledFrom / scheduledTo
+//       teamId: { type: 'objectId', field: 'team' }
+//     },
+//     defaultLimit: 20,
+//     maxLimit: 100
+//   }
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function listQueryError(message) {
+  return new ValidationError(message, { code: 'INVALID_LIST_QUERY' });
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseDate(value, param) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw listQueryError(`"${param}" must be a valid date`);
+  }
+  return date;
+}
+
+// Read a (possibly nested) path from a document or plain object
+function valueAt(doc, path) {
+  if (doc && typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function sortKey({ name, direction }) {
+  return `${direction === -1 ? '-' : ''}${name}`;
+}
+
+function encodeCursor(doc, sort, offset) {
+  const value = valueAt(doc, sort.field);
+  const payload = {
+    s: sortKey(sort),
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    d: value instanceof Date,
+    id: doc._id.toString(),
+    n: offset
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+// The sort value stored in a cursor. Cursors come back from the client, so
+// anything encodeCursor() could not have produced is refused: an object
+// here would otherwise become a query operator in afterCursor().
+function cursorValue(payload) {
+  const { v: value, d: isDate } = payload;
+  if (isDate === true) {
+    if (typeof value !== 'string' || !ISO_DATE.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new Error('bad cursor date');
+    }
+    return new Date(value);
+  }
+  if (isDate !== undefined && isDate !== false) throw new Error('bad cursor flag');
+  if (value === null || typeof value === 'string') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  throw new Error('bad cursor value');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('bad cursor');
+    if (typeof payload.s !== 'string' || typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id)) {
+      throw new Error('bad cursor');
+    }
+    const offset = payload.n === undefined ? 0 : payload.n;
+    if (!Number.isSafeInteger(offset) || offset < 0) throw new Error('bad cursor offset');
+    return {
+      sort: payload.s,
+      value: cursorValue(payload),
+      id: new mongoose.Types.ObjectId(payload.id),
+      offset
+    };
+  } catch (error) {
+    throw listQueryError('"cursor" is invalid');
+  }
+}
+
+// Condition selecting documents after the cursor in (field, _id) order.
+// MongoDB sorts null/missing values first ascending and last descending.
+function afterCursor({ field, direction }, { value, id }) {
+  const idAfter = direction === 1 ? { $gt: id } : { $lt: id };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: idAfter };
+  }
+
+  const branches = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, _id: idAfter }
+  ];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
+
+function buildFilter(spec, query) {
+  const filter = {};
+  Object.entries(spec.filters || {}).forEach(([name, definition]) => {
+    const field = definition.field || name;
+
+    if (definition.type === 'dateRange') {
+      const from = query[`${name}From`];
+      const to = query[`${name}To`];
+      if (from === undefined && to === undefined) return;
+      filter[field] = {};
+      if (from !== undefined) filter[field].$gte = parseDate(from, `${name}From`);
+      if (to !== undefined) filter[field].$lte = parseDate(to, `${name}To`);
+      return;
+    }
+
+    const raw = query[name];
+    if (raw === undefined || raw === '') return;
+
+    if (definition.type === 'in') {
+      const values = splitList(raw);
+      const invalid = values.filter(value => !definition.values.includes(value));
+      if (invalid.length > 0) {
+        throw listQueryError(`"${name}" must be one of ${definition.values.join(', ')}`);
+      }
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    } else if (definition.type === 'all') {
+      filter[field] = { $all: splitList(raw) };
+    } else if (definition.type === 'objectId') {
+      if (!mongoose.isValidObjectId(raw)) {
+        throw listQueryError(`"${name}" must be a valid id`);
+      }
+      filter[field] = new mongoose.Types.ObjectId(String(raw));
+    } else if (definition.type === 'boolean') {
+      filter[field] = raw === 'true' || raw === true;
+    }
+  });
+  return filter;
+}
+
+function buildSort(spec, rawSort) {
+  const requested = rawSort || spec.defaultSort;
+  const direction = requested.startsWith('-') ? -1 : 1;
+  const name = requested.replace(/^[-+]/, '');
+  const field = spec.sortFields[name];
+  if (!field) {
+    throw listQueryError(`"sort" must be one of ${Object.keys(spec.sortFields).join(', ')} (prefix with - for descending)`);
+  }
+  return { name, field, direction };
+}
+
+// Parse a request's query string against a list spec
+function parseListQuery(spec, query) {
+  const maxLimit = spec.maxLimit || MAX_LIMIT;
+  const limit = query.limit === undefined ? (spec.defaultLimit || DEFAULT_LIMIT) : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw listQueryError(`"limit" must be between 1 and ${maxLimit}`);
+  }
+
+  const sort = buildSort(spec, query.sort);
+  const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+  // A cursor only makes sense for the ordering that produced it
+  if (cursor && cursor.sort !== sortKey(sort)) {
+    throw listQueryError('"cursor" does not match the requested sort');
+  }
+
+  return {
+    limit,
+    sort,
+    cursor,
+    filter: buildFilter(spec, query)
+  };
+}
+
+// Middleware: validate list parameters and expose them as req.listQuery
+function listQuery(spec) {
+  return function listQueryMiddleware(req, res, next) {
+    try {
+      req.listQuery = parseListQuery(spec, req.query);
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
+}
+
+// $match condition for the cursor (empty when on the first page)
+function cursorCondition(listQueryState) {
+  return listQueryState.cursor ? afterCursor(listQueryState.sort, listQueryState.cursor) : {};
+}
+
+// Sort document including the _id tie-breaker
+function sortSpec({ sort }) {
+  return { [sort.field]: sort.direction, _id: sort.direction };
+}
+
+// Turn limit + 1 fetched documents into a page
+function toPage(docs, listQueryState) {
+  const { limit, sort, cursor } = listQueryState;
+  const offset = cursor ? cursor.offset : 0;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    offset,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort, offset + items.length) : null
+  };
+}
+
+// Run a Mongoose find query one page at a time
+async function paginate(query, listQueryState) {
+  // The next cursor is read from the last document, so an inclusive
+  // projection must carry the sort field
+  const projection = query.projection();
+  if (projection && Object.values(projection).some(value => value === 1 || value === true)) {
+    query.select(listQueryState.sort.field);
+  }
+  if (listQueryState.cursor) query.and([cursorCondition(listQueryState)]);
+  const docs = await query
+    .sort(sortSpec(listQueryState))
+    .limit(listQueryState.limit + 1);
+  return toPage(docs, listQueryState);
+}
+
+// Aggregation variant: pipeline stages to append after the route's own
+// stages, then pass the results to toPage()
+function paginationStages(listQueryState) {
+  return [
+    { $match: cursorCondition(listQueryState) },
+    { $sort: sortSpec(listQueryState) },
+    { $limit: listQueryState.limit + 1 }
+  ];
+}
+
+// Response fields shared by every paged list
+function pageMeta(page) {
+  return {
+    count: page.items.length,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  };
+}
+
+module.exports = {
+  listQuery,
+  parseListQuery,
+  paginate,
+  paginationStages,
+  toPage,
+  pageMeta
+};
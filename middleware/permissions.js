@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+const ANY_MEMBER = '*';
+
+// Per-route policy table. A caller is allowed when ANY of these match:
+//   departments - User.department (org-wide roles such as CXO)
+//   teamRoles   - active Team.members[].role on the resolved team
+//   linkRoles   - Link.participants[].role on the resolved link
+// `scope` says which resource to resolve: 'team' (teamId from params, body
+// or query), 'link' (params.linkId, plus its team) or none. `whenUnscoped`
+// decides requests that carry no teamId: 'ALLOW' lets them through,
+// { departments } lets those departments through, anything else falls back
+// to the department check.
+// `visibility` grants extra access by the resolved team's
+// settings.visibility: { anyone: true } admits every signed-in user and
+// { departments } admits those departments. Teams without an entry (PRIVATE)
+// are limited to the roles above.
+// `teamStatuses` lists the team statuses the action is allowed in; archived
+// teams are read-only and PAUSED/COMPLETED teams take no new work.
+const CXO_UNLESS_PRIVATE = { PUBLIC: { departments: ['CXO'] }, RESTRICTED: { departments: ['CXO'] } };
+const TEAM_READ_VISIBILITY = { PUBLIC: { anyone: true }, RESTRICTED: { departments: ['CXO'] } };
+const WRITABLE = ['ACTIVE', 'PAUSED', 'COMPLETED'];
+const ACCEPTING_WORK = ['ACTIVE'];
+
+const POLICIES = {
+  'team:read': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: TEAM_READ_VISIBILITY },
+  'team:readLinks': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: CXO_UNLESS_PRIVATE },
+  'team:update': { scope: 'team', teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'team:lifecycle': { scope: 'team', teamRoles: ['OWNER'] },
+  'team:manageRoles': { scope: 'team', teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'team:transferOwnership': { scope: 'team', teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'team:member': { scope: 'team', teamRoles: [ANY_MEMBER] },
+  'team:delete': { scope: 'team', teamRoles: ['OWNER'] },
+  'team:addMember': { scope: 'team', teamRoles: ['OWNER', 'PM'], teamStatuses: WRITABLE },
+  'team:removeMember': { scope: 'team', teamRoles: ['OWNER', 'PM'], teamStatuses: WRITABLE },
+  'team:invite': { scope: 'team', teamRoles: [ANY_MEMBER], teamStatuses: WRITABLE },
+  'team:manageInvitations': { scope: 'team', teamRoles: ['OWNER', 'PM'], teamStatuses: WRITABLE },
+  'team:manageJoinRequests': { scope: 'team', teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'team:audit': { scope: 'team', teamRoles: ['OWNER'] },
+
+  'link:create': { scope: 'team', teamRoles: [ANY_MEMBER], teamStatuses: ACCEPTING_WORK },
+  'link:list': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: CXO_UNLESS_PRIVATE, whenUnscoped: 'ALLOW' },
+  'link:read': { scope: 'link', linkRoles: [ANY_MEMBER], teamRoles: ['OWNER'], visibility: CXO_UNLESS_PRIVATE },
+  'link:update': { scope: 'link', linkRoles: ['INITIATOR', 'PARTICIPANT'], teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'link:run': { scope: 'link', linkRoles: ['INITIATOR', 'PARTICIPANT'], teamStatuses: WRITABLE },
+  'link:addOutcome': { scope: 'link', linkRoles: ['INITIATOR', 'PARTICIPANT'], teamStatuses: WRITABLE },
+  'link:updateOutcome': { scope: 'link', linkRoles: ['INITIATOR', 'PARTICIPANT'], teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'link:deleteOutcome': { scope: 'link', linkRoles: ['INITIATOR'], teamRoles: ['OWNER'], teamStatuses: WRITABLE },
+  'link:delete': { scope: 'link', linkRoles: ['INITIATOR'], teamRoles: ['OWNER', 'PM'], teamStatuses: WRITABLE },
+
+  'nudge:send': { scope: 'team', teamRoles: [ANY_MEMBER], teamStatuses: ACCEPTING_WORK },
+
+  'user:leaderboard': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: CXO_UNLESS_PRIVATE, whenUnscoped: 'ALLOW' },
+  'user:search': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: TEAM_READ_VISIBILITY, whenUnscoped: 'ALLOW' },
+
+  'dashboard:team': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: CXO_UNLESS_PRIVATE },
+  'dashboard:analytics': { scope: 'team', teamRoles: [ANY_MEMBER], visibility: CXO_UNLESS_PRIVATE, whenUnscoped: { departments: ['CXO'] } },
+  'dashboard:cxo': { departments: ['CXO'] },
+
+  'admin:memberships': { departments: ['CXO'] }
+};
+
+function roleMatches(allowed, role) {
+  return Boolean(allowed && role && (allowed.includes(ANY_MEMBER) || allowed.includes(role)));
+}
+
+function findActiveMembership(team, userId) {
+  if (!team) return null;
+  return team.members.find(member =>
+    member.isActive && member.userId.toString() === userId.toString()
+  ) || null;
+}
+
+function findParticipant(link, userId) {
+  if (!link) return null;
+  return link.participants.find(p =>
+    (p.userId._id || p.userId).toString() === userId.toString()
+  ) || null;
+}
+
+function resolveTeamId(req) {
+  return req.params.teamId || (req.body && req.body.teamId) || req.query.teamId || null;
+}
+
+// Access granted by the team's visibility setting alone
+function visibilityAllows(policy, team, user) {
+  if (!policy.visibility || !team) return false;
+  const rule = policy.visibility[team.settings.visibility];
+  if (!rule) return false;
+  return Boolean(rule.anyone) || roleMatches(rule.departments, user.department);
+}
+
+// Evaluate a policy against an already-resolved context
+function isAllowed(policy, { user, team, membership, participant }) {
+  if (roleMatches(policy.departments, user.department)) return true;
+  if (membership && roleMatches(policy.teamRoles, membership.role)) return true;
+  if (participant && roleMatches(policy.linkRoles, participant.role)) return true;
+  if (visibilityAllows(policy, team, user)) return true;
+  return false;
+}
+
+// Build middleware enforcing a named policy (or an inline policy object).
+// Resolved resources are attached as req.team, req.link and req.membership.
+function authorize(action) {
+  const policy = typeof action === 'string' ? POLICIES[action] : action;
+  if (!policy) {
+    throw new Error(`Unknown permission policy: ${action}`);
+  }
+
+  return async function authorizeMiddleware(req, res, next) {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+
+    try {
+      const context = { user: req.user, team: null, membership: null, participant: null };
+
+      if (policy.scope === 'link') {
+        const { linkId } = req.params;
+        const link = mongoose.isValidObjectId(linkId) ? await Link.findById(linkId) : null;
+        if (!link) throw new NotFoundError('Link');
+        const team = await Team.findById(link.team);
+
+        context.participant = findParticipant(link, req.user._id);
+        context.membership = findActiveMembership(team, req.user._id);
+        context.team = team;
+        req.link = link;
+        req.team = team;
+      } else if (policy.scope === 'team') {
+        const teamId = resolveTeamId(req);
+        if (!teamId) {
+          if (policy.whenUnscoped === 'ALLOW') return next();
+          if (policy.whenUnscoped && roleMatches(policy.whenUnscoped.departments, req.user.department)) return next();
+        } else {
+          const team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+          if (!team) throw new NotFoundError('Team');
+
+          context.membership = findActiveMembership(team, req.user._id);
+          context.team = team;
+          req.team = team;
+        }
+      }
+
+      req.membership = context.membership;
+
+      if (!isAllowed(policy, context)) {
+        throw new ForbiddenError();
+      }
+
+      if (policy.teamStatuses && context.team && !policy.teamStatuses.includes(context.team.status)) {
+        throw new ConflictError(context.team.status === 'ARCHIVED'
+          ? 'This team is archived and read-only'
+          : `This team is ${context.team.status.toLowerCase()} and not accepting new work`,
+        { label: 'Team not writable', code: 'TEAM_NOT_WRITABLE' });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Run a policy outside an Express request (socket events, jobs). Resolves
+// with the resolved resources, or rejects with the error authorize() would
+// have passed to next().
+function checkPermission(action, user, params = {}) {
+  const req = { user, params, body: {}, query: {} };
+  return new Promise((resolve, reject) => {
+    authorize(action)(req, null, error => {
+      if (error) return reject(error);
+      resolve({ team: req.team || null, link: req.link || null, membership: req.membership || null });
+    });
+  });
+}
+
+// Shorthand: caller's User.department must be one of `departments`
+function requireRole(...departments) {
+  return authorize({ departments });
+}
+
+// Shorthand: caller must be an active member of the team in the request,
+// optionally with one of the given team roles
+function requireTeamMembership(...teamRoles) {
+  return authorize({ scope: 'team', teamRoles: teamRoles.length ? teamRoles : [ANY_MEMBER] });
+}
+
+module.exports = {
+  POLICIES,
+  ANY_MEMBER,
+  authorize,
+  checkPermission,
+  isAllowed,
+  visibilityAllows,
+  findActiveMembership,
+  requireRole,
+  requireTeamMembership
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { verifyAccessToken } = require('../services/tokenService');
+const MongoRateLimitStore = require('../services/rateLimitStore');
+const logger = require('../services/logger');
+const { AppError } = require('./errors');
+
+// Rate limit buckets. Each bucket has its own counters and a fixed window.
+//   api       - /api requests outside /api/auth: per user when the access
+//               token is valid, per IP otherwise (anonymousLimit)
+//   authIp    - /api/auth/* except /refresh: per client (user or IP),
+//               whatever the account
+//   auth      - /api/auth/*: per targeted account, whatever the client
+//   aiSummary - AI summaries generated on meeting completion, per user
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const RATE_LIMITS = {
+  api: {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+    limit: envInt('RATE_LIMIT_MAX_REQUESTS', 1000),
+    anonymousLimit: envInt('RATE_LIMIT_ANON_MAX_REQUESTS', 100)
+  },
+  authIp: {
+    windowMs: envInt('RATE_LIMIT_AUTH_WINDOW_MS', 15 * 60 * 1000),
+    limit: envInt('RATE_LIMIT_AUTH_IP_MAX_REQUESTS', 50)
+  },
+  auth: {
+    windowMs: envInt('RATE_LIMIT_AUTH_WINDOW_MS', 15 * 60 * 1000),
+    limit: envInt('RATE_LIMIT_AUTH_MAX_REQUESTS', 10)
+  },
+  aiSummary: {
+    windowMs: envInt('RATE_LIMIT_AI_WINDOW_MS', 60 * 60 * 1000),
+    limit: envInt('RATE_LIMIT_AI_MAX_REQUESTS', 20)
+  }
+};
+
+// Counter stores, selected with RATE_LIMIT_STORE. `memory` counts per
+// instance; `mongo` is shared by all instances. Register other backends
+// (e.g. Redis) with registerRateLimitStore before the app is built.
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: bucket => new MongoRateLimitStore({ prefix: `${bucket}:` })
+};
+
+function registerRateLimitStore(type, factory) {
+  STORES[type] = factory;
+}
+
+function createStore(bucket) {
+  const type = process.env.RATE_LIMIT_STORE || 'memory';
+  const factory = STORES[type];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${type}`);
+  }
+  return factory(bucket);
+}
+
+// Rate limit identity: the user of a valid access token, else the client IP.
+// Authentication has not run yet at this point, so the token is verified
+// here (signature only, no database lookup).
+async function clientIdentity(req) {
+  if (req.rateLimitIdentity) return req.rateLimitIdentity;
+
+  let identity = `ip:${req.ip}`;
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const payload = await verifyAccessToken(authHeader.slice('Bearer '.length).trim());
+      identity = `user:${payload.sub}`;
+    } catch (error) {
+      // Invalid or expired tokens are limited by IP
+    }
+  }
+
+  req.rateLimitIdentity = identity;
+  return identity;
+}
+
+function hashCredential(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// The account an auth request targets: the normalized email, else the
+// username, else a hash of the token presented. Null when there is none.
+function authAccount(req) {
+  const body = req.body || {};
+  if (typeof body.email === 'string') {
+    return `email:${body.email.trim().toLowerCase()}`;
+  }
+  if (typeof body.username === 'string') {
+    return `username:${body.username.trim().toLowerCase()}`;
+  }
+  const credential = body.refreshToken || body.token || req.get('Authorization');
+  return typeof credential === 'string' ? `credential:${hashCredential(credential)}` : null;
+}
+
+function rateLimitHandler(message) {
+  return (req, res, next) => next(new AppError(message, {
+    status: 429,
+    code: 'RATE_LIMITED',
+    label: 'Too many requests'
+  }));
+}
+
+// Shared options: draft-6 RateLimit-Limit/-Remaining/-Reset/-Policy headers
+// (plus Retry-After when limited), and requests are let through when the
+// store is unavailable rather than failing them
+function limiter(bucket, options) {
+  return rateLimit({
+    windowMs: RATE_LIMITS[bucket].windowMs,
+    limit: RATE_LIMITS[bucket].limit,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    passOnStoreError: true,
+    store: createStore(bucket),
+    ...options
+  });
+}
+
+// Global limiter for /api (/api/auth has its own bucket)
+function apiRateLimit() {
+  const { limit, anonymousLimit } = RATE_LIMITS.api;
+  return limiter('api', {
+    skip: req => req.originalUrl.startsWith('/api/auth/'),
+    keyGenerator: clientIdentity,
+    limit: async req => ((await clientIdentity(req)).startsWith('user:') ? limit : anonymousLimit),
+    handler: rateLimitHandler('Too many requests, please try again later')
+  });
+}
+
+// Auth paths left out of the client limiter. Every signed-in tab refreshes
+// on a timer, so behind a shared NAT refreshes alone would exhaust the IP's
+// budget; refresh tokens are unguessable and stay limited per token by the
+// account limiter.
+const CLIENT_LIMIT_EXEMPT_PATHS = ['/refresh'];
+
+// Limiters for /api/auth (the account limiter needs the parsed body). The
+// client limiter stops one IP spraying many accounts; the account limiter
+// stops one account being brute-forced from many IPs.
+function authRateLimit() {
+  const handler = rateLimitHandler('Too many authentication attempts, please try again later');
+  return [
+    limiter('authIp', {
+      skip: req => CLIENT_LIMIT_EXEMPT_PATHS.includes(req.path),
+      keyGenerator: clientIdentity,
+      handler
+    }),
+    limiter('auth', {
+      skip: req => authAccount(req) === null,
+      keyGenerator: authAccount,
+      handler
+    })
+  ];
+}
+
+// Counter for work done inside a request rather than for the request
+// itself. consume(key) counts one use and reports whether it was allowed;
+// store errors allow the use, as the middleware does.
+function createQuota(bucket) {
+  let store = null;
+
+  return async function consume(key) {
+    const { windowMs, limit } = RATE_LIMITS[bucket];
+    if (!store) {
+      store = createStore(bucket);
+      store.init({ windowMs });
+    }
+
+    try {
+      const { totalHits, resetTime } = await store.increment(String(key));
+      return { allowed: totalHits <= limit, limit, remaining: Math.max(limit - totalHits, 0), resetTime };
+    } catch (error) {
+      logger.warn('Rate limit store unavailable, allowing', { bucket, error });
+      return { allowed: true, limit, remaining: null, resetTime: null };
+    }
+  };
+}
+
+const consumeAiSummaryQuota = createQuota('aiSummary');
+
+module.exports = {
+  RATE_LIMITS,
+  registerRateLimitStore,
+  apiRateLimit,
+  authRateLimit,
+  consumeAiSummaryQuota
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Accept a caller-supplied id (e.g. from a proxy) when it looks sane
+const INCOMING_ID = /^[\w.:-]{8,128}$/;
+
+// Tag every request with an id, echoed back in X-Request-Id (and in JSON
+// error bodies), so audit events, log lines and client reports can be tied
+// to a single request
+const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = requestIdMiddleware;
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['TEAM', 'LINK', 'OUTCOME', 'USER', 'INVITATION', 'JOIN_REQUEST'];
+
+// Every action written by routes; used to validate audit filters
+const AUDIT_ACTIONS = [
+  'team.create',
+  'team.update',
+  'team.status',
+  'team.delete',
+  'team.member.add',
+  'team.member.remove',
+  'team.member.role',
+  'team.invitation.create',
+  'team.invitation.revoke',
+  'team.invitation.accept',
+  'team.invitation.decline',
+  'team.joinRequest.create',
+  'team.joinRequest.approve',
+  'team.joinRequest.reject',
+  'team.ownership.request',
+  'team.ownership.accept',
+  'team.ownership.decline',
+  'team.ownership.cancel',
+  'link.create',
+  'link.update',
+  'link.start',
+  'link.complete',
+  'link.delete',
+  'link.outcome.create',
+  'link.outcome.update',
+  'link.outcome.delete',
+  'user.profile.update',
+  'user.onboarded',
+  'user.calendarToken.create',
+  'user.calendarToken.revoke',
+  'auth.register',
+  'auth.login',
+  'auth.loginFailed',
+  'auth.exchange',
+  'auth.refresh',
+  'auth.signout',
+  'auth.password.forgot',
+  'auth.password.reset',
+  'auth.email.verify',
+  'auth.email.resend',
+  'auth.google.link'
+];
+
+// Append-only record of a mutation: who did what to which resource
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+
+  // Null for anonymous requests (failed logins, password resets)
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Snapshot so the trail survives the user being deleted
+    email: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Team the event belongs to, for team-scoped browsing
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  target: {
+    type: {
+      type: String,
+      enum: TARGET_TYPES,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+
+  // Changed fields only
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Request context
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+auditEventSchema.index({ team: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+
+// Audit events are never edited
+function rejectUpdate(next) {
+  next(new Error('Audit events are append-only'));
+}
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectUpdate);
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+auditEventSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
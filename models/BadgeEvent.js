@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// History of badges earned and revoked by the badge engine
+const badgeEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  badge: {
+    type: String,
+    enum: ['SUPER_RESPONDER', 'POWER_CONNECTOR', 'LINK_HERO', 'TEAM_MAGNET', 'GHOST_MODE', 'SILENT_WITNESS'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['EARNED', 'REVOKED'],
+    required: true
+  },
+  // Facts the decision was based on
+  facts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+badgeEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BadgeEvent', badgeEventSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Request from a user to join a PUBLIC team that requires approval
+const joinRequestSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionReason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+joinRequestSchema.index({ team: 1, status: 1 });
+// At most one open request per user and team
+joinRequestSchema.index(
+  { team: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+// Method to record an owner's decision
+joinRequestSchema.methods.decide = function(status, by, reason = '') {
+  this.status = status;
+  this.decidedBy = by;
+  this.decidedAt = new Date();
+  this.decisionReason = reason;
+};
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
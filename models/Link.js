@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const logger = require('../services/logger');
+
+const LINK_STATUSES = ['SCHEDULED', 'PENDING', 'IN_PROGRESS', 'COMPLETED', 'DELAYED', 'CANCELLED'];
+
+// Allowed lifecycle transitions (from -> to). COMPLETED is terminal;
+// a cancelled link can be reopened.
+const STATUS_TRANSITIONS = {
+  PENDING: ['SCHEDULED', 'IN_PROGRESS', 'DELAYED', 'CANCELLED'],
+  SCHEDULED: ['PENDING', 'IN_PROGRESS', 'DELAYED', 'CANCELLED'],
+  DELAYED: ['PENDING', 'SCHEDULED', 'IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['COMPLETED', 'DELAYED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: ['PENDING', 'SCHEDULED']
+};
 
 const linkSchema = new mongoose.Schema({
   // Basic link information
@@ -43,9 +57,35 @@ const linkSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['PENDING', 'COMPLETE', 'DELAYED'],
+    enum: LINK_STATUSES,
     default: 'PENDING'
   },
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: LINK_STATUSES,
+      default: null
+    },
+    to: {
+      type: String,
+      enum: LINK_STATUSES,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  }],
   
   // Timing
   scheduledAt: {
@@ -97,6 +137,15 @@ const linkSchema = new mongoose.Schema({
       type: String,
       enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'BLOCKED'],
       default: 'PENDING'
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Open and past its due date; maintained by refreshOutcomeMetrics()
+    isOverdue: {
+      type: Boolean,
+      default: false
     }
   }],
   
@@ -163,9 +212,55 @@ const linkSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Link',
       default: null
+    },
+    escalatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Recurrence: a series master carries the RRULE; generated occurrences
+  // point back at it through parentLinkId
+  recurrence: {
+    rule: {
+      type: String,
+      default: null
+    },
+    // IANA zone the rule repeats in (e.g. Europe/Berlin); null means UTC
+    timezone: {
+      type: String,
+      default: null
+    },
+    parentLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Link',
+      default: null
+    },
+    occurrenceAt: {
+      type: Date,
+      default: null
+    },
+    // Occurrence edited on its own; series edits leave it alone
+    isException: {
+      type: Boolean,
+      default: false
+    },
+    // Occurrence start times removed from the series
+    exdates: [{
+      type: Date
+    }],
+    materializedUntil: {
+      type: Date,
+      default: null
     }
   },
   
+  // Incremented on changes calendar clients must pick up (iCalendar SEQUENCE)
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  
   // Metrics
   metrics: {
     participantCount: {
@@ -179,6 +274,10 @@ const linkSchema = new mongoose.Schema({
     completionRate: {
       type: Number, // percentage
       default: 0
+    },
+    overdueCount: {
+      type: Number,
+      default: 0
     }
   },
   
@@ -213,12 +312,33 @@ linkSchema.index({ 'participants.userId': 1 });
 linkSchema.index({ status: 1 });
 linkSchema.index({ scheduledAt: 1 });
 linkSchema.index({ createdAt: -1 });
+linkSchema.index({ 'outcomes.assignedTo': 1, 'outcomes.status': 1 });
+linkSchema.index({ 'outcomes.dueDate': 1 });
+// Full-text search (GET /api/search); a collection holds one text index
+linkSchema.index(
+  { title: 'text', purpose: 'text', notes: 'text', 'aiSummary.content': 'text', tags: 'text', 'outcomes.description': 'text' },
+  { weights: { title: 10, tags: 6, 'outcomes.description': 4, purpose: 3, 'aiSummary.content': 2, notes: 1 }, name: 'link_text' }
+);
+linkSchema.index(
+  { 'recurrence.parentLinkId': 1, 'recurrence.occurrenceAt': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.parentLinkId': { $type: 'objectId' } } }
+);
 
 // Virtual for participant count
 linkSchema.virtual('participantCount').get(function() {
   return this.participants.length;
 });
 
+// Virtual for recurring series masters
+linkSchema.virtual('isSeries').get(function() {
+  return Boolean(this.recurrence && this.recurrence.rule);
+});
+
+// Virtual for generated occurrences
+linkSchema.virtual('isOccurrence').get(function() {
+  return Boolean(this.recurrence && this.recurrence.parentLinkId);
+});
+
 // Virtual for completion status
 linkSchema.virtual('isCompleted').get(function() {
   return this.status === 'COMPLETED';
@@ -240,26 +360,35 @@ linkSchema.methods.addParticipant = function(userId, role = 'PARTICIPANT') {
   }
 };
 
+// Method to check whether a status change is allowed
+linkSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status, enforcing the lifecycle and recording history
+linkSchema.methods.transitionTo = function(status, { by = null, reason = '' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change link status from ${this.status} to ${status}`);
+    error.name = 'InvalidTransitionError';
+    throw error;
+  }
+  this.statusHistory.push({ from: this.status, to: status, by, at: new Date(), reason });
+  this.status = status;
+};
+
 // Method to start meeting
-linkSchema.methods.startMeeting = function() {
-  this.status = 'IN_PROGRESS';
+linkSchema.methods.startMeeting = function(by = null) {
+  this.transitionTo('IN_PROGRESS', { by });
   this.startedAt = new Date();
 };
 
 // Method to complete meeting
-linkSchema.methods.completeMeeting = function(duration, notes = '') {
-  this.status = 'COMPLETED';
+linkSchema.methods.completeMeeting = function(duration, notes = '', by = null) {
+  this.transitionTo('COMPLETED', { by });
   this.completedAt = new Date();
   this.duration = duration;
   this.notes = notes;
-  
-  // Calculate completion rate based on outcomes
-  if (this.outcomes.length > 0) {
-    const completedOutcomes = this.outcomes.filter(o => o.status === 'COMPLETED').length;
-    this.metrics.completionRate = (completedOutcomes / this.outcomes.length) * 100;
-  }
-  
-  this.metrics.outcomeCount = this.outcomes.length;
+  this.refreshOutcomeMetrics();
 };
 
 // Method to add outcome
@@ -271,7 +400,43 @@ linkSchema.methods.addOutcome = function(type, description, assignedTo = null, d
     dueDate,
     status: 'PENDING'
   });
+  this.refreshOutcomeMetrics();
+  return this.outcomes[this.outcomes.length - 1];
+};
+
+// Method to change an outcome's status, stamping completedAt
+linkSchema.methods.setOutcomeStatus = function(outcome, status) {
+  outcome.status = status;
+  outcome.completedAt = status === 'COMPLETED' ? (outcome.completedAt || new Date()) : null;
+};
+
+// Method to flag overdue outcomes and recalculate outcome metrics.
+// completionRate covers outcomes that are accountable by now: completed ones,
+// overdue ones and open ones without a due date. Open outcomes that are not
+// yet due don't count against the rate.
+linkSchema.methods.refreshOutcomeMetrics = function(now = new Date()) {
+  let completed = 0;
+  let overdue = 0;
+  let notYetDue = 0;
+  
+  this.outcomes.forEach(outcome => {
+    const isOpen = outcome.status !== 'COMPLETED';
+    const isOverdue = isOpen && Boolean(outcome.dueDate) && outcome.dueDate < now;
+    if (outcome.isOverdue !== isOverdue) {
+      outcome.isOverdue = isOverdue;
+    }
+    
+    if (!isOpen) completed++;
+    else if (isOverdue) overdue++;
+    else if (outcome.dueDate) notYetDue++;
+  });
+  
+  const accountable = this.outcomes.length - notYetDue;
   this.metrics.outcomeCount = this.outcomes.length;
+  this.metrics.overdueCount = overdue;
+  this.metrics.completionRate = accountable > 0
+    ? Math.round((completed / accountable) * 100)
+    : (this.outcomes.length > 0 ? 100 : 0);
 };
 
 // Method to generate AI summary
@@ -302,39 +467,74 @@ linkSchema.methods.generateAISummary = async function(openai) {
     
     return this.aiSummary;
   } catch (error) {
-    console.error('Error generating AI summary:', error);
+    logger.error('Error generating AI summary', { linkId: this._id, error });
     return null;
   }
 };
 
+// Remember the persisted status so direct assignments can be checked
+linkSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Reject status changes that bypass transitionTo() or skip the lifecycle
+linkSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, at: new Date() });
+    }
+  } else if (this.isModified('status')) {
+    const from = this.$locals.persistedStatus;
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    const recorded = last && last.from === from && last.to === this.status;
+    if (!recorded) {
+      if (from && !(STATUS_TRANSITIONS[from] || []).includes(this.status)) {
+        this.invalidate('status', `Cannot change link status from ${from} to ${this.status}`, this.status);
+      } else {
+        this.statusHistory.push({ from: from || null, to: this.status, at: new Date() });
+      }
+    }
+  }
+  next();
+});
+
+linkSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Fields that appear in exported calendar events
+const CALENDAR_FIELDS = ['title', 'purpose', 'scheduledAt', 'duration', 'status', 'participants', 'metadata.location', 'metadata.meetingUrl'];
+
 // Pre-save middleware to update metrics
 linkSchema.pre('save', function(next) {
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.calendarSequence += 1;
+  }
+  
   if (this.isModified('participants')) {
     this.metrics.participantCount = this.participants.length;
   }
   
   if (this.isModified('outcomes')) {
-    this.metrics.outcomeCount = this.outcomes.length;
-    
-    if (this.outcomes.length > 0) {
-      const completedOutcomes = this.outcomes.filter(o => o.status === 'COMPLETED').length;
-      this.metrics.completionRate = (completedOutcomes / this.outcomes.length) * 100;
-    }
+    this.refreshOutcomeMetrics();
   }
   
   next();
 });
 
-// Static method to find upcoming links
-linkSchema.statics.findUpcoming = function(userId, limit = 10) {
+// Static method to find upcoming links. Series masters are templates and are
+// skipped; cancelled links can be included so calendar feeds can retract them.
+linkSchema.statics.findUpcoming = function(userId, limit = 10, { includeCancelled = false, since = new Date() } = {}) {
+  const statuses = includeCancelled ? ['PENDING', 'SCHEDULED', 'CANCELLED'] : ['PENDING', 'SCHEDULED'];
   return this.find({
     'participants.userId': userId,
-    status: { $in: ['PENDING', 'SCHEDULED'] },
-    scheduledAt: { $gte: new Date() }
+    status: { $in: statuses },
+    scheduledAt: { $gte: since },
+    'recurrence.rule': null
   })
   .sort({ scheduledAt: 1 })
   .limit(limit)
-  .populate('participants.userId', 'firstName lastName avatar')
+  .populate('participants.userId', 'name email avatar')
   .populate('team', 'name productName');
 };
 
@@ -346,8 +546,11 @@ linkSchema.statics.findRecent = function(teamId, limit = 20) {
   })
   .sort({ createdAt: -1 })
   .limit(limit)
-  .populate('participants.userId', 'firstName lastName avatar')
-  .populate('outcomes.assignedTo', 'firstName lastName');
+  .populate('participants.userId', 'name avatar')
+  .populate('outcomes.assignedTo', 'name');
 };
 
+linkSchema.statics.STATUSES = LINK_STATUSES;
+linkSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Link', linkSchema); 
\ No newline at end of file
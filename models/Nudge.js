@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const nudgeSchema = new mongoose.Schema({
+  // Team context
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+
+  // Optional link the nudge is about
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Link',
+    default: null
+  },
+
+  // Sender is null for nudges generated by the scheduler
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['MANUAL', 'REMINDER', 'FOLLOW_UP', 'ESCALATION'],
+    default: 'MANUAL'
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+
+  // Delivery / response tracking
+  status: {
+    type: String,
+    enum: ['SENT', 'ACKNOWLEDGED', 'RESPONDED', 'EXPIRED'],
+    default: 'SENT'
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  response: {
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: ''
+    },
+    linkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Link',
+      default: null
+    }
+  },
+
+  // Set when the scheduler has chased an unanswered nudge
+  followUpSentAt: {
+    type: Date,
+    default: null
+  },
+  parentNudgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nudge',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+nudgeSchema.index({ recipient: 1, status: 1, createdAt: -1 });
+nudgeSchema.index({ sender: 1, createdAt: -1 });
+nudgeSchema.index({ team: 1, createdAt: -1 });
+nudgeSchema.index({ link: 1, recipient: 1, type: 1 });
+
+// Virtual for open state
+nudgeSchema.virtual('isOpen').get(function() {
+  return this.status === 'SENT' || this.status === 'ACKNOWLEDGED';
+});
+
+// Method to acknowledge nudge
+nudgeSchema.methods.acknowledge = function() {
+  if (this.status === 'SENT') {
+    this.status = 'ACKNOWLEDGED';
+    this.acknowledgedAt = new Date();
+  }
+};
+
+// Method to respond to nudge
+nudgeSchema.methods.respond = function(message = '', linkId = null) {
+  const now = new Date();
+  if (!this.acknowledgedAt) {
+    this.acknowledgedAt = now;
+  }
+  this.status = 'RESPONDED';
+  this.respondedAt = now;
+  this.response = { message, linkId };
+};
+
+// Static method to find nudges still waiting on the recipient
+nudgeSchema.statics.findUnanswered = function(olderThan) {
+  return this.find({
+    status: 'SENT',
+    type: 'MANUAL',
+    followUpSentAt: null,
+    createdAt: { $lte: olderThan }
+  });
+};
+
+module.exports = mongoose.model('Nudge', nudgeSchema);
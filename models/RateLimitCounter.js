@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Fixed-window hit counter shared by every API instance (see
+// services/rateLimitStore.js)
+const rateLimitCounterSchema = new mongoose.Schema({
+  // `${bucket}:${client key}`
+  _id: {
+    type: String,
+    required: true
+  },
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the current window; the TTL index drops the counter afterwards
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count one hit, starting a new window when the previous one has ended.
+// Returns the updated counter.
+rateLimitCounterSchema.statics.hit = async function(id, windowMs) {
+  const now = new Date();
+  const inWindow = { $gt: ['$resetAt', now] };
+  const update = [{
+    $set: {
+      hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+      resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+    }
+  }];
+  const options = { upsert: true, new: true, lean: true };
+
+  try {
+    return await this.findOneAndUpdate({ _id: id }, update, options);
+  } catch (error) {
+    // Two first hits raced to insert the counter; the retry updates it
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate({ _id: id }, update, options);
+  }
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One record per time a user is asked for something (invited to a link,
+// nudged). `respondedAt` is filled in the first time they act on it.
+const responseRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+
+  // What the user was asked through
+  source: {
+    type: String,
+    enum: ['LINK_INVITE', 'NUDGE'],
+    required: true
+  },
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Link',
+    default: null
+  },
+  nudge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nudge',
+    default: null
+  },
+
+  askedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  responseTimeHours: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+responseRequestSchema.index({ user: 1, askedAt: -1 });
+responseRequestSchema.index({ team: 1, askedAt: -1 });
+responseRequestSchema.index({ user: 1, link: 1, respondedAt: 1 });
+responseRequestSchema.index({ nudge: 1 });
+
+// Method to mark the request answered
+responseRequestSchema.methods.markResponded = function(at = new Date()) {
+  if (this.respondedAt) return;
+  this.respondedAt = at;
+  this.responseTimeHours = Math.max(0, (at - this.askedAt) / (60 * 60 * 1000));
+};
+
+module.exports = mongoose.model('ResponseRequest', responseRequestSchema);
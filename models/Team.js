@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+const TEAM_STATUSES = ['ACTIVE', 'PAUSED', 'COMPLETED', 'ARCHIVED'];
+
+// Allowed lifecycle transitions (from -> to). Leaving ARCHIVED goes through
+// restore(), which returns the team to the status it had before archiving.
+const STATUS_TRANSITIONS = {
+  ACTIVE: ['PAUSED', 'COMPLETED', 'ARCHIVED'],
+  PAUSED: ['ACTIVE', 'COMPLETED', 'ARCHIVED'],
+  COMPLETED: ['ACTIVE', 'ARCHIVED'],
+  ARCHIVED: []
+};
+
+// Days a pending ownership transfer waits for the new owner to confirm
+const OWNERSHIP_TRANSFER_TTL_DAYS = 7;
+
+// Days an archived team can be restored before it is purged
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.TEAM_ARCHIVE_RETENTION_DAYS || '30', 10);
+
 const teamSchema = new mongoose.Schema({
   // Basic team information
   name: {
@@ -24,13 +41,41 @@ const teamSchema = new mongoose.Schema({
     default: 'v1.0'
   },
   
-  // Team ownership
+  // Team ownership. `owner` is the primary owner; co-owners are members
+  // with role OWNER. A team always keeps at least one active owner.
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
   
+  // Ownership hand-off awaiting confirmation by the new owner
+  ownershipTransfer: {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Whether the current owner stays on as a co-owner
+    keepAsCoOwner: {
+      type: Boolean,
+      default: false
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Team members with roles
   members: [{
     userId: {
@@ -76,6 +121,10 @@ const teamSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalNudges: {
+      type: Number,
+      default: 0
+    },
     averageResponseTime: {
       type: Number, // in hours
       default: 0
@@ -107,10 +156,56 @@ const teamSchema = new mongoose.Schema({
   // Team status
   status: {
     type: String,
-    enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'ARCHIVED'],
+    enum: TEAM_STATUSES,
     default: 'ACTIVE'
   },
   
+  // Every status change, oldest first
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: TEAM_STATUSES,
+      default: null
+    },
+    to: {
+      type: String,
+      enum: TEAM_STATUSES,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  }],
+  
+  // Set while archived
+  archive: {
+    archivedAt: {
+      type: Date,
+      default: null
+    },
+    previousStatus: {
+      type: String,
+      enum: TEAM_STATUSES,
+      default: null
+    },
+    // Restorable until this date; purged afterwards
+    purgeAfter: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Tags for categorization
   tags: [{
     type: String,
@@ -131,6 +226,12 @@ teamSchema.index({ owner: 1 });
 teamSchema.index({ 'members.userId': 1 });
 teamSchema.index({ status: 1 });
 teamSchema.index({ productName: 1 });
+teamSchema.index({ 'settings.visibility': 1, status: 1 });
+teamSchema.index({ status: 1, 'archive.purgeAfter': 1 });
+teamSchema.index(
+  { name: 'text', productName: 'text', description: 'text', tags: 'text' },
+  { weights: { name: 5, productName: 5, tags: 3, description: 1 }, name: 'team_text' }
+);
 
 // Virtual for member count
 teamSchema.virtual('memberCount').get(function() {
@@ -170,6 +271,104 @@ teamSchema.methods.removeMember = function(userId) {
   }
 };
 
+// Method to check whether a status change is allowed
+teamSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status, enforcing the lifecycle and recording history
+teamSchema.methods.transitionTo = function(status, { by = null, reason = '' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change team status from ${this.status} to ${status}`);
+    error.name = 'InvalidTransitionError';
+    throw error;
+  }
+  
+  if (status === 'ARCHIVED') {
+    this.archive = {
+      archivedAt: new Date(),
+      previousStatus: this.status,
+      purgeAfter: new Date(Date.now() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+  
+  this.statusHistory.push({ from: this.status, to: status, by, at: new Date(), reason });
+  this.status = status;
+};
+
+// Method to bring an archived team back within the retention window
+teamSchema.methods.restore = function({ by = null, reason = '' } = {}) {
+  if (this.status !== 'ARCHIVED') {
+    const error = new Error('Only archived teams can be restored');
+    error.name = 'InvalidTransitionError';
+    throw error;
+  }
+  if (this.archive.purgeAfter && this.archive.purgeAfter <= new Date()) {
+    const error = new Error('The retention window for this team has passed');
+    error.name = 'InvalidTransitionError';
+    throw error;
+  }
+  
+  const status = this.archive.previousStatus || 'ACTIVE';
+  this.statusHistory.push({ from: this.status, to: status, by, at: new Date(), reason });
+  this.status = status;
+  this.archive = { archivedAt: null, previousStatus: null, purgeAfter: null };
+};
+
+// Method to list active members holding the OWNER role
+teamSchema.methods.activeOwners = function() {
+  return this.members.filter(member => member.isActive && member.role === 'OWNER');
+};
+
+// Method to check whether a user is an active owner
+teamSchema.methods.isOwner = function(userId) {
+  return this.activeOwners().some(member => member.userId.toString() === userId.toString());
+};
+
+// Method to check whether a user is the only active owner left
+teamSchema.methods.isLastOwner = function(userId) {
+  const owners = this.activeOwners();
+  return owners.length === 1 && owners[0].userId.toString() === userId.toString();
+};
+
+// Method to start an ownership transfer; the new owner must confirm it
+teamSchema.methods.requestOwnershipTransfer = function(from, to, { keepAsCoOwner = false } = {}) {
+  this.ownershipTransfer = {
+    from,
+    to,
+    keepAsCoOwner,
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Method to return the open transfer, or null when none is pending
+teamSchema.methods.pendingOwnershipTransfer = function() {
+  const transfer = this.ownershipTransfer;
+  if (!transfer || !transfer.to || !transfer.expiresAt || transfer.expiresAt <= new Date()) {
+    return null;
+  }
+  return transfer;
+};
+
+teamSchema.methods.clearOwnershipTransfer = function() {
+  this.ownershipTransfer = { from: null, to: null, keepAsCoOwner: false, requestedAt: null, expiresAt: null };
+};
+
+// Method to complete a confirmed transfer. `fallbackRole` is the role the
+// previous owner keeps when they don't stay on as a co-owner.
+teamSchema.methods.completeOwnershipTransfer = function(fallbackRole) {
+  const { from, to, keepAsCoOwner } = this.ownershipTransfer;
+  this.addMember(to, 'OWNER');
+  this.owner = to;
+  
+  const previous = this.members.find(member => member.userId.toString() === from.toString());
+  if (previous && !keepAsCoOwner) {
+    previous.role = fallbackRole;
+  }
+  this.clearOwnershipTransfer();
+};
+
 // Method to update team stats
 teamSchema.methods.updateStats = function(linkCount = 0, responseTime = 0, responseRate = 0) {
   this.stats.totalLinks += linkCount;
@@ -215,12 +414,38 @@ teamSchema.methods.calculateReputationBadge = function() {
   return this.reputationBadge;
 };
 
+// Keep at least one active owner, and keep `owner` pointing at one of them
+teamSchema.pre('validate', function(next) {
+  if (this.isModified('members') || this.isModified('owner')) {
+    const owners = this.activeOwners();
+    if (owners.length === 0) {
+      this.invalidate('members', 'A team must keep at least one owner');
+    } else if (!this.isOwner(this.owner._id || this.owner)) {
+      this.owner = owners[0].userId;
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to update reputation
 teamSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, by: this.owner, at: new Date() });
+  }
+  
   if (this.isModified('stats')) {
     this.calculateReputationBadge();
   }
   next();
 });
 
+// Static method to find teams whose scheduled activity is on hold
+teamSchema.statics.findDormantIds = function() {
+  return this.distinct('_id', { status: { $in: ['PAUSED', 'ARCHIVED'] } });
+};
+
+teamSchema.statics.STATUSES = TEAM_STATUSES;
+teamSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+teamSchema.statics.ARCHIVE_RETENTION_DAYS = ARCHIVE_RETENTION_DAYS;
+
 module.exports = mongoose.model('Team', teamSchema); 
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+// Invitation for someone (by email) to join a team
+const teamInvitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Team role granted on acceptance
+  role: {
+    type: String,
+    enum: ['PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'STAKEHOLDER'],
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // SHA-256 of the token sent in the invitation email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED', 'EXPIRED'],
+    default: 'PENDING'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+teamInvitationSchema.index({ team: 1, status: 1 });
+teamInvitationSchema.index({ email: 1, status: 1 });
+teamInvitationSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether the invitation can still be answered
+teamInvitationSchema.virtual('isOpen').get(function() {
+  return this.status === 'PENDING' && this.expiresAt > new Date();
+});
+
+// Method to issue a fresh token and expiry (returns the raw token)
+teamInvitationSchema.methods.issueToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to record the invitee's (or an admin's) answer
+teamInvitationSchema.methods.resolve = function(status, by = null) {
+  this.status = status;
+  this.respondedAt = new Date();
+  this.respondedBy = by;
+};
+
+// Static method to find an invitation by its raw token
+teamInvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex')
+  });
+};
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
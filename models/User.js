@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_SALT_ROUNDS = 12;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
   // Profile information
@@ -18,6 +24,60 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // Credentials (email/password accounts only)
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      select: false
+    }
+  },
+
+  // Set once the owner of the address has proven it (emailed link or Google)
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerification: {
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      select: false
+    }
+  },
+
+  // Secret for the subscribable calendar feed (hash of the token in the URL)
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Department (fixed set)
   department: {
     type: String,
@@ -129,7 +189,12 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ name: 1 });
+userSchema.index({ department: 1 });
 userSchema.index({ 'stats.reputationScore': -1 });
+userSchema.index({ 'passwordReset.tokenHash': 1 });
+userSchema.index({ 'emailVerification.tokenHash': 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -155,6 +220,81 @@ userSchema.methods.calculateReputationScore = function() {
   return this.stats.reputationScore;
 };
 
+// Method to set a new password (hashes with bcrypt)
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+  this.passwordChangedAt = new Date();
+};
+
+// Method to check a password; requires passwordHash to be selected
+userSchema.methods.verifyPassword = async function(password) {
+  if (!this.passwordHash) {
+    return false;
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Method to create a single-use password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordReset = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+  };
+  return token;
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    'passwordReset.tokenHash': crypto.createHash('sha256').update(token).digest('hex'),
+    'passwordReset.expiresAt': { $gt: new Date() }
+  }).select('+passwordHash +passwordReset.tokenHash +passwordReset.expiresAt');
+};
+
+// Method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerification = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+  };
+  return token;
+};
+
+// Method to mark the email as verified and drop any pending verification token
+userSchema.methods.markEmailVerified = function() {
+  if (!this.emailVerifiedAt) {
+    this.emailVerifiedAt = new Date();
+  }
+  this.emailVerification = { tokenHash: null, expiresAt: null };
+};
+
+// Static method to find the user owning a valid (unexpired) verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    'emailVerification.tokenHash': crypto.createHash('sha256').update(token).digest('hex'),
+    'emailVerification.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Method to issue a calendar feed token, invalidating any previous one
+userSchema.methods.createCalendarFeedToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.calendarFeed = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    createdAt: new Date()
+  };
+  return token;
+};
+
+// Static method to find the user owning a calendar feed token
+userSchema.statics.findByCalendarFeedToken = function(token) {
+  return this.findOne({
+    'calendarFeed.tokenHash': crypto.createHash('sha256').update(token).digest('hex')
+  });
+};
+
 // Pre-save middleware to update reputation
 userSchema.pre('save', function(next) {
   if (this.isModified('stats')) {
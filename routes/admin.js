@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { findMembershipDrift, reconcileMemberships } = require('../services/membershipService');
+
+router.use(authMiddleware);
+
+// Validation schemas
+const reconcileSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// GET /api/admin/memberships/inconsistencies - Report Team.members / User.teams drift
+router.get('/memberships/inconsistencies', authorize('admin:memberships'), asyncHandler(async (req, res) => {
+  const issues = await findMembershipDrift();
+  const summary = issues.reduce((counts, issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+    return counts;
+  }, {});
+  
+  res.json({
+    success: true,
+    data: { summary, issues },
+    count: issues.length
+  });
+}));
+
+// POST /api/admin/memberships/reconcile - Repair membership drift now
+router.post('/memberships/reconcile', authorize('admin:memberships'), asyncHandler(async (req, res) => {
+  const { error, value } = reconcileSchema.validate(req.body || {});
+  if (error) throw error;
+  
+  const result = await reconcileMemberships(value);
+  
+  res.json({
+    success: true,
+    message: value.dryRun ? 'Dry run complete' : `Repaired ${result.repaired} membership entries`,
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -3,65 +3,366 @@ const router = express.Router();
 const User = require('../models/User');
 const Team = require('../models/Team');
 const Link = require('../models/Link');
+const Joi = require('joi');
+const googleAuthMiddleware = require('../middleware/googleAuth');
+const { ValidationError, UnauthorizedError, ForbiddenError, ConflictError, asyncHandler } = require('../middleware/errors');
+const tokenService = require('../services/tokenService');
+const mailer = require('../services/mailer');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+// Validation schemas
+const passwordRule = Joi.string().min(8).max(128);
+
+const registerSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: passwordRule.required(),
+  name: Joi.string().required().min(2).max(100),
+  department: Joi.string().valid('PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'CXO', 'STAKEHOLDER').required(),
+  designation: Joi.string().allow('').max(100)
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: passwordRule.required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const signoutSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+  allDevices: Joi.boolean().default(false)
+});
+
+function clientContext(req) {
+  return {
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip
+  };
+}
+
+function publicUser(user) {
+  return {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    avatar: user.avatar,
+    department: user.department,
+    designation: user.designation,
+    role: user.role,
+    onboarded: user.onboarded,
+    emailVerified: Boolean(user.emailVerifiedAt)
+  };
+}
+
+// POST /api/auth/register - Create an email/password account. No tokens are
+// issued until the address is verified through the emailed link.
+router.post('/register', asyncHandler(async (req, res) => {
+  const { error, value } = registerSchema.validate(req.body);
+  if (error) throw error;
+
+  const { email, password, name, department, designation } = value;
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    throw new ConflictError('An account with this email already exists. Sign in or reset your password.', { label: 'Account already exists' });
+  }
+
+  const user = new User({
+    email,
+    name,
+    department,
+    designation: designation || '',
+    onboarded: false
+  });
+  await user.setPassword(password);
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await mailer.sendEmailVerificationEmail(user, token);
+  recordAudit(req, {
+    action: 'auth.register',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email },
+    after: snapshot('USER', user)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Account created. Check your email to verify your address, then sign in.',
+    user: publicUser(user)
+  });
+}));
+
+// POST /api/auth/login - Sign in with email and password
+router.post('/login', asyncHandler(async (req, res) => {
+  const { error, value } = loginSchema.validate(req.body);
+  if (error) throw error;
+
+  const user = await User.findOne({ email: value.email.toLowerCase() }).select('+passwordHash');
+  const valid = user ? await user.verifyPassword(value.password) : false;
+  if (!valid) {
+    recordAudit(req, {
+      action: 'auth.loginFailed',
+      actor: { email: value.email.toLowerCase() },
+      target: { type: 'USER', id: user ? user._id : null, label: value.email.toLowerCase() }
+    });
+    throw new UnauthorizedError('Invalid email or password', { label: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+  }
+  if (!user.emailVerifiedAt) {
+    throw new ForbiddenError('Verify your email address before signing in', { label: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+  }
+
+  user.lastActive = new Date();
+  await user.save();
+  recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email },
+    metadata: { method: 'PASSWORD' }
+  });
+
+  const tokens = await tokenService.issueTokenPair(user, clientContext(req));
+
+  res.json({
+    success: true,
+    user: publicUser(user),
+    tokens
+  });
+}));
+
+// POST /api/auth/password/forgot - Email a single-use reset link
+router.post('/password/forgot', asyncHandler(async (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) throw error;
+
+  const user = await User.findOne({ email: value.email.toLowerCase() });
+  if (user) {
+    const token = user.createPasswordResetToken();
+    await user.save();
+    await mailer.sendPasswordResetEmail(user, token);
+  }
+  recordAudit(req, {
+    action: 'auth.password.forgot',
+    actor: { email: value.email.toLowerCase() },
+    target: { type: 'USER', id: user ? user._id : null, label: value.email.toLowerCase() },
+    metadata: { accountExists: Boolean(user) }
+  });
+
+  // Same response whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a reset link has been sent'
+  });
+}));
+
+// POST /api/auth/password/reset - Set a new password with a reset token
+router.post('/password/reset', asyncHandler(async (req, res) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) throw error;
+
+  const user = await User.findByPasswordResetToken(value.token);
+  if (!user) {
+    throw new ValidationError('This reset link is invalid or has expired', { label: 'Invalid token' });
+  }
+
+  await user.setPassword(value.password);
+  user.passwordReset = { tokenHash: null, expiresAt: null };
+  // The reset link was delivered to the address, which proves ownership
+  user.markEmailVerified();
+  await user.save();
+
+  // Sign out every existing session
+  await tokenService.revokeAllForUser(user._id, 'PASSWORD_RESET');
+  recordAudit(req, {
+    action: 'auth.password.reset',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email }
+  });
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please sign in again.'
+  });
+}));
+
+// POST /api/auth/email/verify - Confirm the address with the emailed token
+router.post('/email/verify', asyncHandler(async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate(req.body);
+  if (error) throw error;
+
+  const user = await User.findByEmailVerificationToken(value.token);
+  if (!user) {
+    throw new ValidationError('This verification link is invalid or has expired', { label: 'Invalid token' });
+  }
+
+  user.markEmailVerified();
+  await user.save();
+  recordAudit(req, {
+    action: 'auth.email.verify',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email }
+  });
+
+  res.json({
+    success: true,
+    message: 'Email verified. You can now sign in.'
+  });
+}));
+
+// POST /api/auth/email/resend - Send a fresh verification link
+router.post('/email/resend', asyncHandler(async (req, res) => {
+  const { error, value } = resendVerificationSchema.validate(req.body);
+  if (error) throw error;
+
+  const user = await User.findOne({ email: value.email.toLowerCase() });
+  const pending = Boolean(user && !user.emailVerifiedAt);
+  if (pending) {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await mailer.sendEmailVerificationEmail(user, token);
+  }
+  recordAudit(req, {
+    action: 'auth.email.resend',
+    actor: { email: value.email.toLowerCase() },
+    target: { type: 'USER', id: user ? user._id : null, label: value.email.toLowerCase() },
+    metadata: { sent: pending }
+  });
+
+  // Same response whether or not the account exists or is already verified
+  res.json({
+    success: true,
+    message: 'If an unverified account exists for this email, a new link has been sent'
+  });
+}));
+
+// POST /api/auth/exchange - Exchange a Google (NextAuth) session token for Tether tokens
+router.post('/exchange', googleAuthMiddleware, asyncHandler(async (req, res) => {
+  const tokens = await tokenService.issueTokenPair(req.user, clientContext(req));
+  recordAudit(req, {
+    action: 'auth.exchange',
+    target: { type: 'USER', id: req.user._id, label: req.user.email },
+    metadata: { method: 'GOOGLE' }
+  });
+  res.json({
+    success: true,
+    user: publicUser(req.user),
+    tokens
+  });
+}));
+
+// Test user authentication route. Off unless ENABLE_TEST_LOGIN=true, and
+// never available in production.
+function testLoginEnabled() {
+  return process.env.ENABLE_TEST_LOGIN === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+router.post('/test', asyncHandler(async (req, res, next) => {
+  if (!testLoginEnabled()) {
+    return next();
+  }
 
-// router.post('/google', async (req, res) => {
-//   console.log('Received idToken:', req.body.idToken);
-//   console.log('Using GOOGLE_CLIENT_ID:', process.env.GOOGLE_CLIENT_ID);
-//   const { idToken } = req.body;
-//   try {
-//     const ticket = await client.verifyIdToken({
-//       idToken,
-//       audience: process.env.GOOGLE_CLIENT_ID,
-//     });
-//     const payload = ticket.getPayload();
-//     let user = await User.findOne({ email: payload.email });
-//     if (!user) {
-//       user = await User.create({
-//         email: payload.email,
-//         firstName: payload.given_name,
-//         lastName: payload.family_name,
-//         avatar: payload.picture,
-//         onboarded: false,
-//         role: 'PM',
-//       });
-//     }
-//     res.json({ success: true, user });
-//   } catch (err) {
-//     res.status(401).json({ error: 'Invalid Google token', details: err.message });
-//   }
-// });
-
-// Test user authentication route
-router.post('/test', async (req, res) => {
   const { username, password } = req.body;
   const validUsers = ['test1', 'test2', 'test3'];
   const validPassword = 'test@123';
 
-  if (validUsers.includes(username) && password === validPassword) {
-    // Clean up all teams and links for this test user
-    const email = `${username}@test.com`;
-    const user = await User.findOne({ email });
-    if (user) {
-      await Team.deleteMany({ owner: user._id });
-      await Link.deleteMany({ 'participants.userId': user._id });
-    }
-    // Return a fake user object
-    return res.json({
-      success: true,
-      user: {
-        username,
-        email,
-        name: `Test User ${username.slice(-1)}`,
-        role: 'PM', // Always PM
-      }
+  if (!validUsers.includes(username) || password !== validPassword) {
+    throw new UnauthorizedError('Invalid credentials', { label: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+  }
+
+  // Clean up all teams and links for this test user
+  const email = `${username}@test.com`;
+  let user = await User.findOne({ email });
+  if (user) {
+    await Team.deleteMany({ owner: user._id });
+    await Link.deleteMany({ 'participants.userId': user._id });
+  } else {
+    user = await User.create({
+      email,
+      name: `Test User ${username.slice(-1)}`,
+      department: 'PM',
+      designation: 'Product Manager',
+      role: 'PM',
+      onboarded: false
+    });
+  }
+
+  const tokens = await tokenService.issueTokenPair(user, clientContext(req));
+  recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    target: { type: 'USER', id: user._id, label: user.email },
+    metadata: { method: 'TEST' }
+  });
+
+  return res.json({
+    success: true,
+    user: {
+      ...publicUser(user),
+      username
+    },
+    tokens
+  });
+}));
+
+// POST /api/auth/refresh - Rotate a refresh token into a new token pair
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) throw error;
+
+  const result = await tokenService.rotateRefreshToken(value.refreshToken, clientContext(req));
+  if (!result) {
+    throw new UnauthorizedError('Refresh token is invalid, expired or revoked');
+  }
+  recordAudit(req, {
+    action: 'auth.refresh',
+    actor: result.user,
+    target: { type: 'USER', id: result.user._id, label: result.user.email }
+  });
+
+  res.json({
+    success: true,
+    user: publicUser(result.user),
+    tokens: result.tokens
+  });
+}));
+
+// POST /api/auth/signout - Revoke the refresh token (optionally on every device)
+router.post('/signout', asyncHandler(async (req, res) => {
+  const { error, value } = signoutSchema.validate(req.body);
+  if (error) throw error;
+
+  const record = await tokenService.revokeRefreshToken(value.refreshToken);
+  if (record && value.allDevices) {
+    await tokenService.revokeAllForUser(record.user);
+  }
+  if (record) {
+    recordAudit(req, {
+      action: 'auth.signout',
+      actor: { _id: record.user },
+      target: { type: 'USER', id: record.user },
+      metadata: { allDevices: Boolean(value.allDevices) }
     });
   }
-  return res.status(401).json({ success: false, message: 'Invalid credentials' });
-});
 
-// Test user sign out route (placeholder for future extensibility)
-router.post('/signout', (req, res) => {
   res.json({ success: true });
-});
+}));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,370 +1,240 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Team = require('../models/Team');
 const User = require('../models/User');
 const Link = require('../models/Link');
-const { requireRole } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
 const authMiddleware = require('../middleware/auth');
+const { NotFoundError, asyncHandler } = require('../middleware/errors');
 
 router.use(authMiddleware);
 
 // GET /api/dashboard/overview - Get dashboard overview
-router.get('/overview', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    let user = await User.findOne({ email: googleUser.email }).lean();
-    if (!user) {
-      // Auto-create test user profile if email ends with @test.com
-      if (googleUser.email && googleUser.email.endsWith('@test.com')) {
-        user = await User.create({
-          email: googleUser.email,
-          firstName: googleUser.firstName || 'Test',
-          lastName: googleUser.lastName || googleUser.username || '',
-          name: (googleUser.firstName || 'Test') + ' ' + (googleUser.lastName || googleUser.username || ''),
-          avatar: '',
-          onboarded: false,
-          role: 'PM',
-          department: 'PM',
-          designation: 'Product Manager',
-          stats: {
-            linksCreated: 0,
-            responseRate: 0,
-            averageResponseTime: 0,
-            reputationScore: 0
-          },
-          badges: [],
-          teams: []
-        });
-      } else {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User profile not found'
-        });
-      }
+router.get('/overview', asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  // Get user's teams
+  const userTeams = await User.findById(user._id).populate({
+    path: 'teams.teamId',
+    populate: {
+      path: 'members.userId',
+      select: 'name avatar role stats'
     }
-    
-    // Get user's teams
-    const userTeams = await User.findById(user._id).populate({
-      path: 'teams.teamId',
-      populate: {
-        path: 'members.userId',
-        select: 'firstName lastName avatar role stats'
-      }
-    }).lean();
-    
-    const teams = userTeams.teams.map(t => t.teamId).filter(Boolean);
-    
-    // Get recent activity
-    const recentLinks = await Link.find({
-      'participants.userId': user._id
-    })
-    .populate('participants.userId', 'name email avatar department designation')
-    .populate('team', 'name productName')
-    .sort({ createdAt: -1 })
-    .limit(10)
-    .lean();
-    
-    // Calculate summary stats (based only on Link data)
-    const summary = {
-      totalTeams: teams.length,
-      activeTeams: teams.filter(team => team.status === 'ACTIVE').length,
-      totalLinks: user.stats.linksCreated,
-      responseRate: user.stats.responseRate || 0,
-      averageResponseTime: user.stats.averageResponseTime || 0,
-      reputationScore: user.stats.reputationScore || 0
-    };
+  }).lean();
+  
+  const teams = userTeams.teams.map(t => t.teamId).filter(Boolean);
+  
+  // Get recent activity
+  const recentLinks = await Link.find({
+    'participants.userId': user._id
+  })
+  .populate('participants.userId', 'name email avatar department designation')
+  .populate('team', 'name productName')
+  .sort({ createdAt: -1 })
+  .limit(10)
+  .lean();
+  
+  // Calculate summary stats (based only on Link data)
+  const summary = {
+    totalTeams: teams.length,
+    activeTeams: teams.filter(team => team.status === 'ACTIVE').length,
+    totalLinks: user.stats.linksCreated,
+    responseRate: user.stats.responseRate || 0,
+    averageResponseTime: user.stats.averageResponseTime || 0,
+    reputationScore: user.stats.reputationScore || 0
+  };
 
-    // Defensive: ensure only plain objects are sent
-    const responseData = JSON.parse(JSON.stringify({
-      success: true,
-      data: {
-        summary,
-        teams,
-        recentLinks,
-        user: {
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          avatar: user.avatar,
-          badges: user.badges
-        }
+  // Defensive: ensure only plain objects are sent
+  const responseData = JSON.parse(JSON.stringify({
+    success: true,
+    data: {
+      summary,
+      teams,
+      recentLinks,
+      user: {
+        name: user.name,
+        role: user.role,
+        avatar: user.avatar,
+        badges: user.badges
       }
-    }));
-    res.json(responseData);
-  } catch (error) {
-    console.error('Error fetching dashboard overview:', error);
-    res.status(500).json({
-      error: 'Failed to fetch dashboard overview',
-      message: error.message
-    });
-  }
-});
+    }
+  }));
+  res.json(responseData);
+}));
 
 // GET /api/dashboard/team/:teamId - Get team dashboard
-router.get('/team/:teamId', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    let user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      // Auto-create test user profile if email ends with @test.com
-      if (googleUser.email && googleUser.email.endsWith('@test.com')) {
-        user = await User.create({
-          email: googleUser.email,
-          firstName: googleUser.firstName || 'Test',
-          lastName: googleUser.lastName || googleUser.username || '',
-          avatar: '',
-          onboarded: false,
-          role: googleUser.role || 'tester',
-          stats: {
-            linksCreated: 0,
-            responseRate: 0,
-            averageResponseTime: 0,
-            reputationScore: 0
-          },
-          badges: [],
-          teams: []
-        });
-      } else {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User profile not found'
-        });
-      }
-    }
-    
-    // Verify team membership
-    const teamMembership = user.teams.find(t => t.teamId.toString() === teamId);
-    
-    if (!teamMembership) {
-      return res.status(403).json({
-        error: 'Team access denied',
-        message: 'You are not a member of this team'
-      });
-    }
-    
-    // Get team details
-    const team = await Team.findById(teamId)
-      .populate('members.userId', 'firstName lastName avatar role stats badges')
-      .populate('owner', 'firstName lastName avatar');
-    
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The requested team does not exist'
-      });
-    }
-    
-    // Get recent links
-    const recentLinks = await Link.find({ team: teamId })
-      .populate('participants.userId', 'name email avatar department designation')
-      .sort({ createdAt: -1 })
-      .limit(10);
-    
-    // Get member performance
-    const memberPerformance = team.members.map(member => ({
-      user: member.userId,
-      role: member.role,
-      joinedAt: member.joinedAt,
-      stats: member.userId.stats,
-      badges: member.userId.badges,
-      isActive: member.isActive
-    }));
-    
-    // Calculate team metrics
-    const teamMetrics = {
-      totalMembers: team.memberCount,
-      activeMembers: team.stats.activeMembers,
-      totalLinks: team.stats.totalLinks,
-      totalNudges: team.stats.totalNudges,
-      averageResponseTime: team.stats.averageResponseTime,
-      responseRate: team.stats.responseRate,
-      reputationBadge: team.reputationBadge
-    };
-    
-    res.json({
-      success: true,
-      data: {
-        team,
-        metrics: teamMetrics,
-        recentLinks,
-        memberPerformance,
-        userRole: teamMembership.role
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching team dashboard:', error);
-    res.status(500).json({
-      error: 'Failed to fetch team dashboard',
-      message: error.message
-    });
+router.get('/team/:teamId', authorize('dashboard:team'), asyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  
+  const user = req.user;
+  
+  // Team membership is verified by the dashboard:team policy (CXOs may view any team)
+  const teamMembership = req.membership;
+  
+  // Get team details
+  const team = await Team.findById(teamId)
+    .populate('members.userId', 'name avatar role stats badges')
+    .populate('owner', 'name avatar');
+  
+  if (!team) {
+    throw new NotFoundError('Team');
   }
-});
+  
+  // Get recent links
+  const recentLinks = await Link.find({ team: teamId })
+    .populate('participants.userId', 'name email avatar department designation')
+    .sort({ createdAt: -1 })
+    .limit(10);
+  
+  // Get member performance
+  const memberPerformance = team.members.map(member => ({
+    user: member.userId,
+    role: member.role,
+    joinedAt: member.joinedAt,
+    stats: member.userId.stats,
+    badges: member.userId.badges,
+    isActive: member.isActive
+  }));
+  
+  // Calculate team metrics
+  const teamMetrics = {
+    totalMembers: team.memberCount,
+    activeMembers: team.stats.activeMembers,
+    totalLinks: team.stats.totalLinks,
+    totalNudges: team.stats.totalNudges,
+    averageResponseTime: team.stats.averageResponseTime,
+    responseRate: team.stats.responseRate,
+    reputationBadge: team.reputationBadge
+  };
+  
+  res.json({
+    success: true,
+    data: {
+      team,
+      metrics: teamMetrics,
+      recentLinks,
+      memberPerformance,
+      userRole: teamMembership ? teamMembership.role : null
+    }
+  });
+}));
 
 // GET /api/dashboard/cxo - Get CXO-level dashboard (for CXO role)
-router.get('/cxo', async (req, res) => {
-  try {
-    // Get all teams
-    const teams = await Team.find({ status: 'ACTIVE' })
-      .populate('owner', 'firstName lastName')
-      .populate('members.userId', 'firstName lastName role stats')
-      .sort({ lastActivity: -1 });
-    
-    // Get all users with stats
-    const users = await User.find()
-      .select('firstName lastName role stats badges teams')
-      .sort({ 'stats.reputationScore': -1 });
-    
-    // Calculate organization-wide metrics
-    const orgMetrics = {
-      totalTeams: teams.length,
-      totalUsers: users.length,
-      activeTeams: teams.filter(t => t.status === 'ACTIVE').length,
-      averageResponseRate: calculateAverageResponseRate(teams),
-      averageResponseTime: calculateAverageResponseTime(teams),
-      topPerformers: users.slice(0, 5),
-      teamsNeedingAttention: teams.filter(t => t.stats.responseRate < 50).slice(0, 5)
-    };
-    
-    // Get recent activity across all teams
-    const recentActivity = await Link.find()
-      .populate('participants.userId', 'firstName lastName')
-      .populate('team', 'name productName')
-      .sort({ createdAt: -1 })
-      .limit(20);
-    
-    // Team performance summary
-    const teamPerformance = teams.map(team => ({
-      _id: team._id,
-      name: team.name,
-      productName: team.productName,
-      memberCount: team.memberCount,
-      stats: team.stats,
-      reputationBadge: team.reputationBadge,
-      lastActivity: team.lastActivity,
-      owner: team.owner
-    }));
-    
-    res.json({
-      success: true,
-      data: {
-        orgMetrics,
-        teams: teamPerformance,
-        recentActivity,
-        topPerformers: orgMetrics.topPerformers,
-        teamsNeedingAttention: orgMetrics.teamsNeedingAttention
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching CXO dashboard:', error);
-    res.status(500).json({
-      error: 'Failed to fetch CXO dashboard',
-      message: error.message
-    });
-  }
-});
-
-// GET /api/dashboard/analytics - Get analytics data
-router.get('/analytics', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    let user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      // Auto-create test user profile if email ends with @test.com
-      if (googleUser.email && googleUser.email.endsWith('@test.com')) {
-        user = await User.create({
-          email: googleUser.email,
-          firstName: googleUser.firstName || 'Test',
-          lastName: googleUser.lastName || googleUser.username || '',
-          avatar: '',
-          onboarded: false,
-          role: googleUser.role || 'tester',
-          stats: {
-            linksCreated: 0,
-            responseRate: 0,
-            averageResponseTime: 0,
-            reputationScore: 0
-          },
-          badges: [],
-          teams: []
-        });
-      } else {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User profile not found'
-        });
-      }
-    }
-    
-    const { teamId, period = '30d' } = req.query;
-    
-    // Build date filter
-    const dateFilter = getDateFilter(period);
-    
-    // Build query
-    let query = {};
-    if (teamId) {
-      query.team = teamId;
+router.get('/cxo', authorize('dashboard:cxo'), asyncHandler(async (req, res) => {
+  // Get all teams
+  const teams = await Team.find({ status: 'ACTIVE' })
+    .populate('owner', 'name')
+    .populate('members.userId', 'name role stats')
+    .sort({ lastActivity: -1 });
+  
+  // Get all users with stats
+  const users = await User.find()
+    .select('name role stats badges teams')
+    .sort({ 'stats.reputationScore': -1 });
+  
+  // Calculate organization-wide metrics
+  const orgMetrics = {
+    totalTeams: teams.length,
+    totalUsers: users.length,
+    activeTeams: teams.filter(t => t.status === 'ACTIVE').length,
+    averageResponseRate: calculateAverageResponseRate(teams),
+    averageResponseTime: calculateAverageResponseTime(teams),
+    topPerformers: users.slice(0, 5),
+    teamsNeedingAttention: teams.filter(t => t.stats.responseRate < 50).slice(0, 5)
+  };
+  
+  // Get recent activity across all teams
+  const recentActivity = await Link.find()
+    .populate('participants.userId', 'name')
+    .populate('team', 'name productName')
+    .sort({ createdAt: -1 })
+    .limit(20);
+  
+  // Team performance summary
+  const teamPerformance = teams.map(team => ({
+    _id: team._id,
+    name: team.name,
+    productName: team.productName,
+    memberCount: team.memberCount,
+    stats: team.stats,
+    reputationBadge: team.reputationBadge,
+    lastActivity: team.lastActivity,
+    owner: team.owner
+  }));
+  
+  res.json({
+    success: true,
+    data: {
+      orgMetrics,
+      teams: teamPerformance,
+      recentActivity,
+      topPerformers: orgMetrics.topPerformers,
+      teamsNeedingAttention: orgMetrics.teamsNeedingAttention
     }
-    query.createdAt = dateFilter;
-    
-    // Get links analytics
-    const linksAnalytics = await Link.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
-          },
-          count: { $sum: 1 },
-          completed: {
-            $sum: { $cond: [{ $eq: ["$status", "COMPLETED"] }, 1, 0] }
-          }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
-    
-    // Get team performance trends
-    const teamTrends = await Team.aggregate([
-      { $match: { status: 'ACTIVE' } },
-      {
-        $group: {
-          _id: null,
-          avgResponseRate: { $avg: "$stats.responseRate" },
-          avgResponseTime: { $avg: "$stats.averageResponseTime" },
-          totalLinks: { $sum: "$stats.totalLinks" },
-          totalNudges: { $sum: "$stats.totalNudges" }
+  });
+}));
+
+// GET /api/dashboard/analytics - Get analytics data for one team, or
+// org-wide for CXOs (as on the CXO dashboard)
+router.get('/analytics', authorize('dashboard:analytics'), asyncHandler(async (req, res) => {
+  const { period = '30d' } = req.query;
+  
+  // Build date filter
+  const dateFilter = getDateFilter(period);
+  
+  // Scope both aggregates to the authorized team; req.team is only unset
+  // for unscoped (CXO) requests. Aggregates skip schema casting, so match on
+  // the resolved ObjectId rather than the query string.
+  const linkMatch = { createdAt: dateFilter };
+  const teamMatch = { status: 'ACTIVE' };
+  if (req.team) {
+    const teamId = new mongoose.Types.ObjectId(req.team._id);
+    linkMatch.team = teamId;
+    teamMatch._id = teamId;
+    delete teamMatch.status;
+  }
+  
+  // Get links analytics
+  const linksAnalytics = await Link.aggregate([
+    { $match: linkMatch },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
+        },
+        count: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "COMPLETED"] }, 1, 0] }
         }
       }
-    ]);
-    
-    res.json({
-      success: true,
-      data: {
-        links: linksAnalytics,
-        teamTrends: teamTrends[0] || {},
-        period
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  
+  // Get team performance trends
+  const teamTrends = await Team.aggregate([
+    { $match: teamMatch },
+    {
+      $group: {
+        _id: null,
+        avgResponseRate: { $avg: "$stats.responseRate" },
+        avgResponseTime: { $avg: "$stats.averageResponseTime" },
+        totalLinks: { $sum: "$stats.totalLinks" },
+        totalNudges: { $sum: "$stats.totalNudges" }
       }
-    });
-  } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({
-      error: 'Failed to fetch analytics',
-      message: error.message
-    });
-  }
-});
+    }
+  ]);
+  
+  res.json({
+    success: true,
+    data: {
+      links: linksAnalytics,
+      teamTrends: teamTrends[0] || {},
+      period
+    }
+  });
+}));
 
 // Helper functions
 function calculateAverageResponseRate(teams) {
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/errors');
+const lifecycle = require('../services/lifecycle');
+
+// How long a database ping may take before the instance counts as not ready
+const DB_PING_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS, 10) || 2000;
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Ping MongoDB, bounded by DB_PING_TIMEOUT_MS
+async function checkDatabase() {
+  const state = CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+  if (mongoose.connection.readyState !== 1) {
+    return { status: 'DOWN', state };
+  }
+
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Ping timed out after ${DB_PING_TIMEOUT_MS}ms`)), DB_PING_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'UP', state, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'DOWN', state, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// GET /health/live - Liveness: the process is up and serving requests
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'OK',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /health/ready - Readiness: startup has finished, the server is not
+// shutting down, and MongoDB is connected and answers a ping
+// GET /health - Same as /health/ready
+const readinessHandler = asyncHandler(async (req, res) => {
+  const mongodb = await checkDatabase();
+  const ready = lifecycle.isReady() && mongodb.status === 'UP';
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'OK' : 'UNAVAILABLE',
+    phase: lifecycle.getPhase(),
+    checks: { mongodb },
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/ready', readinessHandler);
+router.get('/', readinessHandler);
+
+module.exports = router;
@@ -2,10 +2,19 @@ const express = require('express');
 const router = express.Router();
 const Link = require('../models/Link');
 const User = require('../models/User');
-const Team = require('../models/Team');
-const { requireTeamMembership } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { findActiveMembership } = require('../middleware/permissions');
 const Joi = require('joi');
 const authMiddleware = require('../middleware/auth');
+const { emitLinkEvent, EVENTS } = require('../services/realtime');
+const { recordAsk, recordResponse } = require('../services/activityService');
+const { scheduleBadgeEvaluation } = require('../services/badgeService');
+const recurrence = require('../services/recurrenceService');
+const { buildCalendar } = require('../services/icalendar');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { listQuery, paginate, pageMeta } = require('../middleware/pagination');
+const { consumeAiSummaryQuota } = require('../middleware/rateLimit');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errors');
 
 router.use(authMiddleware);
 
@@ -18,659 +27,754 @@ const createLinkSchema = Joi.object({
   meetingType: Joi.string().valid('QUICK_SYNC', 'REVIEW', 'PLANNING', 'DECISION', 'BRAINSTORM', 'STATUS_UPDATE').required(),
   scheduledAt: Joi.date().optional(),
   priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'CRITICAL').default('MEDIUM'),
-  tags: Joi.array().items(Joi.string().max(50))
-});
+  tags: Joi.array().items(Joi.string().max(50)),
+  // iCalendar RRULE (e.g. FREQ=WEEKLY;BYDAY=MO) anchored at scheduledAt,
+  // repeating in an IANA time zone (UTC when omitted)
+  recurrence: Joi.object({
+    rule: Joi.string().required().max(500),
+    timezone: Joi.string().max(64).allow(null)
+  }).optional()
+}).with('recurrence', 'scheduledAt');
 
 const updateLinkSchema = Joi.object({
   title: Joi.string().min(3).max(200),
   purpose: Joi.string().max(1000),
-  status: Joi.string().valid('PENDING', 'COMPLETE', 'DELAYED'),
+  // IN_PROGRESS/COMPLETED are only reachable via /start and /complete
+  status: Joi.string().valid('PENDING', 'SCHEDULED', 'DELAYED', 'CANCELLED'),
+  statusReason: Joi.string().allow('').max(500),
   scheduledAt: Joi.date(),
   notes: Joi.string().max(2000),
   priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'CRITICAL'),
-  tags: Joi.array().items(Joi.string().max(50))
+  tags: Joi.array().items(Joi.string().max(50)),
+  // Only with ?scope=series
+  rule: Joi.string().max(500),
+  timezone: Joi.string().max(64).allow(null)
 });
 
 const addOutcomeSchema = Joi.object({
   type: Joi.string().valid('DECISION', 'ACTION_ITEM', 'BLOCKER', 'INSIGHT', 'NEXT_STEPS').required(),
   description: Joi.string().required().max(500),
-  assignedTo: Joi.string().optional(),
+  assignedTo: Joi.string().hex().length(24).optional(),
   dueDate: Joi.date().optional()
 });
 
+const updateOutcomeSchema = Joi.object({
+  type: Joi.string().valid('DECISION', 'ACTION_ITEM', 'BLOCKER', 'INSIGHT', 'NEXT_STEPS'),
+  description: Joi.string().max(500),
+  assignedTo: Joi.string().hex().length(24).allow(null),
+  dueDate: Joi.date().allow(null),
+  status: Joi.string().valid('PENDING', 'IN_PROGRESS', 'COMPLETED', 'BLOCKED')
+}).min(1);
+
+// List parameters shared by the link list endpoints
+const LINK_FILTERS = {
+  status: { type: 'in', values: Link.STATUSES },
+  priority: { type: 'in', values: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+  impact: { type: 'in', values: ['MINOR', 'MODERATE', 'MAJOR', 'BLOCKING'] },
+  meetingType: { type: 'in', values: ['QUICK_SYNC', 'REVIEW', 'PLANNING', 'DECISION', 'BRAINSTORM', 'STATUS_UPDATE'] },
+  tags: { type: 'all' },
+  scheduled: { type: 'dateRange', field: 'scheduledAt' },
+  created: { type: 'dateRange', field: 'createdAt' }
+};
+
+const LINK_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  scheduledAt: 'scheduledAt',
+  title: 'title'
+};
+
+const linkListQuery = listQuery({
+  sortFields: LINK_SORT_FIELDS,
+  defaultSort: '-createdAt',
+  filters: { ...LINK_FILTERS, teamId: { type: 'objectId', field: 'team' } }
+});
+
+const teamLinkListQuery = listQuery({
+  sortFields: LINK_SORT_FIELDS,
+  defaultSort: '-createdAt',
+  filters: LINK_FILTERS
+});
+
+const occurrenceListQuery = listQuery({
+  sortFields: { scheduledAt: 'scheduledAt' },
+  defaultSort: 'scheduledAt',
+  filters: {
+    status: LINK_FILTERS.status,
+    scheduled: LINK_FILTERS.scheduled
+  },
+  defaultLimit: 50
+});
+
+// Outcomes can only be assigned to active members of the link's team
+function assertAssignable(team, assignedTo) {
+  if (assignedTo && !findActiveMembership(team, assignedTo)) {
+    return 'Outcomes can only be assigned to active team members';
+  }
+  return null;
+}
+
 // GET /api/links - Get user's links
-router.get('/', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const { status, teamId, limit = 20 } = req.query;
-    
-    // Build query
-    const query = {
-      'participants.userId': user._id
-    };
-    
-    if (status) query.status = status;
-    if (teamId) query.team = teamId;
-    
-    const links = await Link.find(query)
+router.get('/', authorize('link:list'), linkListQuery, asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  // Build query
+  const query = {
+    ...req.listQuery.filter,
+    'participants.userId': user._id
+  };
+  
+  const page = await paginate(
+    Link.find(query)
       .populate('participants.userId', 'name email avatar department designation')
       .populate('team', 'name productName')
-      .populate('outcomes.assignedTo', 'name email avatar')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit));
-    
-    // After populating participants.userId, ensure every user has a 'name' field
-    if (Array.isArray(links)) {
-      links.forEach(link => {
-        if (Array.isArray(link.participants)) {
-          link.participants.forEach(p => {
-            if (p.userId && !p.userId.name) {
-              if (p.userId.email) {
-                p.userId.name = p.userId.email.split('@')[0];
-              } else {
-                p.userId.name = 'Unknown';
-              }
+      .populate('outcomes.assignedTo', 'name email avatar'),
+    req.listQuery
+  );
+  const links = page.items;
+  
+  // After populating participants.userId, ensure every user has a 'name' field
+  if (Array.isArray(links)) {
+    links.forEach(link => {
+      if (Array.isArray(link.participants)) {
+        link.participants.forEach(p => {
+          if (p.userId && !p.userId.name) {
+            if (p.userId.email) {
+              p.userId.name = p.userId.email.split('@')[0];
+            } else {
+              p.userId.name = 'Unknown';
             }
-          });
-        }
-      });
-    } else if (links && Array.isArray(links.participants)) {
-      links.participants.forEach(p => {
-        if (p.userId && !p.userId.name) {
-          if (p.userId.email) {
-            p.userId.name = p.userId.email.split('@')[0];
-          } else {
-            p.userId.name = 'Unknown';
           }
+        });
+      }
+    });
+  } else if (links && Array.isArray(links.participants)) {
+    links.participants.forEach(p => {
+      if (p.userId && !p.userId.name) {
+        if (p.userId.email) {
+          p.userId.name = p.userId.email.split('@')[0];
+        } else {
+          p.userId.name = 'Unknown';
         }
-      });
-    }
-    
-    // After populating participants.userId, add a debug log
-    if (Array.isArray(links)) {
-      links.forEach(link => {
-        if (Array.isArray(link.participants)) {
-          console.log('Populated participants for link', link._id, ':', link.participants.map(p => p.userId));
-        }
-      });
-    } else if (links && Array.isArray(links.participants)) {
-      console.log('Populated participants for link', links._id, ':', links.participants.map(p => p.userId));
-    }
-    
-    res.json({
-      success: true,
-      data: links,
-      count: links.length
+      }
     });
-  } catch (error) {
-    console.error('Error fetching links:', error);
-    res.status(500).json({
-      error: 'Failed to fetch links',
-      message: error.message
+  }
+  
+  if (req.log.isLevelEnabled('debug')) {
+    req.log.debug('Populated link participants', {
+      links: links.map(link => ({
+        linkId: link._id,
+        participants: link.participants.map(p => (p.userId && p.userId._id) || p.userId)
+      }))
     });
   }
-});
+  
+  res.json({
+    success: true,
+    data: links,
+    ...pageMeta(page)
+  });
+}));
 
 // POST /api/links - Create a new link
-router.post('/', async (req, res) => {
-  try {
-    // Validate request body
-    const { error, value } = createLinkSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const { teamId, title, purpose, participants, meetingType, scheduledAt, priority, tags } = value;
-    const initiatorId = user._id;
-    
-    // Verify team membership
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The specified team does not exist'
-      });
+router.post('/', authorize('link:create'), asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = createLinkSchema.validate(req.body);
+  if (error) throw error;
+  
+  const user = req.user;
+  
+  const { teamId, title, purpose, participants, meetingType, scheduledAt, priority, tags } = value;
+  const initiatorId = user._id;
+  
+  let recurrenceRule = null;
+  let recurrenceTimezone = null;
+  if (value.recurrence) {
+    try {
+      const parsed = recurrence.parseRule(value.recurrence.rule, scheduledAt, value.recurrence.timezone);
+      recurrenceRule = parsed.text;
+      recurrenceTimezone = parsed.timezone;
+    } catch (ruleError) {
+      throw new ValidationError(ruleError.message);
     }
-    
-    const isMember = team.members.find(member => 
-      member.userId.toString() === initiatorId.toString()
-    );
-    
-    if (!isMember) {
-      return res.status(403).json({
-        error: 'Team access denied',
-        message: 'You must be a member of the team to create links'
-      });
-    }
-    
-    // Verify participants are team members
-    const validParticipants = [initiatorId.toString()]; // Include initiator
-    for (const participantId of participants) {
-      const participant = team.members.find(member => 
-        member.userId.toString() === participantId
-      );
-      if (participant) {
-        validParticipants.push(participantId);
-      }
+  }
+  
+  // authorize('link:create') resolved the team and checked the initiator is
+  // an active member
+  const team = req.team;
+  
+  // Keep only participants who are active team members (removed members
+  // stay in team.members with isActive: false)
+  const validParticipants = [initiatorId.toString()]; // Include initiator
+  for (const participantId of participants) {
+    if (findActiveMembership(team, participantId)) {
+      validParticipants.push(participantId);
     }
-    
-    // Create link
-    const link = new Link({
-      title,
-      purpose,
-      team: teamId,
-      meetingType,
-      scheduledAt,
-      priority,
-      tags
-    });
-    
-    // Add participants
-    validParticipants.forEach((participantId, index) => {
-      const role = index === 0 ? 'INITIATOR' : 'PARTICIPANT';
-      link.addParticipant(participantId, role);
-    });
-    
-    await link.save();
-    
-    // Update team stats
-    team.updateStats(1, 0);
-    await team.save();
-    
-    // Update user stats
-    await User.findByIdAndUpdate(initiatorId, {
-      $inc: { 'stats.linksCreated': 1 }
-    });
-    
-    // Populate data for response
-    await link.populate('participants.userId', 'name email avatar department designation');
-    await link.populate('team', 'name productName');
-    
-    res.status(201).json({
-      success: true,
-      message: 'Link created successfully',
-      data: link
-    });
-  } catch (error) {
-    console.error('Error creating link:', error);
-    res.status(500).json({
-      error: 'Failed to create link',
-      message: error.message
-    });
   }
-});
+  
+  // Create link
+  const link = new Link({
+    title,
+    purpose,
+    team: teamId,
+    meetingType,
+    scheduledAt,
+    status: scheduledAt ? 'SCHEDULED' : 'PENDING',
+    statusHistory: [{ from: null, to: scheduledAt ? 'SCHEDULED' : 'PENDING', by: initiatorId }],
+    priority,
+    tags,
+    recurrence: { rule: recurrenceRule, timezone: recurrenceTimezone }
+  });
+  
+  // Add participants
+  validParticipants.forEach((participantId, index) => {
+    const role = index === 0 ? 'INITIATOR' : 'PARTICIPANT';
+    link.addParticipant(participantId, role);
+  });
+  
+  await link.save();
+  
+  // Generate the first batch of occurrences for a recurring series
+  const occurrences = recurrenceRule ? await recurrence.materializeSeries(link) : [];
+  
+  // Every invited participant now owes a response
+  await Promise.all(link.participants
+    .filter(p => p.role !== 'INITIATOR')
+    .map(p => recordAsk({ user: p.userId, team: team._id, source: 'LINK_INVITE', link: link._id })));
+  
+  // Update team stats
+  team.updateStats(1);
+  await team.save();
+  
+  // Update user stats
+  await User.findByIdAndUpdate(initiatorId, {
+    $inc: { 'stats.totalLinks': 1 }
+  });
+  
+  // Populate data for response
+  await link.populate('participants.userId', 'name email avatar department designation');
+  await link.populate('team', 'name productName');
+  
+  scheduleBadgeEvaluation(link.participants.map(p => p.userId));
+  emitLinkEvent(link, EVENTS.LINK_CREATED, { link });
+  recordAudit(req, {
+    action: 'link.create',
+    team,
+    target: { type: 'LINK', id: link._id, label: link.title },
+    after: snapshot('LINK', link),
+    metadata: { participants: validParticipants, occurrences: occurrences.length }
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Link created successfully',
+    data: link,
+    ...(recurrenceRule && { occurrences })
+  });
+}));
 
 // GET /api/links/:linkId - Get link details
-router.get('/:linkId', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const link = await Link.findById(linkId)
-      .populate('participants.userId', 'name email avatar department designation')
-      .populate('team', 'name productName')
-      .populate('outcomes.assignedTo', 'name email avatar');
-    
-    if (!link) {
-      return res.status(404).json({
-        error: 'Link not found',
-        message: 'The requested link does not exist'
-      });
-    }
-    
-    // Check if user is a participant
-    const isParticipant = link.participants.some(p => 
-      p.userId._id.toString() === user._id.toString()
-    );
-    
-    if (!isParticipant) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this link'
-      });
-    }
-    
-    // After populating participants.userId, ensure every user has a 'name' field
-    if (Array.isArray(link.participants)) {
-      link.participants.forEach(p => {
-        if (p.userId && !p.userId.name) {
-          if (p.userId.email) {
-            p.userId.name = p.userId.email.split('@')[0];
-          } else {
-            p.userId.name = 'Unknown';
-          }
+router.get('/:linkId', authorize('link:read'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  
+  const link = await Link.findById(linkId)
+    .populate('participants.userId', 'name email avatar department designation')
+    .populate('team', 'name productName')
+    .populate('outcomes.assignedTo', 'name email avatar');
+  
+  if (!link) {
+    throw new NotFoundError('Link');
+  }
+  
+  // After populating participants.userId, ensure every user has a 'name' field
+  if (Array.isArray(link.participants)) {
+    link.participants.forEach(p => {
+      if (p.userId && !p.userId.name) {
+        if (p.userId.email) {
+          p.userId.name = p.userId.email.split('@')[0];
+        } else {
+          p.userId.name = 'Unknown';
         }
-      });
-    } else if (link && link.participants && !link.participants.name) {
-      if (link.participants.email) {
-        link.participants.name = link.participants.email.split('@')[0];
-      } else {
-        link.participants.name = 'Unknown';
       }
-    }
-    
-    res.json({
-      success: true,
-      data: link
-    });
-  } catch (error) {
-    console.error('Error fetching link:', error);
-    res.status(500).json({
-      error: 'Failed to fetch link',
-      message: error.message
     });
+  } else if (link && link.participants && !link.participants.name) {
+    if (link.participants.email) {
+      link.participants.name = link.participants.email.split('@')[0];
+    } else {
+      link.participants.name = 'Unknown';
+    }
   }
-});
+  
+  res.json({
+    success: true,
+    data: link
+  });
+}));
 
 // PUT /api/links/:linkId - Update link
-router.put('/:linkId', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    // Validate request body
-    const { error, value } = updateLinkSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    const link = await Link.findById(linkId);
-    if (!link) {
-      return res.status(404).json({
-        error: 'Link not found',
-        message: 'The requested link does not exist'
-      });
-    }
-    
-    // Check if user is a participant
-    const isParticipant = link.participants.some(p => 
-      p.userId.toString() === user._id.toString()
-    );
-    
-    if (!isParticipant) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this link'
-      });
-    }
-    
-    // Update link
-    Object.assign(link, value);
-    await link.save();
-    
-    // Populate data for response
-    await link.populate('participants.userId', 'name email avatar department designation');
-    await link.populate('team', 'name productName');
-    await link.populate('outcomes.assignedTo', 'name email avatar');
-    
-    // After populating participants.userId, ensure every user has a 'name' field
-    if (Array.isArray(link.participants)) {
-      link.participants.forEach(p => {
-        if (p.userId && !p.userId.name) {
-          if (p.userId.email) {
-            p.userId.name = p.userId.email.split('@')[0];
-          } else {
-            p.userId.name = 'Unknown';
-          }
-        }
-      });
-    } else if (link && link.participants && !link.participants.name) {
-      if (link.participants.email) {
-        link.participants.name = link.participants.email.split('@')[0];
-      } else {
-        link.participants.name = 'Unknown';
+router.put('/:linkId', authorize('link:update'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  
+  // Validate request body
+  const { error, value } = updateLinkSchema.validate(req.body);
+  if (error) throw error;
+  
+  const link = await Link.findById(linkId);
+  if (!link) {
+    throw new NotFoundError('Link');
+  }
+  
+  const { status, statusReason, rule, timezone, ...changes } = value;
+  
+  // Series-wide edit: applies to the master and its untouched future occurrences
+  if (req.query.scope === 'series') {
+    const master = link.isSeries ? link : await Link.findById(link.recurrence.parentLinkId);
+    if (!master) {
+      throw new ValidationError('scope=series can only be used on a recurring link', { label: 'Not a recurring link' });
+    }
+    const seriesBefore = snapshot('LINK', master);
+    
+    if (status === 'CANCELLED') {
+      await recurrence.cancelSeries(master, { by: req.user._id });
+    } else if (status) {
+      throw new ValidationError('A series can only be cancelled as a whole', { label: 'Invalid status' });
+    } else {
+      try {
+        await recurrence.updateSeries(master, { ...changes, rule, timezone });
+      } catch (seriesError) {
+        if (!seriesError.message.startsWith('Invalid recurrence rule')) throw seriesError;
+        throw new ValidationError(seriesError.message);
       }
     }
     
-    res.json({
+    emitLinkEvent(master, EVENTS.LINK_UPDATED, { link: master, scope: 'series' });
+    recordAudit(req, {
+      action: 'link.update',
+      team: master.team,
+      target: { type: 'LINK', id: master._id, label: master.title },
+      before: seriesBefore,
+      after: snapshot('LINK', master),
+      metadata: { scope: 'series' }
+    });
+    
+    return res.json({
       success: true,
-      message: 'Link updated successfully',
-      data: link
+      message: 'Series updated successfully',
+      data: master
     });
-  } catch (error) {
-    console.error('Error updating link:', error);
-    res.status(500).json({
-      error: 'Failed to update link',
-      message: error.message
+  }
+  
+  if (rule || timezone !== undefined) {
+    throw new ValidationError('rule and timezone can only be changed with scope=series');
+  }
+  
+  if (status && status !== link.status && !link.canTransitionTo(status)) {
+    throw new ValidationError(`Link cannot move from ${link.status} to ${status}`, { label: 'Invalid status' });
+  }
+  
+  // Update link; an individually edited occurrence is detached from series edits
+  const before = snapshot('LINK', link);
+  Object.assign(link, changes);
+  if (link.isOccurrence && Object.keys(changes).length > 0) {
+    link.recurrence.isException = true;
+  }
+  if (status && status !== link.status) {
+    link.transitionTo(status, { by: req.user._id, reason: statusReason || '' });
+  }
+  await link.save();
+  
+  // Populate data for response
+  await link.populate('participants.userId', 'name email avatar department designation');
+  await link.populate('team', 'name productName');
+  await link.populate('outcomes.assignedTo', 'name email avatar');
+  
+  // After populating participants.userId, ensure every user has a 'name' field
+  if (Array.isArray(link.participants)) {
+    link.participants.forEach(p => {
+      if (p.userId && !p.userId.name) {
+        if (p.userId.email) {
+          p.userId.name = p.userId.email.split('@')[0];
+        } else {
+          p.userId.name = 'Unknown';
+        }
+      }
     });
+  } else if (link && link.participants && !link.participants.name) {
+    if (link.participants.email) {
+      link.participants.name = link.participants.email.split('@')[0];
+    } else {
+      link.participants.name = 'Unknown';
+    }
   }
-});
+  
+  recordResponse({ user: req.user._id, link: link._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+  
+  emitLinkEvent(link, EVENTS.LINK_UPDATED, { link });
+  recordAudit(req, {
+    action: 'link.update',
+    team: req.team,
+    target: { type: 'LINK', id: link._id, label: link.title },
+    before,
+    after: snapshot('LINK', link)
+  });
+  
+  res.json({
+    success: true,
+    message: 'Link updated successfully',
+    data: link
+  });
+}));
 
 // POST /api/links/:linkId/start - Start meeting
-router.post('/:linkId/start', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const link = await Link.findById(linkId);
-    if (!link) {
-      return res.status(404).json({
-        error: 'Link not found',
-        message: 'The requested link does not exist'
-      });
-    }
-    
-    // Check if user is a participant
-    const isParticipant = link.participants.some(p => 
-      p.userId.toString() === user._id.toString()
-    );
-    
-    if (!isParticipant) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this link'
-      });
-    }
-    
-    if (link.status !== 'SCHEDULED' && link.status !== 'PENDING') {
-      return res.status(400).json({
-        error: 'Invalid status',
-        message: 'Meeting can only be started when status is SCHEDULED or PENDING'
-      });
-    }
-    
-    link.startMeeting();
-    await link.save();
-    
-    res.json({
-      success: true,
-      message: 'Meeting started successfully',
-      data: link
-    });
-  } catch (error) {
-    console.error('Error starting meeting:', error);
-    res.status(500).json({
-      error: 'Failed to start meeting',
-      message: error.message
-    });
+router.post('/:linkId/start', authorize('link:run'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  
+  const link = await Link.findById(linkId);
+  if (!link) {
+    throw new NotFoundError('Link');
   }
-});
+  
+  if (!link.canTransitionTo('IN_PROGRESS')) {
+    throw new ValidationError(`Meeting cannot be started while status is ${link.status}`, { label: 'Invalid status' });
+  }
+  
+  const before = snapshot('LINK', link);
+  link.startMeeting(req.user._id);
+  await link.save();
+  
+  recordResponse({ user: req.user._id, link: link._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+  
+  emitLinkEvent(link, EVENTS.MEETING_STARTED, { link });
+  recordAudit(req, {
+    action: 'link.start',
+    team: req.team,
+    target: { type: 'LINK', id: link._id, label: link.title },
+    before,
+    after: snapshot('LINK', link)
+  });
+  
+  res.json({
+    success: true,
+    message: 'Meeting started successfully',
+    data: link
+  });
+}));
 
 // POST /api/links/:linkId/complete - Complete meeting
-router.post('/:linkId/complete', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    const { duration, notes } = req.body;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const link = await Link.findById(linkId);
-    if (!link) {
-      return res.status(404).json({
-        error: 'Link not found',
-        message: 'The requested link does not exist'
-      });
-    }
-    
-    // Check if user is a participant
-    const isParticipant = link.participants.some(p => 
-      p.userId.toString() === user._id.toString()
-    );
-    
-    if (!isParticipant) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this link'
-      });
-    }
-    
-    if (link.status !== 'IN_PROGRESS') {
-      return res.status(400).json({
-        error: 'Invalid status',
-        message: 'Meeting can only be completed when status is IN_PROGRESS'
+router.post('/:linkId/complete', authorize('link:run'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  const { duration, notes } = req.body;
+  
+  const link = await Link.findById(linkId);
+  if (!link) {
+    throw new NotFoundError('Link');
+  }
+  
+  if (link.status !== 'IN_PROGRESS') {
+    throw new ValidationError('Meeting can only be completed when status is IN_PROGRESS', { label: 'Invalid status' });
+  }
+  
+  const before = snapshot('LINK', link);
+  link.completeMeeting(duration || 0, notes || '', req.user._id);
+  await link.save();
+  
+  // Generate AI summary if OpenAI is configured and the user has quota left;
+  // the meeting is completed either way
+  let aiSummaryQuota = null;
+  if (process.env.OPENAI_API_KEY) {
+    aiSummaryQuota = await consumeAiSummaryQuota(req.user._id);
+  }
+  if (aiSummaryQuota && aiSummaryQuota.allowed) {
+    try {
+      const OpenAI = require('openai');
+      const openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
       });
+      await link.generateAISummary(openai);
+      await link.save();
+    } catch (aiError) {
+      req.log.error('Error generating AI summary', { linkId: link._id, error: aiError });
     }
-    
-    link.completeMeeting(duration || 0, notes || '');
-    await link.save();
-    
-    // Generate AI summary if OpenAI is configured
-    if (process.env.OPENAI_API_KEY) {
-      try {
-        const OpenAI = require('openai');
-        const openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY
-        });
-        await link.generateAISummary(openai);
-        await link.save();
-      } catch (aiError) {
-        console.error('Error generating AI summary:', aiError);
-      }
-    }
-    
-    res.json({
-      success: true,
-      message: 'Meeting completed successfully',
-      data: link
-    });
-  } catch (error) {
-    console.error('Error completing meeting:', error);
-    res.status(500).json({
-      error: 'Failed to complete meeting',
-      message: error.message
-    });
   }
-});
+  
+  recordResponse({ user: req.user._id, link: link._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+  
+  scheduleBadgeEvaluation(link.participants.map(p => p.userId));
+  emitLinkEvent(link, EVENTS.MEETING_COMPLETED, { link });
+  recordAudit(req, {
+    action: 'link.complete',
+    team: req.team,
+    target: { type: 'LINK', id: link._id, label: link.title },
+    before,
+    after: snapshot('LINK', link)
+  });
+  
+  res.json({
+    success: true,
+    message: aiSummaryQuota && !aiSummaryQuota.allowed
+      ? 'Meeting completed successfully; AI summary skipped (limit reached)'
+      : 'Meeting completed successfully',
+    data: link
+  });
+}));
 
 // POST /api/links/:linkId/outcomes - Add outcome
-router.post('/:linkId/outcomes', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    // Validate request body
-    const { error, value } = addOutcomeSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    const { type, description, assignedTo, dueDate } = value;
-    
-    const link = await Link.findById(linkId);
-    if (!link) {
-      return res.status(404).json({
-        error: 'Link not found',
-        message: 'The requested link does not exist'
-      });
-    }
-    
-    // Check if user is a participant
-    const isParticipant = link.participants.some(p => 
-      p.userId.toString() === user._id.toString()
-    );
-    
-    if (!isParticipant) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this link'
-      });
-    }
-    
-    link.addOutcome(type, description, assignedTo, dueDate);
-    await link.save();
-    
-    // Populate data for response
-    await link.populate('outcomes.assignedTo', 'name email avatar');
-    
-    res.json({
-      success: true,
-      message: 'Outcome added successfully',
-      data: link
-    });
-  } catch (error) {
-    console.error('Error adding outcome:', error);
-    res.status(500).json({
-      error: 'Failed to add outcome',
-      message: error.message
-    });
+router.post('/:linkId/outcomes', authorize('link:addOutcome'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  
+  // Validate request body
+  const { error, value } = addOutcomeSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { type, description, assignedTo, dueDate } = value;
+  
+  const assignError = assertAssignable(req.team, assignedTo);
+  if (assignError) {
+    throw new ValidationError(assignError);
   }
-});
+  
+  const link = await Link.findById(linkId);
+  if (!link) {
+    throw new NotFoundError('Link');
+  }
+  
+  const outcome = link.addOutcome(type, description, assignedTo, dueDate);
+  await link.save();
+  recordAudit(req, {
+    action: 'link.outcome.create',
+    team: req.team,
+    target: { type: 'OUTCOME', id: outcome._id, label: link.title },
+    after: snapshot('OUTCOME', outcome),
+    metadata: { link: link._id }
+  });
+  
+  // Populate data for response
+  await link.populate('outcomes.assignedTo', 'name email avatar');
+  
+  recordResponse({ user: req.user._id, link: link._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+  
+  emitLinkEvent(link, EVENTS.OUTCOME_ADDED, { outcome: link.outcomes[link.outcomes.length - 1] });
+  
+  res.json({
+    success: true,
+    message: 'Outcome added successfully',
+    data: link
+  });
+}));
+
+// GET /api/links/:linkId/outcomes - Get a link's outcomes
+router.get('/:linkId/outcomes', authorize('link:read'), asyncHandler(async (req, res) => {
+  const link = req.link;
+  await link.populate('outcomes.assignedTo', 'name email avatar');
+  
+  let outcomes = link.outcomes;
+  if (req.query.status) {
+    const statuses = req.query.status.split(',');
+    outcomes = outcomes.filter(outcome => statuses.includes(outcome.status));
+  }
+  
+  res.json({
+    success: true,
+    data: outcomes,
+    count: outcomes.length
+  });
+}));
+
+// PUT /api/links/:linkId/outcomes/:outcomeId - Update, reassign or complete an outcome
+router.put('/:linkId/outcomes/:outcomeId', authorize('link:updateOutcome'), asyncHandler(async (req, res) => {
+  const { error, value } = updateOutcomeSchema.validate(req.body);
+  if (error) throw error;
+  
+  const link = req.link;
+  const outcome = link.outcomes.id(req.params.outcomeId);
+  if (!outcome) {
+    throw new NotFoundError('Outcome');
+  }
+  
+  const assignError = assertAssignable(req.team, value.assignedTo);
+  if (assignError) {
+    throw new ValidationError(assignError);
+  }
+  
+  const before = snapshot('OUTCOME', outcome);
+  const { status, ...fields } = value;
+  Object.assign(outcome, fields);
+  if (status) {
+    link.setOutcomeStatus(outcome, status);
+  }
+  await link.save();
+  recordAudit(req, {
+    action: 'link.outcome.update',
+    team: req.team,
+    target: { type: 'OUTCOME', id: outcome._id, label: link.title },
+    before,
+    after: snapshot('OUTCOME', outcome),
+    metadata: { link: link._id }
+  });
+  
+  await link.populate('outcomes.assignedTo', 'name email avatar');
+  const updated = link.outcomes.id(outcome._id);
+  
+  recordResponse({ user: req.user._id, link: link._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+  
+  emitLinkEvent(link, EVENTS.OUTCOME_UPDATED, { outcome: updated, metrics: link.metrics });
+  
+  res.json({
+    success: true,
+    message: 'Outcome updated successfully',
+    data: updated
+  });
+}));
+
+// DELETE /api/links/:linkId/outcomes/:outcomeId - Delete an outcome
+router.delete('/:linkId/outcomes/:outcomeId', authorize('link:deleteOutcome'), asyncHandler(async (req, res) => {
+  const link = req.link;
+  const outcome = link.outcomes.id(req.params.outcomeId);
+  if (!outcome) {
+    throw new NotFoundError('Outcome');
+  }
+  
+  const before = snapshot('OUTCOME', outcome);
+  outcome.deleteOne();
+  await link.save();
+  recordAudit(req, {
+    action: 'link.outcome.delete',
+    team: req.team,
+    target: { type: 'OUTCOME', id: outcome._id, label: link.title },
+    before,
+    metadata: { link: link._id }
+  });
+  
+  emitLinkEvent(link, EVENTS.OUTCOME_DELETED, { outcomeId: outcome._id, metrics: link.metrics });
+  
+  res.json({
+    success: true,
+    message: 'Outcome deleted successfully'
+  });
+}));
 
 // GET /api/links/team/:teamId - Get team links
-router.get('/team/:teamId', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    const { status, limit = 20 } = req.query;
-    
-    const query = { team: teamId };
-    if (status) query.status = status;
-    
-    const links = await Link.find(query)
+router.get('/team/:teamId', authorize('team:readLinks'), teamLinkListQuery, asyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  
+  const query = { ...req.listQuery.filter, team: teamId };
+  
+  const page = await paginate(
+    Link.find(query)
       .populate('participants.userId', 'name email avatar department designation')
-      .populate('outcomes.assignedTo', 'name email avatar')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit));
-    
-    // After populating participants.userId, ensure every user has a 'name' field
-    if (Array.isArray(links)) {
-      links.forEach(link => {
-        if (Array.isArray(link.participants)) {
-          link.participants.forEach(p => {
-            if (p.userId && !p.userId.name) {
-              if (p.userId.email) {
-                p.userId.name = p.userId.email.split('@')[0];
-              } else {
-                p.userId.name = 'Unknown';
-              }
+      .populate('outcomes.assignedTo', 'name email avatar'),
+    req.listQuery
+  );
+  const links = page.items;
+  
+  // After populating participants.userId, ensure every user has a 'name' field
+  if (Array.isArray(links)) {
+    links.forEach(link => {
+      if (Array.isArray(link.participants)) {
+        link.participants.forEach(p => {
+          if (p.userId && !p.userId.name) {
+            if (p.userId.email) {
+              p.userId.name = p.userId.email.split('@')[0];
+            } else {
+              p.userId.name = 'Unknown';
             }
-          });
-        }
-      });
-    } else if (links && Array.isArray(links.participants)) {
-      links.participants.forEach(p => {
-        if (p.userId && !p.userId.name) {
-          if (p.userId.email) {
-            p.userId.name = p.userId.email.split('@')[0];
-          } else {
-            p.userId.name = 'Unknown';
           }
+        });
+      }
+    });
+  } else if (links && Array.isArray(links.participants)) {
+    links.participants.forEach(p => {
+      if (p.userId && !p.userId.name) {
+        if (p.userId.email) {
+          p.userId.name = p.userId.email.split('@')[0];
+        } else {
+          p.userId.name = 'Unknown';
         }
-      });
-    }
-    
-    // After populating participants.userId, add a debug log
-    if (Array.isArray(links)) {
-      links.forEach(link => {
-        if (Array.isArray(link.participants)) {
-          console.log('Populated participants for link', link._id, ':', link.participants.map(p => p.userId));
-        }
-      });
-    } else if (links && Array.isArray(links.participants)) {
-      console.log('Populated participants for link', links._id, ':', links.participants.map(p => p.userId));
-    }
-    
-    res.json({
-      success: true,
-      data: links,
-      count: links.length
+      }
     });
-  } catch (error) {
-    console.error('Error fetching team links:', error);
-    res.status(500).json({
-      error: 'Failed to fetch team links',
-      message: error.message
+  }
+  
+  if (req.log.isLevelEnabled('debug')) {
+    req.log.debug('Populated link participants', {
+      links: links.map(link => ({
+        linkId: link._id,
+        participants: link.participants.map(p => (p.userId && p.userId._id) || p.userId)
+      }))
     });
   }
-});
+  
+  res.json({
+    success: true,
+    data: links,
+    ...pageMeta(page)
+  });
+}));
+
+// GET /api/links/:linkId/occurrences - Get occurrences of a recurring link
+router.get('/:linkId/occurrences', authorize('link:read'), occurrenceListQuery, asyncHandler(async (req, res) => {
+  const link = req.link;
+  const masterId = link.isSeries ? link._id : link.recurrence.parentLinkId;
+  if (!masterId) {
+    throw new ValidationError('This link is not part of a series', { label: 'Not a recurring link' });
+  }
+  
+  const query = { ...req.listQuery.filter, 'recurrence.parentLinkId': masterId };
+  
+  const page = await paginate(
+    Link.find(query).select('title status scheduledAt recurrence participants'),
+    req.listQuery
+  );
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// GET /api/links/:linkId/ics - Export a link as an iCalendar file
+router.get('/:linkId/ics', authorize('link:read'), asyncHandler(async (req, res) => {
+  if (!req.link.scheduledAt) {
+    throw new ValidationError('Only links with a scheduled time can be exported', { label: 'Link not scheduled' });
+  }
+  
+  const link = await Link.findById(req.link._id)
+    .populate('participants.userId', 'name email');
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="link-${link._id}.ics"`);
+  res.send(buildCalendar([link], { name: link.title }));
+}));
 
 // DELETE /api/links/:linkId - Delete a link
-router.delete('/:linkId', async (req, res) => {
-  try {
-    const { linkId } = req.params;
-    const deleted = await Link.findByIdAndDelete(linkId);
-    if (!deleted) {
-      return res.status(404).json({ error: 'Link not found' });
-    }
-    res.json({ success: true, message: 'Link deleted' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete link', message: error.message });
+router.delete('/:linkId', authorize('link:delete'), asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+  const deleted = await Link.findByIdAndDelete(linkId);
+  if (!deleted) {
+    throw new NotFoundError('Link');
   }
-});
+  if (deleted.isOccurrence) {
+    await recurrence.excludeOccurrence(deleted);
+  } else if (deleted.isSeries) {
+    // Drop occurrences that haven't happened; keep the history
+    await Link.deleteMany({
+      'recurrence.parentLinkId': deleted._id,
+      status: { $in: ['SCHEDULED', 'PENDING', 'DELAYED'] }
+    });
+  }
+  emitLinkEvent(deleted, EVENTS.LINK_DELETED);
+  recordAudit(req, {
+    action: 'link.delete',
+    team: deleted.team,
+    target: { type: 'LINK', id: deleted._id, label: deleted.title },
+    before: snapshot('LINK', deleted)
+  });
+  res.json({ success: true, message: 'Link deleted' });
+}));
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, UnauthorizedError, ForbiddenError } = require('../middleware/errors');
+const { renderMetrics, CONTENT_TYPE } = require('../services/metrics');
+
+// Scrapes on the internal metrics listener (METRICS_PORT, not publicly
+// routed) are always allowed. Elsewhere scrapers must send METRICS_TOKEN as a
+// bearer token; without one configured, only non-production servers serve
+// /metrics.
+function hasMetricsAccess(req) {
+  if (req.app.locals.internalMetrics) return true;
+
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new ForbiddenError('Metrics require METRICS_TOKEN or the internal metrics port', { label: 'Metrics disabled' });
+    }
+    return true;
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GET /metrics - Prometheus metrics (text exposition format)
+router.get('/', asyncHandler(async (req, res) => {
+  if (!hasMetricsAccess(req)) {
+    throw new UnauthorizedError('A valid metrics token is required');
+  }
+
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(await renderMetrics());
+}));
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Nudge = require('../models/Nudge');
+const Link = require('../models/Link');
+const Team = require('../models/Team');
+const Joi = require('joi');
+const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { findActiveMembership } = require('../middleware/permissions');
+const { createNudge } = require('../services/nudgeService');
+const { recordResponse } = require('../services/activityService');
+const { emitToUser, emitLinkEvent, EVENTS } = require('../services/realtime');
+const { listQuery, paginate, pageMeta } = require('../middleware/pagination');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errors');
+
+router.use(authMiddleware);
+
+// Validation schemas
+const sendNudgeSchema = Joi.object({
+  teamId: Joi.string().required(),
+  recipientId: Joi.string().required(),
+  linkId: Joi.string().optional(),
+  message: Joi.string().allow('').max(500)
+});
+
+const respondNudgeSchema = Joi.object({
+  message: Joi.string().allow('').max(1000),
+  // Optionally turn the nudge into a link between sender and recipient
+  link: Joi.object({
+    title: Joi.string().required().min(3).max(200),
+    purpose: Joi.string().required().max(1000),
+    meetingType: Joi.string().valid('QUICK_SYNC', 'REVIEW', 'PLANNING', 'DECISION', 'BRAINSTORM', 'STATUS_UPDATE').required(),
+    scheduledAt: Joi.date().optional()
+  }).optional()
+});
+
+const nudgeListQuery = listQuery({
+  sortFields: { createdAt: 'createdAt', respondedAt: 'respondedAt' },
+  defaultSort: '-createdAt',
+  filters: {
+    status: { type: 'in', values: ['SENT', 'ACKNOWLEDGED', 'RESPONDED', 'EXPIRED'] },
+    type: { type: 'in', values: ['MANUAL', 'REMINDER', 'FOLLOW_UP', 'ESCALATION'] },
+    teamId: { type: 'objectId', field: 'team' },
+    created: { type: 'dateRange', field: 'createdAt' }
+  }
+});
+
+// Load a nudge addressed to the current user
+async function findOwnNudge(req) {
+  const { nudgeId } = req.params;
+  const nudge = mongoose.isValidObjectId(nudgeId) ? await Nudge.findById(nudgeId) : null;
+  if (!nudge) {
+    throw new NotFoundError('Nudge');
+  }
+  if (nudge.recipient.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Only the recipient can act on this nudge');
+  }
+  return nudge;
+}
+
+// GET /api/nudges - Get nudges received (default) or sent by the user
+router.get('/', nudgeListQuery, asyncHandler(async (req, res) => {
+  const { box = 'received' } = req.query;
+
+  const query = box === 'sent'
+    ? { ...req.listQuery.filter, sender: req.user._id }
+    : { ...req.listQuery.filter, recipient: req.user._id };
+
+  const page = await paginate(
+    Nudge.find(query)
+      .populate('sender', 'name email avatar')
+      .populate('recipient', 'name email avatar')
+      .populate('team', 'name productName')
+      .populate('link', 'title scheduledAt status'),
+    req.listQuery
+  );
+
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// POST /api/nudges - Nudge a teammate
+router.post('/', authorize('nudge:send'), asyncHandler(async (req, res) => {
+  const { error, value } = sendNudgeSchema.validate(req.body);
+  if (error) throw error;
+
+  const { recipientId, linkId, message } = value;
+  const team = req.team;
+
+  if (recipientId === req.user._id.toString()) {
+    throw new ValidationError('You cannot nudge yourself', { label: 'Invalid recipient' });
+  }
+
+  if (!mongoose.isValidObjectId(recipientId) || !findActiveMembership(team, recipientId)) {
+    throw new ValidationError('Recipient must be an active member of the team', { label: 'Invalid recipient' });
+  }
+
+  if (linkId) {
+    const link = mongoose.isValidObjectId(linkId) ? await Link.findById(linkId).select('team') : null;
+    if (!link || link.team.toString() !== team._id.toString()) {
+      throw new ValidationError('Link must belong to the same team', { label: 'Invalid link' });
+    }
+  }
+
+  const nudge = await createNudge({
+    team: team._id,
+    link: linkId || null,
+    sender: req.user._id,
+    recipient: recipientId,
+    type: 'MANUAL',
+    message: message || ''
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Nudge sent successfully',
+    data: nudge
+  });
+}));
+
+// POST /api/nudges/:nudgeId/acknowledge - Acknowledge a received nudge
+router.post('/:nudgeId/acknowledge', asyncHandler(async (req, res) => {
+  const nudge = await findOwnNudge(req);
+
+  nudge.acknowledge();
+  await nudge.save();
+
+  recordResponse({ user: req.user._id, nudge: nudge._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+
+  if (nudge.sender) {
+    emitToUser(nudge.sender, EVENTS.NUDGE_ACKNOWLEDGED, nudge);
+  }
+
+  res.json({
+    success: true,
+    message: 'Nudge acknowledged',
+    data: nudge
+  });
+}));
+
+// POST /api/nudges/:nudgeId/respond - Respond to a nudge (optionally creating a link)
+router.post('/:nudgeId/respond', asyncHandler(async (req, res) => {
+  const { error, value } = respondNudgeSchema.validate(req.body);
+  if (error) throw error;
+
+  const nudge = await findOwnNudge(req);
+
+  if (nudge.status === 'RESPONDED') {
+    throw new ConflictError('This nudge has already been responded to', { label: 'Already responded' });
+  }
+
+  let link = null;
+  if (value.link) {
+    const team = await Team.findById(nudge.team);
+    if (!team || !findActiveMembership(team, req.user._id)) {
+      throw new ForbiddenError('You must be a member of the team to create links', { label: 'Team access denied' });
+    }
+    if (team.status !== 'ACTIVE') {
+      throw new ConflictError(`This team is ${team.status.toLowerCase()} and not accepting new work`, { label: 'Team not writable' });
+    }
+
+    link = new Link({
+      ...value.link,
+      team: nudge.team,
+      metadata: { createdVia: 'NUDGE' }
+    });
+    link.addParticipant(req.user._id, 'INITIATOR');
+    if (nudge.sender) {
+      link.addParticipant(nudge.sender, 'PARTICIPANT');
+    }
+    await link.save();
+
+    team.updateStats(1);
+    await team.save();
+
+    emitLinkEvent(link, EVENTS.LINK_CREATED, { link });
+  }
+
+  nudge.respond(value.message || '', link ? link._id : null);
+  await nudge.save();
+
+  recordResponse({ user: req.user._id, nudge: nudge._id })
+    .catch(error => req.log.error('Error recording response', { error }));
+
+  if (nudge.sender) {
+    emitToUser(nudge.sender, EVENTS.NUDGE_RESPONDED, nudge);
+  }
+
+  res.json({
+    success: true,
+    message: 'Response sent',
+    data: { nudge, link }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Link = require('../models/Link');
+const authMiddleware = require('../middleware/auth');
+const { listQuery, pageMeta } = require('../middleware/pagination');
+const { asyncHandler } = require('../middleware/errors');
+const { searchLinks } = require('../services/searchService');
+
+router.use(authMiddleware);
+
+// Validation schemas
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required(),
+  // Parsed by searchListQuery
+  limit: Joi.any(),
+  cursor: Joi.any(),
+  sort: Joi.any(),
+  teamId: Joi.any(),
+  status: Joi.any(),
+  meetingType: Joi.any(),
+  tags: Joi.any(),
+  createdFrom: Joi.any(),
+  createdTo: Joi.any(),
+  scheduledFrom: Joi.any(),
+  scheduledTo: Joi.any()
+});
+
+const searchListQuery = listQuery({
+  sortFields: { relevance: 'score', createdAt: 'createdAt', scheduledAt: 'scheduledAt' },
+  defaultSort: '-relevance',
+  filters: {
+    teamId: { type: 'objectId', field: 'team' },
+    status: { type: 'in', values: Link.STATUSES },
+    meetingType: { type: 'in', values: ['QUICK_SYNC', 'REVIEW', 'PLANNING', 'DECISION', 'BRAINSTORM', 'STATUS_UPDATE'] },
+    tags: { type: 'all' },
+    created: { type: 'dateRange', field: 'createdAt' },
+    scheduled: { type: 'dateRange', field: 'scheduledAt' }
+  }
+});
+
+// GET /api/search - Search links, outcomes, notes and summaries the user can read
+router.get('/', searchListQuery, asyncHandler(async (req, res) => {
+  const { error, value } = searchQuerySchema.validate(req.query);
+  if (error) throw error;
+
+  const page = await searchLinks(req.user, value.q, req.listQuery);
+
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+module.exports = router;
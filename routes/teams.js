@@ -1,462 +1,983 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Team = require('../models/Team');
 const User = require('../models/User');
 const Joi = require('joi');
 const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { findActiveMembership } = require('../middleware/permissions');
+const { getTeamResponseMetrics } = require('../services/activityService');
+const { emitToTeam, emitToUser, removeUserFromTeamRoom, EVENTS } = require('../services/realtime');
+const invitations = require('../services/invitationService');
+const { deleteTeamCascade } = require('../services/teamService');
+const { teamRoleFor, userTeamRoleFor, removeTeamMember, saveTeamMemberships } = require('../services/membershipService');
+const JoinRequest = require('../models/JoinRequest');
+const TeamInvitation = require('../models/TeamInvitation');
+const AuditEvent = require('../models/AuditEvent');
+const { listQuery, paginate, paginationStages, toPage, pageMeta } = require('../middleware/pagination');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errors');
+const { recordAudit, snapshot, exportAuditEvents } = require('../services/auditService');
 
 router.use(authMiddleware);
 
 // Validation schemas
+const teamSettingsSchema = Joi.object({
+  visibility: Joi.string().valid('PUBLIC', 'PRIVATE', 'RESTRICTED'),
+  allowMemberInvites: Joi.boolean(),
+  requireApproval: Joi.boolean()
+});
+
 const createTeamSchema = Joi.object({
   name: Joi.string().required().min(3).max(100),
   description: Joi.string().max(500),
   productName: Joi.string().required().min(2).max(100),
   productVersion: Joi.string().max(20),
   tags: Joi.array().items(Joi.string().max(50)),
-  settings: Joi.object({
-    visibility: Joi.string().valid('PUBLIC', 'PRIVATE', 'RESTRICTED'),
-    allowMemberInvites: Joi.boolean(),
-    requireApproval: Joi.boolean()
-  })
+  settings: teamSettingsSchema
+});
+
+// Settings are merged key by key. `status` is kept for existing clients and
+// goes through the same lifecycle as POST /:teamId/pause etc.
+const updateTeamSchema = Joi.object({
+  name: Joi.string().min(3).max(100),
+  description: Joi.string().allow('').max(500),
+  productName: Joi.string().min(2).max(100),
+  productVersion: Joi.string().max(20),
+  tags: Joi.array().items(Joi.string().max(50)),
+  settings: teamSettingsSchema,
+  status: Joi.string().valid(...Team.STATUSES),
+  reason: Joi.string().allow('').max(500).default('')
 });
 
 const addMemberSchema = Joi.object({
   email: Joi.string().email().required(),
-  name: Joi.string().required(),
+  name: Joi.string().optional(),
   department: Joi.string().valid('PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'CXO', 'STAKEHOLDER').required(),
   designation: Joi.string().allow('').optional(),
   role: Joi.string().optional() // for backward compatibility, but not required
 });
 
-// GET /api/teams - Get user's teams
-router.get('/', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    // Get teams where user is a member
-    const userWithTeams = await User.findById(user._id).populate({
-      path: 'teams.teamId',
-      populate: {
-        path: 'members.userId',
-        select: 'name email avatar role'
-      }
-    });
-    
-    const teams = userWithTeams.teams
-      .filter(teamMembership => teamMembership.teamId)
-      .map(teamMembership => ({
-        ...teamMembership.teamId.toObject(),
-        userRole: teamMembership.role,
-        joinedAt: teamMembership.joinedAt
-      }));
-    
-    res.json({
-      success: true,
-      data: teams,
-      count: teams.length
-    });
-  } catch (error) {
-    console.error('Error fetching teams:', error);
-    res.status(500).json({
-      error: 'Failed to fetch teams',
-      message: error.message
-    });
-  }
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid('PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'STAKEHOLDER').default('STAKEHOLDER'),
+  message: Joi.string().allow('').max(500)
 });
 
-// POST /api/teams - Create new team
-router.post('/', async (req, res) => {
-  try {
-    // Validate request body
-    const { error, value } = createTeamSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    const { name, description, productName, productVersion, tags, settings } = value;
-    
-    // Find or create the owner user by Google email
-    let ownerUser = await User.findOne({ email: req.user.email });
-    if (!ownerUser) {
-      ownerUser = await User.create({
-        email: req.user.email,
-        firstName: req.user.given_name || req.user.name?.split(' ')[0] || '',
-        lastName: req.user.family_name || req.user.name?.split(' ')[1] || '',
-        avatar: req.user.picture || null,
-        onboarded: false,
-        role: 'PM',
-      });
-    }
-    const ownerId = ownerUser._id;
-    
-    // Check if team name already exists for this user
-    const existingTeam = await Team.findOne({
-      name,
-      owner: ownerId
-    });
-    
-    if (existingTeam) {
-      return res.status(409).json({
-        error: 'Team already exists',
-        message: 'A team with this name already exists'
-      });
-    }
-    
-    // Create new team
-    const team = new Team({
-      name,
-      description,
-      productName,
-      productVersion,
-      owner: ownerId,
-      tags,
-      settings: {
-        visibility: settings?.visibility || 'PRIVATE',
-        allowMemberInvites: settings?.allowMemberInvites ?? true,
-        requireApproval: settings?.requireApproval ?? false
-      }
-    });
-    
-    // Add owner as first member
-    team.addMember(ownerId, 'OWNER');
-    
-    await team.save();
-    
-    // Update user's team associations
-    await User.findByIdAndUpdate(ownerId, {
-      $push: {
-        teams: {
-          teamId: team._id,
-          role: 'OWNER',
-          joinedAt: new Date()
-        }
-      }
-    });
-    
-    // Populate team data for response
-    await team.populate('members.userId', 'name email avatar role');
-    
-    res.status(201).json({
-      success: true,
-      message: 'Team created successfully',
-      data: team
-    });
-  } catch (error) {
-    console.error('Error creating team:', error);
-    res.status(500).json({
-      error: 'Failed to create team',
-      message: error.message
-    });
+const invitationResponseSchema = Joi.object({
+  token: Joi.string(),
+  invitationId: Joi.string()
+}).xor('token', 'invitationId');
+
+const discoverQuerySchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(''),
+  productName: Joi.string().trim().max(100),
+  // Parsed by discoverListQuery
+  tags: Joi.any(),
+  limit: Joi.any(),
+  cursor: Joi.any(),
+  sort: Joi.any()
+});
+
+const teamListQuery = listQuery({
+  sortFields: {
+    createdAt: 'createdAt',
+    lastActivity: 'lastActivity',
+    name: 'name'
+  },
+  defaultSort: '-createdAt',
+  filters: { status: { type: 'in', values: Team.STATUSES } }
+});
+
+const memberListQuery = listQuery({
+  sortFields: { joinedAt: 'joinedAt' },
+  defaultSort: 'joinedAt',
+  filters: {
+    role: { type: 'in', values: ['OWNER', 'PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'STAKEHOLDER'] },
+    isActive: { type: 'boolean' }
+  },
+  defaultLimit: 50
+});
+
+const discoverListQuery = listQuery({
+  sortFields: {
+    activeMembers: 'stats.activeMembers',
+    lastActivity: 'lastActivity',
+    createdAt: 'createdAt',
+    name: 'name'
+  },
+  defaultSort: '-activeMembers',
+  filters: { tags: { type: 'all' } }
+});
+
+const invitationListQuery = listQuery({
+  sortFields: { createdAt: 'createdAt', expiresAt: 'expiresAt' },
+  defaultSort: '-createdAt',
+  filters: {
+    status: { type: 'in', values: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED', 'EXPIRED'] },
+    created: { type: 'dateRange', field: 'createdAt' }
   }
 });
 
-// GET /api/teams/:teamId - Get team details
-router.get('/:teamId', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    
-    const team = await Team.findById(teamId)
-      .populate('owner', 'firstName lastName avatar')
-      .populate('members.userId', 'name email avatar role stats badges');
-    
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The requested team does not exist'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: team
-    });
-  } catch (error) {
-    console.error('Error fetching team:', error);
-    res.status(500).json({
-      error: 'Failed to fetch team',
-      message: error.message
-    });
+const myInvitationListQuery = listQuery({
+  sortFields: { createdAt: 'createdAt', expiresAt: 'expiresAt' },
+  defaultSort: '-createdAt'
+});
+
+const auditListQuery = listQuery({
+  sortFields: { createdAt: 'createdAt' },
+  defaultSort: '-createdAt',
+  filters: {
+    action: { type: 'in', values: AuditEvent.ACTIONS },
+    actorId: { type: 'objectId', field: 'actor.userId' },
+    targetType: { type: 'in', field: 'target.type', values: AuditEvent.TARGET_TYPES },
+    targetId: { type: 'objectId', field: 'target.id' },
+    created: { type: 'dateRange', field: 'createdAt' }
   }
 });
 
-// PUT /api/teams/:teamId - Update team
-router.put('/:teamId', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    const { name, description, productName, productVersion, tags, settings, status } = req.body;
-    
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (description !== undefined) updateData.description = description;
-    if (productName) updateData.productName = productName;
-    if (productVersion) updateData.productVersion = productVersion;
-    if (tags) updateData.tags = tags;
-    if (settings) updateData.settings = settings;
-    if (status) updateData.status = status;
-    
-    const team = await Team.findByIdAndUpdate(
-      teamId,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('members.userId', 'name email avatar role');
-    
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The requested team does not exist'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Team updated successfully',
-      data: team
-    });
-  } catch (error) {
-    console.error('Error updating team:', error);
-    res.status(500).json({
-      error: 'Failed to update team',
-      message: error.message
-    });
+const auditExportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'json').default('csv')
+}).unknown(true);
+
+const joinRequestListQuery = listQuery({
+  sortFields: { createdAt: 'createdAt' },
+  defaultSort: 'createdAt',
+  filters: {
+    status: { type: 'in', values: ['PENDING', 'APPROVED', 'REJECTED'] },
+    created: { type: 'dateRange', field: 'createdAt' }
   }
 });
 
-// POST /api/teams/:teamId/members - Add member to team
-router.post('/:teamId/members', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    
-    // Validate request body
-    const { error, value } = addMemberSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    const { email, name, department, designation } = value;
-    
-    // Find or create user by email
-    let user = await User.findOne({ email });
-    if (!user) {
-      user = await User.create({
-        email,
-        name,
-        department,
-        designation,
-        avatar: null,
-        onboarded: false
-      });
-    }
-    
-    // Check if user is already a member
-    const team = await Team.findById(teamId);
-    const existingMember = team.members.find(member => 
-      member.userId.toString() === user._id.toString()
-    );
-    
-    if (existingMember) {
-      return res.status(409).json({
-        error: 'User already a member',
-        message: 'This user is already a member of the team'
-      });
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid('OWNER', 'PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'STAKEHOLDER').required()
+});
+
+const ownershipTransferSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required(),
+  keepAsCoOwner: Joi.boolean().default(false)
+});
+
+const lifecycleSchema = Joi.object({
+  reason: Joi.string().allow('').max(500).default('')
+});
+
+const joinRequestSchema = Joi.object({
+  message: Joi.string().allow('').max(500)
+});
+
+const joinDecisionSchema = Joi.object({
+  reason: Joi.string().allow('').max(500)
+});
+
+// GET /api/teams - Get user's teams
+router.get('/', teamListQuery, asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  // Teams the user is an active member of (Team.members is the source of truth)
+  const page = await paginate(
+    Team.find({
+      ...req.listQuery.filter,
+      members: { $elemMatch: { userId: user._id, isActive: true } }
+    }),
+    req.listQuery
+  );
+  
+  // Read the memberships before populating replaces members.userId
+  const memberships = page.items.map(team => findActiveMembership(team, user._id));
+  await Team.populate(page.items, { path: 'members.userId', select: 'name email avatar role' });
+  
+  const teams = page.items.map((team, index) => ({
+    ...team.toObject(),
+    userRole: userTeamRoleFor(memberships[index].role),
+    joinedAt: memberships[index].joinedAt
+  }));
+  
+  res.json({
+    success: true,
+    data: teams,
+    ...pageMeta(page)
+  });
+}));
+
+// POST /api/teams - Create new team
+router.post('/', asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = createTeamSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { name, description, productName, productVersion, tags, settings } = value;
+  
+  const ownerId = req.user._id;
+  
+  // Check if team name already exists for this user
+  const existingTeam = await Team.findOne({
+    name,
+    owner: ownerId
+  });
+  
+  if (existingTeam) {
+    throw new ConflictError('A team with this name already exists', { label: 'Team already exists' });
+  }
+  
+  // Create new team
+  const team = new Team({
+    name,
+    description,
+    productName,
+    productVersion,
+    owner: ownerId,
+    tags,
+    settings: {
+      visibility: settings?.visibility || 'PRIVATE',
+      allowMemberInvites: settings?.allowMemberInvites ?? true,
+      requireApproval: settings?.requireApproval ?? false
     }
-    
-    // Add user to team
-    team.addMember(user._id, department); // use department as the team role
-    await team.save();
-    
-    // Add team to user's team list
-    await User.findByIdAndUpdate(user._id, {
-      $push: {
-        teams: {
-          teamId: team._id,
-          role: department, // use department as the role in the team
-          joinedAt: new Date()
-        }
-      }
+  });
+  
+  // Add owner as first member (also recorded in the owner's User.teams)
+  team.addMember(ownerId, 'OWNER');
+  await saveTeamMemberships(team, [ownerId]);
+  recordAudit(req, {
+    action: 'team.create',
+    team,
+    target: { type: 'TEAM', id: team._id, label: team.name },
+    after: snapshot('TEAM', team)
+  });
+  
+  // Populate team data for response
+  await team.populate('members.userId', 'name email avatar role');
+  
+  res.status(201).json({
+    success: true,
+    message: 'Team created successfully',
+    data: team
+  });
+}));
+
+// GET /api/teams/discover - Find PUBLIC teams to join
+router.get('/discover', discoverListQuery, asyncHandler(async (req, res) => {
+  const { error, value } = discoverQuerySchema.validate(req.query);
+  if (error) throw error;
+  
+  const { q, productName } = value;
+  const query = {
+    ...req.listQuery.filter,
+    'settings.visibility': 'PUBLIC',
+    status: { $ne: 'ARCHIVED' }
+  };
+  if (q) query.$text = { $search: q };
+  if (productName) query.productName = productName;
+  
+  const [page, total] = await Promise.all([
+    paginate(
+      Team.find(query)
+        .select('name description productName productVersion tags stats reputationBadge settings.requireApproval members.userId members.isActive lastActivity'),
+      req.listQuery
+    ),
+    Team.countDocuments(query)
+  ]);
+  const teams = page.items;
+  
+  const pendingRequests = await JoinRequest.find({
+    user: req.user._id,
+    team: { $in: teams.map(team => team._id) },
+    status: 'PENDING'
+  }).select('team');
+  const pendingTeamIds = new Set(pendingRequests.map(request => request.team.toString()));
+  
+  const data = teams.map(team => ({
+    _id: team._id,
+    name: team.name,
+    description: team.description,
+    productName: team.productName,
+    productVersion: team.productVersion,
+    tags: team.tags,
+    memberCount: team.memberCount,
+    stats: team.stats,
+    reputationBadge: team.reputationBadge,
+    requireApproval: team.settings.requireApproval,
+    lastActivity: team.lastActivity,
+    isMember: Boolean(findActiveMembership(team, req.user._id)),
+    joinRequestPending: pendingTeamIds.has(team._id.toString())
+  }));
+  
+  res.json({
+    success: true,
+    data,
+    ...pageMeta(page),
+    total
+  });
+}));
+
+// GET /api/teams/invitations - Get pending invitations for the current user
+router.get('/invitations', myInvitationListQuery, asyncHandler(async (req, res) => {
+  const page = await paginate(invitations.listInvitationsForUser(req.user), req.listQuery);
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// POST /api/teams/invitations/accept - Accept an invitation (by token or id)
+router.post('/invitations/accept', asyncHandler(async (req, res) => {
+  const { error, value } = invitationResponseSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { team, invitation } = await invitations.acceptInvitation(req.user, value);
+  recordAudit(req, {
+    action: 'team.invitation.accept',
+    team,
+    target: { type: 'INVITATION', id: invitation._id, label: invitation.email },
+    metadata: { role: invitation.role }
+  });
+  await team.populate('members.userId', 'name email avatar role');
+  
+  res.json({
+    success: true,
+    message: 'Invitation accepted',
+    data: team
+  });
+}));
+
+// POST /api/teams/invitations/decline - Decline an invitation (by token or id)
+router.post('/invitations/decline', asyncHandler(async (req, res) => {
+  const { error, value } = invitationResponseSchema.validate(req.body);
+  if (error) throw error;
+  
+  const invitation = await invitations.declineInvitation(req.user, value);
+  recordAudit(req, {
+    action: 'team.invitation.decline',
+    team: invitation.team,
+    target: { type: 'INVITATION', id: invitation._id, label: invitation.email }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Invitation declined'
+  });
+}));
+
+// GET /api/teams/:teamId - Get team details
+router.get('/:teamId', authorize('team:read'), asyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  
+  const team = await Team.findById(teamId)
+    .populate('owner', 'name avatar')
+    .populate('members.userId', 'name email avatar role stats badges');
+  
+  if (!team) {
+    throw new NotFoundError('Team');
+  }
+  
+  res.json({
+    success: true,
+    data: team
+  });
+}));
+
+// Move the team through its lifecycle, save it, then tell members and audit
+// the change. Invalid transitions surface as 400 INVALID_TRANSITION.
+async function changeTeamStatus(req, team, apply, reason = '') {
+  const from = team.status;
+  apply(team, { by: req.user._id, reason });
+  await team.save();
+  
+  emitToTeam(team._id, EVENTS.TEAM_STATUS_CHANGED, { teamId: team._id, from, to: team.status });
+  recordAudit(req, {
+    action: 'team.status',
+    team,
+    target: { type: 'TEAM', id: team._id, label: team.name },
+    before: { status: from },
+    after: { status: team.status },
+    metadata: { reason }
+  });
+}
+
+// PUT /api/teams/:teamId - Update team
+router.put('/:teamId', authorize('team:update'), asyncHandler(async (req, res) => {
+  const { error, value } = updateTeamSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { name, description, productName, productVersion, tags, settings, status, reason } = value;
+  const team = req.team;
+  const before = snapshot('TEAM', team);
+  
+  if (name) team.name = name;
+  if (description !== undefined) team.description = description;
+  if (productName) team.productName = productName;
+  if (productVersion) team.productVersion = productVersion;
+  if (tags) team.tags = tags;
+  if (settings) {
+    Object.entries(settings).forEach(([key, setting]) => {
+      team.settings[key] = setting;
     });
+  }
+  
+  const after = snapshot('TEAM', team);
+  if (status && status !== team.status) {
+    await changeTeamStatus(req, team, (target, options) => target.transitionTo(status, options), reason);
+  } else {
+    await team.save();
+  }
+  recordAudit(req, {
+    action: 'team.update',
+    team,
+    target: { type: 'TEAM', id: team._id, label: team.name },
+    before,
+    after
+  });
+  await team.populate('members.userId', 'name email avatar role');
+  
+  res.json({
+    success: true,
+    message: 'Team updated successfully',
+    data: team
+  });
+}));
+
+// Build a handler that moves the team through its lifecycle
+function lifecycleHandler(apply, message) {
+  return asyncHandler(async (req, res) => {
+    const { error, value } = lifecycleSchema.validate(req.body || {});
+    if (error) throw error;
     
-    // Populate team data for response
-    await team.populate('members.userId', 'name email avatar role');
+    const team = req.team;
+    await changeTeamStatus(req, team, apply, value.reason);
     
     res.json({
       success: true,
-      message: 'Member added successfully',
+      message,
       data: {
-        team,
-        addedUser: {
-          _id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role
-        }
+        _id: team._id,
+        status: team.status,
+        archive: team.archive,
+        statusHistory: team.statusHistory
       }
     });
-  } catch (error) {
-    console.error('Error adding member:', error);
-    res.status(500).json({
-      error: 'Failed to add member',
-      message: error.message
-    });
-  }
-});
+  });
+}
 
-// DELETE /api/teams/:teamId/members/:userId - Remove member from team
-router.delete('/:teamId/members/:userId', async (req, res) => {
-  try {
-    const { teamId, userId } = req.params;
-    
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const currentUser = await User.findOne({ email: googleUser.email });
-    if (!currentUser) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The requested team does not exist'
-      });
-    }
-    
-    // Check if user is trying to remove themselves (owner)
-    if (userId === currentUser._id.toString()) {
-      return res.status(400).json({
-        error: 'Cannot remove owner',
-        message: 'Team owner cannot remove themselves from the team'
-      });
+// POST /api/teams/:teamId/pause - Put the team on hold (no new links, no reminders)
+router.post('/:teamId/pause', authorize('team:lifecycle'),
+  lifecycleHandler((team, options) => team.transitionTo('PAUSED', options), 'Team paused'));
+
+// POST /api/teams/:teamId/resume - Reactivate a paused or completed team
+router.post('/:teamId/resume', authorize('team:lifecycle'),
+  lifecycleHandler((team, options) => team.transitionTo('ACTIVE', options), 'Team resumed'));
+
+// POST /api/teams/:teamId/complete - Mark the team's work as complete
+router.post('/:teamId/complete', authorize('team:lifecycle'),
+  lifecycleHandler((team, options) => team.transitionTo('COMPLETED', options), 'Team completed'));
+
+// POST /api/teams/:teamId/archive - Archive the team; its links become read-only
+router.post('/:teamId/archive', authorize('team:lifecycle'),
+  lifecycleHandler((team, options) => team.transitionTo('ARCHIVED', options), 'Team archived'));
+
+// POST /api/teams/:teamId/restore - Restore an archived team within the retention window
+router.post('/:teamId/restore', authorize('team:lifecycle'),
+  lifecycleHandler((team, options) => team.restore(options), 'Team restored'));
+
+// POST /api/teams/:teamId/members - Invite a member to the team
+// Kept for existing clients; members are added once they accept.
+router.post('/:teamId/members', authorize('team:addMember'), asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = addMemberSchema.validate(req.body);
+  if (error) throw error;
+  
+  const invitation = await invitations.createInvitation({
+    team: req.team,
+    inviter: req.user,
+    membership: req.membership,
+    email: value.email,
+    role: teamRoleFor(value.department)
+  });
+  recordAudit(req, {
+    action: 'team.invitation.create',
+    team: req.team,
+    target: { type: 'INVITATION', id: invitation._id, label: invitation.email },
+    metadata: { role: invitation.role }
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: invitation
+  });
+}));
+
+// POST /api/teams/:teamId/invitations - Invite someone to the team by email
+router.post('/:teamId/invitations', authorize('team:invite'), asyncHandler(async (req, res) => {
+  const { error, value } = inviteSchema.validate(req.body);
+  if (error) throw error;
+  
+  const invitation = await invitations.createInvitation({
+    team: req.team,
+    inviter: req.user,
+    membership: req.membership,
+    ...value
+  });
+  recordAudit(req, {
+    action: 'team.invitation.create',
+    team: req.team,
+    target: { type: 'INVITATION', id: invitation._id, label: invitation.email },
+    metadata: { role: invitation.role }
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: invitation
+  });
+}));
+
+// GET /api/teams/:teamId/invitations - Get team invitations
+router.get('/:teamId/invitations', authorize('team:manageInvitations'), invitationListQuery, asyncHandler(async (req, res) => {
+  // Pending invitations unless a status filter is given
+  const query = { status: 'PENDING', ...req.listQuery.filter, team: req.team._id };
+  
+  const page = await paginate(
+    TeamInvitation.find(query).populate('invitedBy', 'name email avatar'),
+    req.listQuery
+  );
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// DELETE /api/teams/:teamId/invitations/:invitationId - Revoke an invitation
+router.delete('/:teamId/invitations/:invitationId', authorize('team:manageInvitations'), asyncHandler(async (req, res) => {
+  const invitation = await invitations.revokeInvitation(req.team, req.params.invitationId, req.user._id);
+  recordAudit(req, {
+    action: 'team.invitation.revoke',
+    team: req.team,
+    target: { type: 'INVITATION', id: invitation._id, label: invitation.email }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+}));
+
+// POST /api/teams/:teamId/join-requests - Ask to join a public team
+// Open to non-members, so the team is loaded here rather than via authorize()
+router.post('/:teamId/join-requests', asyncHandler(async (req, res) => {
+  const { error, value } = joinRequestSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { teamId } = req.params;
+  const team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+  if (!team) {
+    throw new NotFoundError('Team');
+  }
+  
+  const result = await invitations.requestToJoin(team, req.user, value.message);
+  recordAudit(req, result.joined
+    ? {
+      action: 'team.member.add',
+      team,
+      target: { type: 'USER', id: req.user._id, label: req.user.email },
+      metadata: { via: 'JOIN' }
     }
-    
-    // Remove user from team
-    team.removeMember(userId);
-    await team.save();
-    
-    // Remove team from user's team list
-    await User.findByIdAndUpdate(userId, {
-      $pull: {
-        teams: { teamId: team._id }
-      }
+    : {
+      action: 'team.joinRequest.create',
+      team,
+      target: { type: 'JOIN_REQUEST', id: result.request._id, label: req.user.email }
     });
-    
-    res.json({
+  
+  if (result.joined) {
+    return res.status(201).json({
       success: true,
-      message: 'Member removed successfully'
-    });
-  } catch (error) {
-    console.error('Error removing member:', error);
-    res.status(500).json({
-      error: 'Failed to remove member',
-      message: error.message
+      message: 'Joined team successfully',
+      data: { joined: true, teamId: team._id }
     });
   }
-});
+  
+  res.status(202).json({
+    success: true,
+    message: 'Join request sent to the team owners',
+    data: { joined: false, request: result.request }
+  });
+}));
+
+// GET /api/teams/:teamId/join-requests - Get join requests for a team
+router.get('/:teamId/join-requests', authorize('team:manageJoinRequests'), joinRequestListQuery, asyncHandler(async (req, res) => {
+  // Pending requests unless a status filter is given
+  const query = { status: 'PENDING', ...req.listQuery.filter, team: req.team._id };
+  
+  const page = await paginate(
+    JoinRequest.find(query).populate('user', 'name email avatar department designation'),
+    req.listQuery
+  );
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// POST /api/teams/:teamId/join-requests/:requestId/approve - Approve a join request
+router.post('/:teamId/join-requests/:requestId/approve', authorize('team:manageJoinRequests'), asyncHandler(async (req, res) => {
+  const { error, value } = joinDecisionSchema.validate(req.body);
+  if (error) throw error;
+  
+  const request = await invitations.decideJoinRequest(req.team, req.params.requestId, req.user, {
+    approve: true,
+    reason: value.reason
+  });
+  recordAudit(req, {
+    action: 'team.joinRequest.approve',
+    team: req.team,
+    target: { type: 'JOIN_REQUEST', id: request._id },
+    metadata: { user: request.user, reason: value.reason }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Join request approved',
+    data: request
+  });
+}));
+
+// POST /api/teams/:teamId/join-requests/:requestId/reject - Reject a join request
+router.post('/:teamId/join-requests/:requestId/reject', authorize('team:manageJoinRequests'), asyncHandler(async (req, res) => {
+  const { error, value } = joinDecisionSchema.validate(req.body);
+  if (error) throw error;
+  
+  const request = await invitations.decideJoinRequest(req.team, req.params.requestId, req.user, {
+    approve: false,
+    reason: value.reason
+  });
+  recordAudit(req, {
+    action: 'team.joinRequest.reject',
+    team: req.team,
+    target: { type: 'JOIN_REQUEST', id: request._id },
+    metadata: { user: request.user, reason: value.reason }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Join request rejected',
+    data: request
+  });
+}));
+
+// DELETE /api/teams/:teamId/members/:userId - Remove member from team
+router.delete('/:teamId/members/:userId', authorize('team:removeMember'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const team = req.team;
+  
+  const member = findActiveMembership(team, userId);
+  if (!member) {
+    throw new NotFoundError('Member', { message: 'This user is not a member of the team' });
+  }
+  
+  if (member.role === 'OWNER' && !team.isOwner(req.user._id)) {
+    throw new ForbiddenError('Only owners can remove another owner');
+  }
+  
+  if (team.isLastOwner(userId)) {
+    throw new ValidationError('Transfer ownership or add a co-owner before removing the last owner', { label: 'Cannot remove last owner' });
+  }
+  
+  const transfer = team.pendingOwnershipTransfer();
+  if (transfer && [transfer.from, transfer.to].some(id => id.toString() === userId)) {
+    team.clearOwnershipTransfer();
+  }
+  
+  const before = snapshot('MEMBER', member);
+  await removeTeamMember(team, userId);
+  recordAudit(req, {
+    action: 'team.member.remove',
+    team,
+    target: { type: 'USER', id: userId },
+    before,
+    after: snapshot('MEMBER', member)
+  });
+  
+  res.json({
+    success: true,
+    message: 'Member removed successfully'
+  });
+}));
+
+// PUT /api/teams/:teamId/members/:userId/role - Change a member's role (including co-owner)
+router.put('/:teamId/members/:userId/role', authorize('team:manageRoles'), asyncHandler(async (req, res) => {
+  const { error, value } = memberRoleSchema.validate(req.body);
+  if (error) throw error;
+  
+  const { userId } = req.params;
+  const team = req.team;
+  const member = findActiveMembership(team, userId);
+  if (!member) {
+    throw new NotFoundError('Member', { message: 'This user is not a member of the team' });
+  }
+  
+  if (member.role === 'OWNER' && value.role !== 'OWNER' && team.isLastOwner(userId)) {
+    throw new ValidationError('Transfer ownership or add a co-owner before demoting the last owner', { label: 'Cannot demote last owner' });
+  }
+  
+  const before = snapshot('MEMBER', member);
+  member.role = value.role;
+  await saveTeamMemberships(team, [userId]);
+  recordAudit(req, {
+    action: 'team.member.role',
+    team,
+    target: { type: 'USER', id: userId },
+    before,
+    after: snapshot('MEMBER', member)
+  });
+  
+  emitToTeam(team._id, EVENTS.MEMBER_ROLE_CHANGED, { teamId: team._id, userId, role: value.role });
+  
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    data: { userId, role: member.role, owner: team.owner }
+  });
+}));
+
+// POST /api/teams/:teamId/ownership-transfer - Offer primary ownership to another member
+router.post('/:teamId/ownership-transfer', authorize('team:transferOwnership'), asyncHandler(async (req, res) => {
+  const { error, value } = ownershipTransferSchema.validate(req.body);
+  if (error) throw error;
+  
+  const team = req.team;
+  if (team.owner.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Only the primary owner can transfer ownership');
+  }
+  if (value.userId === req.user._id.toString() || !findActiveMembership(team, value.userId)) {
+    throw new ValidationError('Ownership can only be transferred to another active member', { label: 'Invalid transfer target' });
+  }
+  
+  team.requestOwnershipTransfer(req.user._id, value.userId, { keepAsCoOwner: value.keepAsCoOwner });
+  await team.save();
+  recordAudit(req, {
+    action: 'team.ownership.request',
+    team,
+    target: { type: 'USER', id: value.userId },
+    metadata: { keepAsCoOwner: team.ownershipTransfer.keepAsCoOwner, expiresAt: team.ownershipTransfer.expiresAt }
+  });
+  
+  emitToUser(value.userId, EVENTS.OWNERSHIP_TRANSFER_REQUESTED, {
+    teamId: team._id,
+    teamName: team.name,
+    from: { _id: req.user._id, name: req.user.name },
+    expiresAt: team.ownershipTransfer.expiresAt
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Ownership transfer requested; waiting for the new owner to confirm',
+    data: team.ownershipTransfer
+  });
+}));
+
+// POST /api/teams/:teamId/ownership-transfer/accept - Confirm an ownership transfer (new owner)
+router.post('/:teamId/ownership-transfer/accept', authorize('team:member'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const transfer = team.pendingOwnershipTransfer();
+  if (!transfer || transfer.to.toString() !== req.user._id.toString()) {
+    throw new NotFoundError('Transfer', { message: 'There is no pending ownership transfer for you on this team' });
+  }
+  
+  const from = transfer.from;
+  const previousOwner = await User.findById(from).select('department');
+  team.completeOwnershipTransfer(teamRoleFor(previousOwner && previousOwner.department));
+  await saveTeamMemberships(team, [req.user._id, from]);
+  recordAudit(req, {
+    action: 'team.ownership.accept',
+    team,
+    target: { type: 'USER', id: req.user._id, label: req.user.email },
+    before: { owner: from },
+    after: { owner: team.owner }
+  });
+  
+  emitToTeam(team._id, EVENTS.OWNERSHIP_TRANSFERRED, { teamId: team._id, from, to: req.user._id });
+  
+  res.json({
+    success: true,
+    message: 'You are now the owner of this team',
+    data: { owner: team.owner, owners: team.activeOwners().map(member => member.userId) }
+  });
+}));
+
+// POST /api/teams/:teamId/ownership-transfer/decline - Decline an ownership transfer (new owner)
+router.post('/:teamId/ownership-transfer/decline', authorize('team:member'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const transfer = team.pendingOwnershipTransfer();
+  if (!transfer || transfer.to.toString() !== req.user._id.toString()) {
+    throw new NotFoundError('Transfer', { message: 'There is no pending ownership transfer for you on this team' });
+  }
+  
+  const from = transfer.from;
+  team.clearOwnershipTransfer();
+  await team.save();
+  recordAudit(req, {
+    action: 'team.ownership.decline',
+    team,
+    target: { type: 'USER', id: req.user._id, label: req.user.email },
+    metadata: { from }
+  });
+  
+  emitToUser(from, EVENTS.OWNERSHIP_TRANSFER_DECLINED, { teamId: team._id, by: req.user._id });
+  
+  res.json({
+    success: true,
+    message: 'Ownership transfer declined'
+  });
+}));
+
+// DELETE /api/teams/:teamId/ownership-transfer - Cancel a pending ownership transfer
+router.delete('/:teamId/ownership-transfer', authorize('team:transferOwnership'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  if (!team.pendingOwnershipTransfer()) {
+    throw new NotFoundError('Transfer', { message: 'There is no pending ownership transfer on this team' });
+  }
+  
+  const transfer = team.pendingOwnershipTransfer();
+  team.clearOwnershipTransfer();
+  await team.save();
+  recordAudit(req, {
+    action: 'team.ownership.cancel',
+    team,
+    target: { type: 'USER', id: transfer.to }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Ownership transfer cancelled'
+  });
+}));
+
+// GET /api/teams/:teamId/audit - Browse the team's audit trail
+router.get('/:teamId/audit', authorize('team:audit'), auditListQuery, asyncHandler(async (req, res) => {
+  const query = { ...req.listQuery.filter, team: req.team._id };
+  
+  const page = await paginate(AuditEvent.find(query), req.listQuery);
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// GET /api/teams/:teamId/audit/export - Download the (filtered) audit trail as CSV or JSON
+router.get('/:teamId/audit/export', authorize('team:audit'), auditListQuery, asyncHandler(async (req, res) => {
+  const { error, value } = auditExportSchema.validate(req.query);
+  if (error) throw error;
+  
+  const body = await exportAuditEvents({ ...req.listQuery.filter, team: req.team._id }, value.format);
+  const filename = `team-${req.team._id}-audit-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+  
+  res.set({
+    'Content-Type': value.format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(body);
+}));
 
 // GET /api/teams/:teamId/stats - Get team statistics
-router.get('/:teamId/stats', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    
-    const team = await Team.findById(teamId)
-      .populate('members.userId', 'name email avatar role stats badges');
-    
-    if (!team) {
-      return res.status(404).json({
-        error: 'Team not found',
-        message: 'The requested team does not exist'
-      });
-    }
-    
-    // Calculate additional stats
-    const memberStats = team.members.map(member => ({
-      user: member.userId,
-      role: member.role,
-      joinedAt: member.joinedAt,
-      isActive: member.isActive
-    }));
-    
-    const response = {
-      success: true,
-      data: {
-        team: {
-          _id: team._id,
-          name: team.name,
-          productName: team.productName,
-          stats: team.stats,
-          reputationBadge: team.reputationBadge,
-          memberCount: team.memberCount,
-          lastActivity: team.lastActivity
-        },
-        members: memberStats,
-        summary: {
-          totalMembers: team.memberCount,
-          activeMembers: team.stats.activeMembers,
-          averageResponseTime: team.stats.averageResponseTime,
-          responseRate: team.stats.responseRate,
-          totalLinks: team.stats.totalLinks
+router.get('/:teamId/stats', authorize('team:read'), asyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  
+  const team = await Team.findById(teamId)
+    .populate('members.userId', 'name email avatar role stats badges');
+  
+  if (!team) {
+    throw new NotFoundError('Team');
+  }
+  
+  // Calculate additional stats
+  const memberStats = team.members.map(member => ({
+    user: member.userId,
+    role: member.role,
+    joinedAt: member.joinedAt,
+    isActive: member.isActive
+  }));
+  
+  const response = {
+    success: true,
+    data: {
+      team: {
+        _id: team._id,
+        name: team.name,
+        productName: team.productName,
+        stats: team.stats,
+        reputationBadge: team.reputationBadge,
+        memberCount: team.memberCount,
+        lastActivity: team.lastActivity
+      },
+      members: memberStats,
+      summary: {
+        totalMembers: team.memberCount,
+        activeMembers: team.stats.activeMembers,
+        averageResponseTime: team.stats.averageResponseTime,
+        responseRate: team.stats.responseRate,
+        totalLinks: team.stats.totalLinks,
+        responseWindows: {
+          '7d': await getTeamResponseMetrics(team._id, { windowDays: 7 }),
+          '30d': await getTeamResponseMetrics(team._id, { windowDays: 30 })
         }
       }
-    };
-    
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching team stats:', error);
-    res.status(500).json({
-      error: 'Failed to fetch team statistics',
-      message: error.message
-    });
-  }
-});
+    }
+  };
+  
+  res.json(response);
+}));
 
 // GET /api/teams/:teamId/members - Get team members
-router.get('/:teamId/members', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    const team = await Team.findById(teamId).populate('members.userId', 'name email avatar role');
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
-    }
-    res.json({ success: true, members: team.members });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch team members', message: error.message });
-  }
-});
+router.get('/:teamId/members', authorize('team:read'), memberListQuery, asyncHandler(async (req, res) => {
+  const members = await Team.aggregate([
+    { $match: { _id: req.team._id } },
+    { $unwind: '$members' },
+    { $replaceRoot: { newRoot: '$members' } },
+    { $match: req.listQuery.filter },
+    ...paginationStages(req.listQuery)
+  ]);
+  
+  const page = toPage(members, req.listQuery);
+  await User.populate(page.items, { path: 'userId', select: 'name email avatar role' });
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
 
-// DELETE /api/teams/:teamId - Delete a team
-router.delete('/:teamId', async (req, res) => {
-  try {
-    const { teamId } = req.params;
-    const team = await Team.findByIdAndDelete(teamId);
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
-    }
-    res.json({ success: true, message: 'Team deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete team', message: error.message });
+// DELETE /api/teams/:teamId - Permanently delete a team and its data
+router.delete('/:teamId', authorize('team:delete'), asyncHandler(async (req, res) => {
+  const memberIds = req.team.members.map(member => member.userId);
+  const deleted = await deleteTeamCascade(req.team._id);
+  if (!deleted) {
+    throw new NotFoundError('Team');
   }
-});
+  
+  emitToTeam(req.team._id, EVENTS.TEAM_DELETED, { teamId: req.team._id });
+  recordAudit(req, {
+    action: 'team.delete',
+    team: req.team,
+    target: { type: 'TEAM', id: req.team._id, label: req.team.name },
+    before: snapshot('TEAM', req.team),
+    metadata: deleted
+  });
+  memberIds.forEach(userId => removeUserFromTeamRoom(userId, req.team._id));
+  
+  res.json({
+    success: true,
+    message: 'Team deleted successfully',
+    data: deleted
+  });
+}));
 
 module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,97 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Team = require('../models/Team');
+const Link = require('../models/Link');
 const Joi = require('joi');
 const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { getUserResponseMetrics } = require('../services/activityService');
+const { getBadgeReport } = require('../services/badgeService');
+const { listActionItems } = require('../services/outcomeService');
+const { buildCalendar } = require('../services/icalendar');
+const { searchUsers } = require('../services/searchService');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { listQuery, paginate, pageMeta } = require('../middleware/pagination');
+const { UnauthorizedError, NotFoundError, asyncHandler } = require('../middleware/errors');
+
+const CALENDAR_FEED_LIMIT = 200;
+
+// GET /api/users/me/calendar.ics - Subscribable calendar feed
+// Calendar apps cannot send bearer tokens, so this route authenticates with
+// the feed token in the query string and is registered before authMiddleware.
+router.get('/me/calendar.ics', asyncHandler(async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  const user = token ? await User.findByCalendarFeedToken(token) : null;
+  if (!user) {
+    throw new UnauthorizedError('Invalid calendar feed token');
+  }
+  
+  // Cancelled links stay in the feed so subscribed calendars drop them
+  const links = await Link.findUpcoming(user._id, CALENDAR_FEED_LIMIT, { includeCancelled: true });
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(buildCalendar(links, { name: `Tether - ${user.name}` }));
+}));
 
 router.use(authMiddleware);
 
 // Validation schemas
+const actionItemsQuerySchema = Joi.object({
+  status: Joi.string().pattern(/^(PENDING|IN_PROGRESS|COMPLETED|BLOCKED)(,(PENDING|IN_PROGRESS|COMPLETED|BLOCKED))*$/),
+  teamId: Joi.string().hex().length(24),
+  type: Joi.string().valid('DECISION', 'ACTION_ITEM', 'BLOCKER', 'INSIGHT', 'NEXT_STEPS'),
+  dueFrom: Joi.date(),
+  dueTo: Joi.date(),
+  overdue: Joi.boolean(),
+  // Parsed by actionItemListQuery
+  limit: Joi.any(),
+  cursor: Joi.any(),
+  sort: Joi.any()
+});
+
+const actionItemListQuery = listQuery({
+  sortFields: { dueDate: 'sortDue' },
+  defaultSort: 'dueDate',
+  defaultLimit: 50,
+  maxLimit: 200
+});
+
+const leaderboardListQuery = listQuery({
+  sortFields: {
+    reputationScore: 'stats.reputationScore',
+    responseRate: 'stats.responseRate',
+    totalLinks: 'stats.totalLinks'
+  },
+  defaultSort: '-reputationScore',
+  defaultLimit: 10
+});
+
+const userSearchQuerySchema = Joi.object({
+  // Typeahead: word prefixes of the name, or the start of the email
+  q: Joi.string().trim().max(100),
+  designation: Joi.string().trim().max(100),
+  teamId: Joi.string().hex().length(24),
+  // Parsed by userSearchListQuery
+  department: Joi.any(),
+  limit: Joi.any(),
+  cursor: Joi.any(),
+  sort: Joi.any()
+}).or('q', 'designation', 'teamId', 'department');
+
+const userSearchListQuery = listQuery({
+  sortFields: { name: 'name', email: 'email', createdAt: 'createdAt' },
+  defaultSort: 'name',
+  filters: {
+    department: { type: 'in', values: ['PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'CXO', 'STAKEHOLDER'] }
+  }
+});
+
 const updateProfileSchema = Joi.object({
-  firstName: Joi.string().min(2).max(50),
-  lastName: Joi.string().min(2).max(50),
+  name: Joi.string().trim().min(2).max(100),
+  designation: Joi.string().trim().allow('').max(100),
   role: Joi.string().valid('PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'CXO', 'STAKEHOLDER'),
   settings: Joi.object({
     notifications: Joi.object({
@@ -23,346 +104,257 @@ const updateProfileSchema = Joi.object({
 });
 
 // GET /api/users/profile - Get current user profile
-router.get('/profile', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email })
-      .populate({
-        path: 'teams.teamId',
-        select: 'name productName stats reputationBadge'
-      });
-    
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({
-      error: 'Failed to fetch user profile',
-      message: error.message
-    });
-  }
-});
+router.get('/profile', asyncHandler(async (req, res) => {
+  const user = await req.user.populate({
+    path: 'teams.teamId',
+    select: 'name productName stats reputationBadge'
+  });
+  
+  res.json({
+    success: true,
+    data: user
+  });
+}));
 
 // PUT /api/users/profile - Update current user profile
-router.put('/profile', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Validate request body
-    const { error, value } = updateProfileSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message
-      });
-    }
-    
-    // Find user in our database
-    const user = await User.findOneAndUpdate(
-      { email: googleUser.email },
-      value,
-      { new: true, runValidators: true }
-    ).populate({
-      path: 'teams.teamId',
-      select: 'name productName stats reputationBadge'
-    });
-    
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: user
-    });
-  } catch (error) {
-    console.error('Error updating user profile:', error);
-    res.status(500).json({
-      error: 'Failed to update user profile',
-      message: error.message
-    });
+router.put('/profile', asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = updateProfileSchema.validate(req.body);
+  if (error) throw error;
+  
+  const before = snapshot('USER', req.user);
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    value,
+    { new: true, runValidators: true }
+  ).populate({
+    path: 'teams.teamId',
+    select: 'name productName stats reputationBadge'
+  });
+  
+  if (!user) {
+    throw new NotFoundError('User', { message: 'User profile not found' });
   }
-});
+  recordAudit(req, {
+    action: 'user.profile.update',
+    target: { type: 'USER', id: user._id, label: user.email },
+    before,
+    after: snapshot('USER', user)
+  });
+  
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: user
+  });
+}));
 
 // GET /api/users/stats - Get current user stats
-router.get('/stats', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find user in our database
-    const user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
-    
-    // Calculate additional stats
-    const stats = {
-      ...user.stats,
-      reputationLevel: getReputationLevel(user.stats.reputationScore),
-      recentActivity: await getRecentActivity(user._id),
-      teamPerformance: await getTeamPerformance(user._id)
-    };
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    console.error('Error fetching user stats:', error);
-    res.status(500).json({
-      error: 'Failed to fetch user stats',
-      message: error.message
-    });
-  }
-});
+router.get('/stats', asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  // Calculate additional stats
+  const stats = {
+    ...user.stats,
+    reputationLevel: getReputationLevel(user.stats.reputationScore),
+    responseWindows: {
+      '7d': await getUserResponseMetrics(user._id, { windowDays: 7 }),
+      '30d': await getUserResponseMetrics(user._id, { windowDays: 30 })
+    },
+    recentActivity: await getRecentActivity(user._id),
+    teamPerformance: await getTeamPerformance(user._id)
+  };
+  
+  res.json({
+    success: true,
+    data: stats
+  });
+}));
 
 // GET /api/users/leaderboard - Get leaderboard
-router.get('/leaderboard', async (req, res) => {
-  try {
-    const { teamId, limit = 10 } = req.query;
-    
-    let query = {};
-    if (teamId) {
-      // Get users in specific team
-      const team = await Team.findById(teamId);
-      if (!team) {
-        return res.status(404).json({
-          error: 'Team not found',
-          message: 'The specified team does not exist'
-        });
-      }
-      
-      const memberIds = team.members.map(member => member.userId);
-      query._id = { $in: memberIds };
+router.get('/leaderboard', authorize('user:leaderboard'), leaderboardListQuery, asyncHandler(async (req, res) => {
+  const { teamId } = req.query;
+  
+  let query = {};
+  if (teamId) {
+    // Get users in specific team
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw new NotFoundError('Team', { message: 'The specified team does not exist' });
     }
     
-    const users = await User.find(query)
-      .select('firstName lastName avatar role stats badges')
-      .sort({ 'stats.reputationScore': -1 })
-      .limit(parseInt(limit));
-    
-    const leaderboard = users.map((user, index) => ({
-      rank: index + 1,
-      user: {
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        avatar: user.avatar,
-        role: user.role
-      },
-      stats: user.stats,
-      badges: user.badges,
-      reputationLevel: getReputationLevel(user.stats.reputationScore)
-    }));
-    
-    res.json({
-      success: true,
-      data: leaderboard
-    });
-  } catch (error) {
-    console.error('Error fetching leaderboard:', error);
-    res.status(500).json({
-      error: 'Failed to fetch leaderboard',
-      message: error.message
-    });
+    const memberIds = team.members.map(member => member.userId);
+    query._id = { $in: memberIds };
   }
-});
+  
+  const page = await paginate(
+    User.find(query).select('name avatar department designation role stats badges'),
+    req.listQuery
+  );
+  
+  // Ranks continue across pages
+  const leaderboard = page.items.map((user, index) => ({
+    rank: page.offset + index + 1,
+    user: {
+      _id: user._id,
+      name: user.name,
+      avatar: user.avatar,
+      department: user.department,
+      designation: user.designation,
+      role: user.role
+    },
+    stats: user.stats,
+    badges: user.badges,
+    reputationLevel: getReputationLevel(user.stats.reputationScore)
+  }));
+  
+  res.json({
+    success: true,
+    data: leaderboard,
+    ...pageMeta(page)
+  });
+}));
 
 // GET /api/users/search - Search users
-router.get('/search', async (req, res) => {
-  try {
-    const { q, role, teamId, limit = 20 } = req.query;
-    
-    if (!q || q.length < 2) {
-      return res.status(400).json({
-        error: 'Search query required',
-        message: 'Please provide a search query with at least 2 characters'
-      });
-    }
-    
-    let query = {
-      $or: [
-        { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } }
-      ]
-    };
-    
-    if (role) {
-      query.role = role;
-    }
-    
-    if (teamId) {
-      // Get users in specific team
-      const team = await Team.findById(teamId);
-      if (team) {
-        const memberIds = team.members.map(member => member.userId);
-        query._id = { $in: memberIds };
-      }
-    }
-    
-    const users = await User.find(query)
-      .select('firstName lastName email avatar role')
-      .limit(parseInt(limit));
-    
-    res.json({
-      success: true,
-      data: users,
-      count: users.length
-    });
-  } catch (error) {
-    console.error('Error searching users:', error);
-    res.status(500).json({
-      error: 'Failed to search users',
-      message: error.message
-    });
-  }
-});
+router.get('/search', authorize('user:search'), userSearchListQuery, asyncHandler(async (req, res) => {
+  const { error, value } = userSearchQuerySchema.validate(req.query);
+  if (error) throw error;
+  
+  const page = await searchUsers(req.user, value, req.listQuery);
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
 
 // GET /api/users/me - Get current user info (for onboarding check)
-router.get('/me', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find or create user in our database
-    let user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      user = await User.create({
-        email: googleUser.email,
-        firstName: googleUser.given_name || googleUser.name?.split(' ')[0] || '',
-        lastName: googleUser.family_name || googleUser.name?.split(' ').slice(1).join(' ') || '',
-        avatar: googleUser.picture || null,
-        role: 'PM',
-        onboarded: false,
-        stats: {
-          reputationScore: 0,
-          linksCreated: 0,
-          responsesReceived: 0,
-          averageResponseTime: 0
-        }
-      });
-    }
-    
-    res.json({ 
-      success: true, 
-      data: { 
-        _id: user._id, 
-        email: user.email, 
-        onboarded: user.onboarded, 
-        firstName: user.firstName, 
-        lastName: user.lastName 
-      } 
-    });
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch user', 
-      message: error.message 
-    });
-  }
-});
+router.get('/me', asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  res.json({ 
+    success: true, 
+    data: { 
+      _id: user._id, 
+      email: user.email, 
+      onboarded: user.onboarded, 
+      name: user.name
+    } 
+  });
+}));
+
+// POST /api/users/me/calendar-token - Create or rotate the calendar feed token
+router.post('/me/calendar-token', asyncHandler(async (req, res) => {
+  const token = req.user.createCalendarFeedToken();
+  await req.user.save();
+  recordAudit(req, {
+    action: 'user.calendarToken.create',
+    target: { type: 'USER', id: req.user._id, label: req.user.email }
+  });
+  
+  const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  res.status(201).json({
+    success: true,
+    data: {
+      token,
+      url: `${base}${req.baseUrl}/me/calendar.ics?token=${token}`,
+      createdAt: req.user.calendarFeed.createdAt
+    },
+    message: 'Calendar feed token created; any previous feed URL no longer works'
+  });
+}));
+
+// DELETE /api/users/me/calendar-token - Revoke the calendar feed token
+router.delete('/me/calendar-token', asyncHandler(async (req, res) => {
+  req.user.calendarFeed = { tokenHash: null, createdAt: null };
+  await req.user.save();
+  recordAudit(req, {
+    action: 'user.calendarToken.revoke',
+    target: { type: 'USER', id: req.user._id, label: req.user.email }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Calendar feed revoked'
+  });
+}));
 
 // PUT /api/users/onboarded - Mark user as onboarded
-router.put('/onboarded', async (req, res) => {
-  try {
-    // req.user contains Google token payload, not our database user
-    const googleUser = req.user;
-    
-    // Find or create user in our database
-    let user = await User.findOne({ email: googleUser.email });
-    if (!user) {
-      user = await User.create({
-        email: googleUser.email,
-        firstName: googleUser.given_name || googleUser.name?.split(' ')[0] || '',
-        lastName: googleUser.family_name || googleUser.name?.split(' ').slice(1).join(' ') || '',
-        avatar: googleUser.picture || null,
-        role: 'PM',
-        onboarded: false,
-        stats: {
-          reputationScore: 0,
-          linksCreated: 0,
-          responsesReceived: 0,
-          averageResponseTime: 0
-        }
-      });
-    }
-    
-    // Update the user's onboarded status
-    user = await User.findByIdAndUpdate(user._id, { onboarded: true }, { new: true });
-    
-    res.json({ 
-      success: true, 
-      message: 'User marked as onboarded', 
-      data: { 
-        _id: user._id,
-        email: user.email,
-        onboarded: user.onboarded,
-        firstName: user.firstName,
-        lastName: user.lastName
-      } 
-    });
-  } catch (error) {
-    console.error('Error updating onboarding status:', error);
-    res.status(500).json({ 
-      error: 'Failed to update onboarding status', 
-      message: error.message 
-    });
+router.put('/onboarded', asyncHandler(async (req, res) => {
+  // Update the user's onboarded status
+  const before = snapshot('USER', req.user);
+  const user = await User.findByIdAndUpdate(req.user._id, { onboarded: true }, { new: true });
+  recordAudit(req, {
+    action: 'user.onboarded',
+    target: { type: 'USER', id: user._id, label: user.email },
+    before,
+    after: snapshot('USER', user)
+  });
+  
+  res.json({ 
+    success: true, 
+    message: 'User marked as onboarded', 
+    data: { 
+      _id: user._id,
+      email: user.email,
+      onboarded: user.onboarded,
+      name: user.name
+    } 
+  });
+}));
+
+// GET /api/users/me/action-items - Get outcomes assigned to the current user
+router.get('/me/action-items', actionItemListQuery, asyncHandler(async (req, res) => {
+  const { error, value } = actionItemsQuerySchema.validate(req.query);
+  if (error) throw error;
+  
+  // Default to open items unless a status filter is given
+  const status = value.status ? value.status.split(',') : ['PENDING', 'IN_PROGRESS', 'BLOCKED'];
+  const page = await listActionItems(req.user._id, { ...value, status, page: req.listQuery });
+  
+  res.json({
+    success: true,
+    data: page.items,
+    ...pageMeta(page)
+  });
+}));
+
+// GET /api/users/:userId/badges - Get earned badges, progress and history
+router.get('/:userId/badges', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  
+  const report = mongoose.isValidObjectId(userId) ? await getBadgeReport(userId) : null;
+  if (!report) {
+    throw new NotFoundError('User');
   }
-});
+  
+  res.json({
+    success: true,
+    data: report
+  });
+}));
 
 // GET /api/users/:userId - Get user by ID (limited info)
-router.get('/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    const user = await User.findById(userId)
-      .select('firstName lastName avatar role stats badges')
-      .populate({
-        path: 'teams.teamId',
-        select: 'name productName'
-      });
-    
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user does not exist'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({
-      error: 'Failed to fetch user',
-      message: error.message
+router.get('/:userId', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  
+  const user = await User.findById(userId)
+    .select('name avatar department designation role stats badges')
+    .populate({
+      path: 'teams.teamId',
+      select: 'name productName'
     });
+  
+  if (!user) {
+    throw new NotFoundError('User');
   }
-});
+  
+  res.json({
+    success: true,
+    data: user
+  });
+}));
 
 // Helper functions
 function getReputationLevel(score) {
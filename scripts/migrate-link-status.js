@@ -0,0 +1,104 @@
+// Normalize Link.status to the lifecycle in models/Link.js and backfill
+// statusHistory. Safe to run repeatedly.
+//
+//   npm run migrate:link-status            # apply
+//   npm run migrate:link-status -- --dry   # report only
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Link = require('../models/Link');
+
+const LEGACY_STATUS_MAP = {
+  COMPLETE: 'COMPLETED',
+  DONE: 'COMPLETED',
+  STARTED: 'IN_PROGRESS',
+  CANCELED: 'CANCELLED'
+};
+
+// Pick a lifecycle status for a raw document
+function normalizeStatus(doc, now = new Date()) {
+  if (Link.STATUSES.includes(doc.status)) return doc.status;
+  if (LEGACY_STATUS_MAP[doc.status]) return LEGACY_STATUS_MAP[doc.status];
+  if (doc.completedAt) return 'COMPLETED';
+  if (doc.startedAt) return 'IN_PROGRESS';
+  if (doc.scheduledAt && doc.scheduledAt > now) return 'SCHEDULED';
+  return 'PENDING';
+}
+
+async function migrate({ dryRun = false } = {}) {
+  const collection = Link.collection;
+  const cursor = collection.find(
+    {
+      $or: [
+        { status: { $nin: Link.STATUSES } },
+        { statusHistory: { $exists: false } },
+        { statusHistory: { $size: 0 } }
+      ]
+    },
+    { projection: { status: 1, statusHistory: 1, completedAt: 1, startedAt: 1, scheduledAt: 1, createdAt: 1 } }
+  );
+
+  let scanned = 0;
+  let updated = 0;
+  const changes = {};
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    scanned++;
+    const status = normalizeStatus(doc);
+    const update = { $set: {} };
+
+    if (status !== doc.status) {
+      update.$set.status = status;
+      const key = `${doc.status} -> ${status}`;
+      changes[key] = (changes[key] || 0) + 1;
+    }
+
+    const history = Array.isArray(doc.statusHistory) ? doc.statusHistory : [];
+    if (history.length === 0) {
+      update.$set.statusHistory = [{
+        _id: new mongoose.Types.ObjectId(),
+        from: null,
+        to: status,
+        by: null,
+        at: doc.createdAt || new Date(),
+        reason: 'Backfilled by migration'
+      }];
+    } else if (status !== doc.status) {
+      update.$push = {
+        statusHistory: {
+          _id: new mongoose.Types.ObjectId(),
+          from: null,
+          to: status,
+          by: null,
+          at: new Date(),
+          reason: `Normalized legacy status ${doc.status}`
+        }
+      };
+    }
+
+    if (Object.keys(update.$set).length === 0) delete update.$set;
+    if (!update.$set && !update.$push) continue;
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, update);
+    }
+    updated++;
+  }
+
+  return { scanned, updated, changes };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry');
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => migrate({ dryRun }))
+    .then(result => {
+      console.log(`${dryRun ? '🔎 Dry run' : '✅ Migration complete'}:`, JSON.stringify(result, null, 2));
+      return mongoose.disconnect();
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, normalizeStatus };
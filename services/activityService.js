@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const ResponseRequest = require('../models/ResponseRequest');
+const User = require('../models/User');
+const Team = require('../models/Team');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESPONSE_WINDOW_DAYS = parseInt(process.env.RESPONSE_WINDOW_DAYS || '30', 10);
+
+function toObjectId(id) {
+  return typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
+}
+
+// Record that `user` has been asked for something
+async function recordAsk({ user, team, source, link = null, nudge = null, askedAt = new Date() }) {
+  return ResponseRequest.create({ user, team, source, link, nudge, askedAt });
+}
+
+// Record that `user` acted on a link or nudge, answering any open asks about
+// it, then refresh the affected user and team stats
+async function recordResponse({ user, link = null, nudge = null, at = new Date() }) {
+  if (!link && !nudge) return 0;
+
+  const query = { user, respondedAt: null };
+  if (nudge) {
+    query.nudge = nudge;
+  } else {
+    query.link = link;
+  }
+
+  const pending = await ResponseRequest.find(query);
+  for (const request of pending) {
+    request.markResponded(at);
+    await request.save();
+  }
+
+  if (pending.length > 0) {
+    await refreshUserStats(user);
+    const teamIds = [...new Set(pending.map(request => request.team.toString()))];
+    for (const teamId of teamIds) {
+      await refreshTeamStats(teamId);
+    }
+  }
+
+  return pending.length;
+}
+
+// Response rate (%) and average latency (hours) for asks in the window
+async function computeResponseMetrics(match, { windowDays = RESPONSE_WINDOW_DAYS, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - windowDays * DAY_MS);
+  const [result] = await ResponseRequest.aggregate([
+    { $match: { ...match, askedAt: { $gte: since, $lte: now } } },
+    {
+      $group: {
+        _id: null,
+        asked: { $sum: 1 },
+        responded: { $sum: { $cond: [{ $ne: ['$respondedAt', null] }, 1, 0] } },
+        averageResponseTime: { $avg: '$responseTimeHours' }
+      }
+    }
+  ]);
+
+  const asked = result ? result.asked : 0;
+  const responded = result ? result.responded : 0;
+
+  return {
+    windowDays,
+    asked,
+    responded,
+    responseRate: asked > 0 ? Math.round((responded / asked) * 100) : 0,
+    averageResponseTime: result && result.averageResponseTime
+      ? Math.round(result.averageResponseTime * 100) / 100
+      : 0
+  };
+}
+
+function getUserResponseMetrics(userId, options) {
+  return computeResponseMetrics({ user: toObjectId(userId) }, options);
+}
+
+function getTeamResponseMetrics(teamId, options) {
+  return computeResponseMetrics({ team: toObjectId(teamId) }, options);
+}
+
+// Persist the rolling-window metrics on User.stats (recomputes reputation).
+// With no asks in the window the stats go back to their defaults (0).
+async function refreshUserStats(userId) {
+  const metrics = await getUserResponseMetrics(userId);
+
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  user.stats.responseRate = metrics.responseRate;
+  user.stats.averageResponseTime = metrics.averageResponseTime;
+  await user.save();
+  return metrics;
+}
+
+// Persist the rolling-window metrics on Team.stats (recomputes reputation
+// badge), resetting them when there are no asks in the window
+async function refreshTeamStats(teamId) {
+  const metrics = await getTeamResponseMetrics(teamId);
+
+  const team = await Team.findById(teamId);
+  if (!team) return null;
+
+  team.stats.responseRate = metrics.responseRate;
+  team.stats.averageResponseTime = metrics.averageResponseTime;
+  await team.save();
+  return metrics;
+}
+
+// Ids in either list, without duplicates
+function unionIds(...lists) {
+  const ids = new Map();
+  lists.flat().forEach(id => ids.set(id.toString(), id));
+  return [...ids.values()];
+}
+
+// Stats left over from asks that have since aged out of the window
+const STALE_STATS = {
+  $or: [{ 'stats.responseRate': { $ne: 0 } }, { 'stats.averageResponseTime': { $ne: 0 } }]
+};
+
+// Recompute stats for everyone with asks in the window, so unanswered asks
+// age into the rate even when nobody acts on them, and reset the stats of
+// anyone whose asks have all aged out
+async function refreshAllResponseStats(now = new Date()) {
+  const since = new Date(now.getTime() - RESPONSE_WINDOW_DAYS * DAY_MS);
+  const [activeUserIds, activeTeamIds, staleUserIds, staleTeamIds] = await Promise.all([
+    ResponseRequest.distinct('user', { askedAt: { $gte: since } }),
+    ResponseRequest.distinct('team', { askedAt: { $gte: since } }),
+    User.distinct('_id', STALE_STATS),
+    Team.distinct('_id', STALE_STATS)
+  ]);
+  const userIds = unionIds(activeUserIds, staleUserIds);
+  const teamIds = unionIds(activeTeamIds, staleTeamIds);
+
+  for (const userId of userIds) {
+    await refreshUserStats(userId);
+  }
+  for (const teamId of teamIds) {
+    await refreshTeamStats(teamId);
+  }
+
+  return { users: userIds.length, teams: teamIds.length };
+}
+
+module.exports = {
+  recordAsk,
+  recordResponse,
+  getUserResponseMetrics,
+  getTeamResponseMetrics,
+  refreshUserStats,
+  refreshTeamStats,
+  refreshAllResponseStats
+};
@@ -0,0 +1,125 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+
+// Fields captured in before/after snapshots, per target type
+const SNAPSHOT_FIELDS = {
+  TEAM: ['name', 'description', 'productName', 'productVersion', 'status', 'tags', 'settings.visibility', 'settings.allowMemberInvites', 'settings.requireApproval'],
+  LINK: ['title', 'purpose', 'status', 'statusReason', 'scheduledAt', 'duration', 'priority', 'tags', 'notes', 'recurrence.rule', 'recurrence.timezone'],
+  OUTCOME: ['type', 'description', 'status', 'assignedTo', 'dueDate'],
+  USER: ['name', 'designation', 'role', 'department', 'onboarded', 'settings'],
+  MEMBER: ['role', 'isActive']
+};
+
+// Rows per export; larger trails should be narrowed with filters
+const EXPORT_LIMIT = 10000;
+
+const EXPORT_COLUMNS = ['createdAt', 'action', 'actorId', 'actorEmail', 'targetType', 'targetId', 'targetLabel', 'changes', 'metadata', 'ip', 'requestId'];
+
+// JSON-safe copy (ObjectIds and Dates become strings)
+function plain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+// Pick the audited fields of a document (or subdocument) of `type`
+function snapshot(type, doc) {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return SNAPSHOT_FIELDS[type].reduce((picked, field) => {
+    picked[field] = plain(valueAt(source, field));
+    return picked;
+  }, {});
+}
+
+// Fields whose value differs between two snapshots
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  fields.forEach(field => {
+    const from = before ? plain(before[field]) : null;
+    const to = after ? plain(after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+  return changes;
+}
+
+// Write an audit event for the request. `actor` defaults to the signed-in
+// user; unauthenticated routes pass the user they resolved (or just
+// { email }). Never throws: a failed audit write is logged and must not fail
+// the mutation it describes.
+function recordAudit(req, { action, team = null, target, before = null, after = null, metadata = {}, actor = req.user }) {
+  const event = {
+    action,
+    actor: {
+      userId: (actor && actor._id) || null,
+      email: (actor && actor.email) || null,
+      name: (actor && actor.name) || null
+    },
+    team: team && team._id ? team._id : team,
+    target: {
+      type: target.type,
+      id: target.id || null,
+      label: target.label || ''
+    },
+    changes: diff(before, after),
+    metadata,
+    ip: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    requestId: req.id || null
+  };
+
+  return AuditEvent.create(event)
+    .catch(error => logger.error('Error writing audit event', { action: event.action, error }));
+}
+
+// Cells starting with these run as formulas when the export is opened in a
+// spreadsheet; they are prefixed with ' so they stay plain text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize the events matching `filter` (newest first) as csv or json
+async function exportAuditEvents(filter, format = 'csv') {
+  const events = await AuditEvent.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  if (format === 'json') {
+    return JSON.stringify(events.map(plain), null, 2);
+  }
+
+  const rows = events.map(event => [
+    event.createdAt.toISOString(),
+    event.action,
+    event.actor.userId,
+    event.actor.email,
+    event.target.type,
+    event.target.id,
+    event.target.label,
+    event.changes,
+    event.metadata,
+    event.ip,
+    event.requestId
+  ].map(value => csvCell(plain(value))).join(','));
+
+  return [EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+  exportAuditEvents,
+  EXPORT_LIMIT
+};
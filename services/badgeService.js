@@ -0,0 +1,202 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const BadgeEvent = require('../models/BadgeEvent');
+const { getUserResponseMetrics } = require('./activityService');
+const logger = require('./logger');
+
+// Declarative badge rules. A badge is held while ALL its conditions hold;
+// each condition compares one fact (see collectFacts) with a threshold.
+const BADGE_RULES = [
+  {
+    type: 'SUPER_RESPONDER',
+    description: 'Responds to almost everything, fast',
+    conditions: [
+      { fact: 'asksReceived', op: 'gte', value: 5 },
+      { fact: 'responseRate', op: 'gte', value: 90 },
+      { fact: 'averageResponseTime', op: 'lte', value: 2 }
+    ]
+  },
+  {
+    type: 'POWER_CONNECTOR',
+    description: 'Has linked up with many different people',
+    conditions: [
+      { fact: 'collaborators', op: 'gte', value: 10 }
+    ]
+  },
+  {
+    type: 'LINK_HERO',
+    description: 'Starts the conversations that matter',
+    conditions: [
+      { fact: 'linksInitiated', op: 'gte', value: 25 }
+    ]
+  },
+  {
+    type: 'TEAM_MAGNET',
+    description: 'Active member of several teams',
+    conditions: [
+      { fact: 'activeTeams', op: 'gte', value: 3 }
+    ]
+  },
+  {
+    type: 'GHOST_MODE',
+    description: 'Rarely responds when asked',
+    conditions: [
+      { fact: 'asksReceived', op: 'gte', value: 5 },
+      { fact: 'responseRate', op: 'lt', value: 30 }
+    ]
+  },
+  {
+    type: 'SILENT_WITNESS',
+    description: 'Joins plenty of links but never starts one',
+    conditions: [
+      { fact: 'linksParticipated', op: 'gte', value: 10 },
+      { fact: 'linksInitiated', op: 'lte', value: 0 }
+    ]
+  }
+];
+
+const OPERATORS = {
+  gte: (actual, value) => actual >= value,
+  gt: (actual, value) => actual > value,
+  lte: (actual, value) => actual <= value,
+  lt: (actual, value) => actual < value
+};
+
+// Gather every fact the rules can reference for one user
+async function collectFacts(user) {
+  const userId = user._id;
+  const [linksInitiated, linksParticipated, collaborators, activeTeams, responseMetrics] = await Promise.all([
+    Link.countDocuments({ participants: { $elemMatch: { userId, role: 'INITIATOR' } } }),
+    Link.countDocuments({ 'participants.userId': userId }),
+    Link.aggregate([
+      { $match: { 'participants.userId': userId } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.userId': { $ne: userId } } },
+      { $group: { _id: '$participants.userId' } },
+      { $count: 'count' }
+    ]),
+    Team.countDocuments({ members: { $elemMatch: { userId, isActive: true } } }),
+    getUserResponseMetrics(userId)
+  ]);
+
+  return {
+    responseRate: user.stats.responseRate,
+    averageResponseTime: user.stats.averageResponseTime,
+    asksReceived: responseMetrics.asked,
+    linksInitiated,
+    linksParticipated,
+    collaborators: collaborators[0] ? collaborators[0].count : 0,
+    activeTeams
+  };
+}
+
+// How close a fact is to satisfying a condition, from 0 to 1
+function conditionProgress({ op, value }, actual) {
+  if (OPERATORS[op](actual, value)) return 1;
+  if (op === 'gte' || op === 'gt') {
+    return value > 0 ? Math.max(0, Math.min(1, actual / value)) : 0;
+  }
+  // Upper bounds: the further above the limit, the lower the progress
+  return actual > 0 ? Math.max(0, Math.min(1, value / actual)) : 0;
+}
+
+function evaluateRule(rule, facts) {
+  const conditions = rule.conditions.map(condition => {
+    const actual = facts[condition.fact] ?? 0;
+    return {
+      ...condition,
+      actual,
+      met: OPERATORS[condition.op](actual, condition.value),
+      progress: conditionProgress(condition, actual)
+    };
+  });
+
+  return {
+    type: rule.type,
+    description: rule.description,
+    earned: conditions.every(c => c.met),
+    progress: Math.round((conditions.reduce((sum, c) => sum + c.progress, 0) / conditions.length) * 100),
+    conditions
+  };
+}
+
+// Re-evaluate all rules for a user, awarding and revoking badges as needed
+async function evaluateUserBadges(userId) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const facts = await collectFacts(user);
+  const results = BADGE_RULES.map(rule => evaluateRule(rule, facts));
+  const held = new Set(user.badges.map(badge => badge.type));
+  const events = [];
+
+  results.forEach(result => {
+    if (result.earned && !held.has(result.type)) {
+      user.badges.push({
+        type: result.type,
+        earnedAt: new Date(),
+        description: result.description
+      });
+      events.push({ user: user._id, badge: result.type, action: 'EARNED', facts });
+    } else if (!result.earned && held.has(result.type)) {
+      user.badges = user.badges.filter(badge => badge.type !== result.type);
+      events.push({ user: user._id, badge: result.type, action: 'REVOKED', facts });
+    }
+  });
+
+  if (events.length > 0) {
+    await user.save();
+    await BadgeEvent.insertMany(events);
+  }
+
+  return { facts, results, events };
+}
+
+// Fire-and-forget evaluation after a mutation; failures are only logged
+function scheduleBadgeEvaluation(userIds) {
+  const unique = [...new Set(userIds.filter(Boolean).map(id => (id._id || id).toString()))];
+  unique.reduce(
+    (chain, userId) => chain.then(() => evaluateUserBadges(userId)),
+    Promise.resolve()
+  ).catch(error => logger.error('Error evaluating badges', { error }));
+}
+
+// Nightly sweep over every user
+async function evaluateAllBadges() {
+  let evaluated = 0;
+  let changed = 0;
+  const cursor = User.find().select('_id').cursor();
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    const result = await evaluateUserBadges(user._id);
+    evaluated++;
+    if (result && result.events.length > 0) changed++;
+  }
+  return { evaluated, changed };
+}
+
+// Earned badges, progress toward the rest and recent history
+async function getBadgeReport(userId) {
+  const user = await User.findById(userId).select('name avatar stats badges');
+  if (!user) return null;
+
+  const facts = await collectFacts(user);
+  const history = await BadgeEvent.find({ user: user._id })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .select('badge action createdAt');
+
+  return {
+    earned: user.badges,
+    progress: BADGE_RULES.map(rule => evaluateRule(rule, facts)).filter(result => !result.earned),
+    history
+  };
+}
+
+module.exports = {
+  BADGE_RULES,
+  evaluateUserBadges,
+  scheduleBadgeEvaluation,
+  evaluateAllBadges,
+  getBadgeReport
+};
@@ -0,0 +1,147 @@
+// Minimal RFC 5545 (iCalendar) writer for exporting links as VEVENTs
+const { toWallClock } = require('./timezone');
+
+const PRODUCT_ID = '-//Tether//Tether Links//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'tether.app';
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Quote parameter values that contain separators (RFC 5545 §3.2)
+function paramValue(value) {
+  const clean = String(value || '').replace(/"/g, '');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// DATE-TIME property in UTC, or as local time with a TZID parameter. IANA
+// zone names are used as TZIDs without a VTIMEZONE, which calendar clients
+// resolve from their own tz database.
+function dateProperty(name, date, timezone) {
+  if (!timezone) return `${name}:${formatDate(date)}`;
+  return `${name};TZID=${timezone}:${formatDate(toWallClock(date, timezone)).replace(/Z$/, '')}`;
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 §3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventStatus(link) {
+  if (link.status === 'CANCELLED') return 'CANCELLED';
+  if (link.status === 'PENDING' || link.status === 'DELAYED') return 'TENTATIVE';
+  return 'CONFIRMED';
+}
+
+function eventUid(link) {
+  return `link-${link._id}@${UID_DOMAIN}`;
+}
+
+// Participants must be populated with name/email for ATTENDEE lines
+function attendeeLines(link) {
+  const lines = [];
+  link.participants.forEach(participant => {
+    const user = participant.userId;
+    if (!user || !user.email) return;
+
+    const name = paramValue(user.name || user.email);
+    if (participant.role === 'INITIATOR') {
+      lines.push(`ORGANIZER;CN=${name}:mailto:${user.email}`);
+    }
+    const role = participant.role === 'OBSERVER' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT';
+    lines.push(`ATTENDEE;CN=${name};ROLE=${role};PARTSTAT=NEEDS-ACTION:mailto:${user.email}`);
+  });
+  return lines;
+}
+
+function buildEvent(link, { now = new Date() } = {}) {
+  const start = new Date(link.scheduledAt);
+  const minutes = link.duration > 0 ? link.duration : DEFAULT_DURATION_MINUTES;
+  const end = new Date(start.getTime() + minutes * 60 * 1000);
+  const meetingUrl = link.metadata && link.metadata.meetingUrl;
+  const location = link.metadata && link.metadata.location;
+  // Series masters repeat in their own zone; everything else is exported in UTC
+  const timezone = (link.recurrence && link.recurrence.rule && link.recurrence.timezone) || null;
+
+  const description = [link.purpose, meetingUrl ? `Join: ${meetingUrl}` : '']
+    .filter(Boolean)
+    .join('\n\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(link)}`,
+    `SEQUENCE:${link.calendarSequence || 0}`,
+    `DTSTAMP:${formatDate(now)}`,
+    dateProperty('DTSTART', start, timezone),
+    dateProperty('DTEND', end, timezone),
+    `SUMMARY:${escapeText(link.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${eventStatus(link)}`
+  ];
+  // Series masters carry their rule; occurrences are exported as plain events
+  if (link.recurrence && link.recurrence.rule) {
+    lines.push(`RRULE:${link.recurrence.rule}`);
+    (link.recurrence.exdates || []).forEach(date => lines.push(dateProperty('EXDATE', date, timezone)));
+  }
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (meetingUrl) lines.push(`URL:${meetingUrl}`);
+  if (link.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(link.updatedAt)}`);
+  lines.push(...attendeeLines(link));
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// Build a VCALENDAR document from links that have a scheduledAt
+function buildCalendar(links, { name = 'Tether', method = 'PUBLISH' } = {}) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  links
+    .filter(link => link.scheduledAt)
+    .forEach(link => lines.push(...buildEvent(link, { now })));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  eventUid
+};
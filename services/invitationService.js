@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const TeamInvitation = require('../models/TeamInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const { findActiveMembership } = require('../middleware/permissions');
+const { addTeamMember, teamRoleFor } = require('./membershipService');
+const mailer = require('./mailer');
+const logger = require('./logger');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../middleware/errors');
+
+// Active owners of a team, for notifications
+async function findTeamOwners(team) {
+  const ownerIds = team.members
+    .filter(member => member.isActive && member.role === 'OWNER')
+    .map(member => member.userId);
+  ownerIds.push(team.owner);
+  return User.find({ _id: { $in: ownerIds } }).select('name email');
+}
+
+// Team roles that only owners and PMs may hand out, so a member cannot
+// invite a second account of their own into a more privileged role
+const ELEVATED_INVITE_ROLES = ['PM'];
+const ELEVATED_INVITER_ROLES = ['OWNER', 'PM'];
+
+// Invite someone by email. Non-owners may only invite when the team allows
+// member invites. Re-inviting a pending address refreshes its token.
+async function createInvitation({ team, inviter, membership, email, role, message = '' }) {
+  const isOwner = membership && membership.role === 'OWNER';
+  if (!isOwner && !team.settings.allowMemberInvites) {
+    throw new ForbiddenError('Only team owners can invite members to this team', { label: 'Invites disabled', code: 'INVITES_DISABLED' });
+  }
+  if (ELEVATED_INVITE_ROLES.includes(role) && !(membership && ELEVATED_INVITER_ROLES.includes(membership.role))) {
+    throw new ForbiddenError(`Only team owners and PMs can invite members as ${role}`, { label: 'Role not allowed', code: 'INVITE_ROLE_NOT_ALLOWED' });
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+  if (existingUser && findActiveMembership(team, existingUser._id)) {
+    throw new ConflictError('This user is already a member of the team', { label: 'User already a member', code: 'ALREADY_MEMBER' });
+  }
+
+  let invitation = await TeamInvitation.findOne({ team: team._id, email: normalizedEmail, status: 'PENDING' });
+  if (!invitation) {
+    invitation = new TeamInvitation({ team: team._id, email: normalizedEmail });
+  }
+  invitation.invitedBy = inviter._id;
+  invitation.role = role;
+  invitation.message = message;
+  const token = invitation.issueToken();
+  await invitation.save();
+
+  await mailer.sendTeamInvitationEmail({
+    email: normalizedEmail,
+    team,
+    inviter,
+    token,
+    message,
+    expiresAt: invitation.expiresAt
+  });
+
+  return invitation;
+}
+
+// Matching invitations on the account's email is only safe once the user has
+// proven they own that address; until then only the emailed token works
+function assertEmailVerified(user) {
+  if (!user.emailVerifiedAt) {
+    throw new ForbiddenError('Verify your email address, or open the link in the invitation email', { label: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+  }
+}
+
+// Resolve an invitation addressed to `user` by token (from the email) or id
+// (from the in-app list, verified emails only), rejecting closed or expired ones
+async function findOpenInvitation(user, { token, invitationId }) {
+  let invitation = null;
+  if (token) {
+    invitation = await TeamInvitation.findByToken(token);
+  } else {
+    assertEmailVerified(user);
+    if (mongoose.isValidObjectId(invitationId)) {
+      invitation = await TeamInvitation.findById(invitationId);
+    }
+  }
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation');
+  }
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new ForbiddenError('This invitation was sent to a different email address');
+  }
+  if (invitation.status === 'PENDING' && invitation.expiresAt <= new Date()) {
+    invitation.status = 'EXPIRED';
+    await invitation.save();
+  }
+  if (invitation.status !== 'PENDING') {
+    throw new ConflictError(`This invitation is ${invitation.status.toLowerCase()}`, { label: 'Invitation closed', code: 'INVITATION_CLOSED', status: 410 });
+  }
+  return invitation;
+}
+
+async function acceptInvitation(user, lookup) {
+  const invitation = await findOpenInvitation(user, lookup);
+  const team = await Team.findById(invitation.team);
+  if (!team || team.status === 'ARCHIVED') {
+    throw new ConflictError('This team is no longer accepting members', { label: 'Invitation closed', code: 'INVITATION_CLOSED', status: 410 });
+  }
+
+  if (!findActiveMembership(team, user._id)) {
+    await addTeamMember(team, user, invitation.role);
+  }
+
+  invitation.resolve('ACCEPTED', user._id);
+  await invitation.save();
+
+  return { invitation, team };
+}
+
+async function declineInvitation(user, lookup) {
+  const invitation = await findOpenInvitation(user, lookup);
+  invitation.resolve('DECLINED', user._id);
+  await invitation.save();
+  return invitation;
+}
+
+async function revokeInvitation(team, invitationId, by) {
+  const invitation = mongoose.isValidObjectId(invitationId)
+    ? await TeamInvitation.findOne({ _id: invitationId, team: team._id })
+    : null;
+  if (!invitation) {
+    throw new NotFoundError('Invitation');
+  }
+  if (invitation.status !== 'PENDING') {
+    throw new ConflictError(`This invitation is ${invitation.status.toLowerCase()}`, { label: 'Invitation closed', code: 'INVITATION_CLOSED' });
+  }
+  invitation.resolve('REVOKED', by);
+  await invitation.save();
+  return invitation;
+}
+
+// Pending, unexpired invitations addressed to a user (an unsorted query the
+// caller pages). Requires a verified email.
+function listInvitationsForUser(user) {
+  assertEmailVerified(user);
+  return TeamInvitation.find({
+    email: user.email.toLowerCase(),
+    status: 'PENDING',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('team', 'name productName description')
+    .populate('invitedBy', 'name email avatar');
+}
+
+// Ask to join a PUBLIC team. Joins immediately unless the team requires
+// approval, in which case owners are notified of the pending request.
+async function requestToJoin(team, user, message = '') {
+  if (team.settings.visibility !== 'PUBLIC' || team.status === 'ARCHIVED') {
+    throw new ForbiddenError('This team does not accept join requests', { code: 'JOIN_REQUESTS_DISABLED' });
+  }
+  if (findActiveMembership(team, user._id)) {
+    throw new ConflictError('You are already a member of this team', { label: 'User already a member', code: 'ALREADY_MEMBER' });
+  }
+
+  if (!team.settings.requireApproval) {
+    await addTeamMember(team, user, teamRoleFor(user.department));
+    return { joined: true, team };
+  }
+
+  let request;
+  try {
+    request = await JoinRequest.create({ team: team._id, user: user._id, message });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw new ConflictError('You already asked to join this team', { label: 'Request already pending', code: 'JOIN_REQUEST_PENDING' });
+  }
+
+  const owners = await findTeamOwners(team);
+  owners.forEach(owner => {
+    mailer.sendJoinRequestEmail(owner, { team, requester: user, message })
+      .catch(error => logger.error('Error sending join request email', { teamId: team._id, error }));
+  });
+
+  return { joined: false, request };
+}
+
+// Approve or reject a pending join request
+async function decideJoinRequest(team, requestId, decider, { approve, reason = '' }) {
+  const request = mongoose.isValidObjectId(requestId)
+    ? await JoinRequest.findOne({ _id: requestId, team: team._id })
+    : null;
+  if (!request) {
+    throw new NotFoundError('Join request');
+  }
+  if (request.status !== 'PENDING') {
+    throw new ConflictError(`This request is ${request.status.toLowerCase()}`, { label: 'Join request closed', code: 'JOIN_REQUEST_CLOSED' });
+  }
+
+  const user = await User.findById(request.user);
+  if (approve && user && !findActiveMembership(team, user._id)) {
+    await addTeamMember(team, user, teamRoleFor(user.department));
+  }
+
+  request.decide(approve ? 'APPROVED' : 'REJECTED', decider._id, reason);
+  await request.save();
+
+  if (user) {
+    mailer.sendJoinDecisionEmail(user, { team, approved: approve, reason })
+      .catch(error => logger.error('Error sending join decision email', { teamId: team._id, error }));
+  }
+
+  return request;
+}
+
+// Cron entry point: close invitations that passed their expiry
+async function expireInvitations(now = new Date()) {
+  const result = await TeamInvitation.updateMany(
+    { status: 'PENDING', expiresAt: { $lte: now } },
+    { $set: { status: 'EXPIRED' } }
+  );
+  return { expired: result.modifiedCount };
+}
+
+module.exports = {
+  createInvitation,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation,
+  listInvitationsForUser,
+  requestToJoin,
+  decideJoinRequest,
+  expireInvitations
+};
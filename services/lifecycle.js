@@ -0,0 +1,221 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { initRealtime, closeRealtime } = require('./realtime');
+const { startScheduler, stopScheduler, waitForIdle } = require('./scheduler');
+const { AppError } = require('../middleware/errors');
+const registerJobs = require('../jobs');
+
+// Process lifecycle: connect to MongoDB with retries, start the HTTP server,
+// Socket.IO and the scheduler, and drain them all on SIGTERM/SIGINT.
+//
+//   UNMANAGED -> STARTING -> READY -> DRAINING -> STOPPED
+//
+// The server listens while STARTING so liveness checks pass during
+// connection retries; API requests get 503 until READY. An app built with
+// createApp() but never started (e.g. in tests) stays UNMANAGED and is not
+// gated.
+
+const PHASES = {
+  UNMANAGED: 'UNMANAGED',
+  STARTING: 'STARTING',
+  READY: 'READY',
+  DRAINING: 'DRAINING',
+  STOPPED: 'STOPPED'
+};
+
+const CONNECT_RETRIES = parseInt(process.env.MONGO_CONNECT_RETRIES, 10) || 10;
+const CONNECT_BACKOFF_MS = parseInt(process.env.MONGO_CONNECT_BACKOFF_MS, 10) || 1000;
+const CONNECT_BACKOFF_MAX_MS = parseInt(process.env.MONGO_CONNECT_BACKOFF_MAX_MS, 10) || 30 * 1000;
+// Upper bound for a graceful shutdown before the process is forced to exit
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10 * 1000;
+
+let phase = PHASES.UNMANAGED;
+let server = null;
+let metricsServer = null;
+let shutdownPromise = null;
+
+function getPhase() {
+  return phase;
+}
+
+function isShuttingDown() {
+  return phase === PHASES.DRAINING || phase === PHASES.STOPPED;
+}
+
+// Whether this instance should receive traffic (database health is checked
+// separately by /health/ready)
+function isReady() {
+  return phase === PHASES.READY || phase === PHASES.UNMANAGED;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter: 50-100% of base * 2^(attempt - 1), capped
+function backoffDelay(attempt, { baseMs = CONNECT_BACKOFF_MS, maxMs = CONNECT_BACKOFF_MAX_MS } = {}) {
+  const ceiling = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Connect to MongoDB, retrying with backoff. Gives up after `retries`
+// failed attempts, or as soon as shutdown begins.
+async function connectWithRetry(uri, { retries = CONNECT_RETRIES, ...backoff } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await mongoose.connect(uri);
+      logger.info('Connected to MongoDB', { attempt });
+      return mongoose.connection;
+    } catch (error) {
+      if (attempt >= retries || isShuttingDown()) throw error;
+      const delayMs = backoffDelay(attempt, backoff);
+      logger.warn('MongoDB connection failed, retrying', { attempt, retries, delayMs, error });
+      await sleep(delayMs);
+      if (isShuttingDown()) throw new Error('Startup aborted by shutdown');
+    }
+  }
+}
+
+// Middleware: 503 for API traffic until startup completes; while draining,
+// requests are still served but keep-alive connections are closed
+function readinessGate(req, res, next) {
+  if (phase === PHASES.STARTING) {
+    res.set('Retry-After', '5');
+    return next(new AppError('The server is starting up', {
+      status: 503,
+      code: 'NOT_READY',
+      label: 'Service unavailable'
+    }));
+  }
+  if (isShuttingDown()) {
+    res.set('Connection', 'close');
+  }
+  next();
+}
+
+function listen(httpServer, port) {
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+// Stop accepting connections and resolve once in-flight requests finish
+function closeServer(httpServer) {
+  return new Promise(resolve => {
+    httpServer.close(error => {
+      if (error && error.code !== 'ERR_SERVER_NOT_RUNNING') {
+        logger.warn('Error closing HTTP server', { error });
+      }
+      resolve();
+    });
+    httpServer.closeIdleConnections();
+  });
+}
+
+// Start everything. `metrics` ({ app, port }) adds a separate listener for
+// Prometheus scrapes. Exits the process if MongoDB never becomes reachable.
+async function start(app, { port, origins = [], metrics = null, mongoUri = process.env.MONGODB_URI } = {}) {
+  phase = PHASES.STARTING;
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  server = http.createServer(app);
+  initRealtime(server, { origins });
+  await listen(server, port);
+  logger.info('Tether API server listening', { port, readiness: `http://localhost:${port}/health/ready` });
+
+  if (metrics) {
+    metricsServer = http.createServer(metrics.app);
+    await listen(metricsServer, metrics.port);
+    logger.info('Metrics listening', { port: metrics.port });
+  }
+
+  try {
+    await connectWithRetry(mongoUri);
+  } catch (error) {
+    if (isShuttingDown()) return server;
+    logger.error('MongoDB connection error, giving up', { error });
+    await closeServer(server);
+    if (metricsServer) await closeServer(metricsServer);
+    process.exit(1);
+  }
+
+  if (isShuttingDown()) return server;
+
+  registerJobs();
+  if (process.env.ENABLE_SCHEDULER !== 'false') {
+    startScheduler();
+  }
+
+  phase = PHASES.READY;
+  logger.info('Tether API server ready', { port });
+  return server;
+}
+
+// Drain and stop: refuse new connections, drop sockets, let in-flight
+// requests and cron jobs finish, then close MongoDB. A second signal, or
+// SHUTDOWN_TIMEOUT_MS elapsing, forces the exit.
+function shutdown(signal) {
+  if (shutdownPromise) {
+    logger.warn('Second shutdown signal, exiting now', { signal });
+    process.exit(1);
+  }
+
+  phase = PHASES.DRAINING;
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+
+  const forceExit = setTimeout(() => {
+    logger.error('Graceful shutdown timed out, forcing exit');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  shutdownPromise = (async () => {
+    stopScheduler();
+    closeRealtime();
+    if (server) {
+      await closeServer(server);
+    }
+
+    const jobsIdle = await waitForIdle(Math.max(deadline - Date.now(), 0));
+    if (!jobsIdle) {
+      logger.warn('Cron jobs still running at shutdown');
+    }
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+    // Closed last so scrapes keep working while the instance drains
+    if (metricsServer) {
+      await closeServer(metricsServer);
+    }
+
+    phase = PHASES.STOPPED;
+    clearTimeout(forceExit);
+    logger.info('Shutdown complete');
+    process.exit(0);
+  })().catch(error => {
+    logger.error('Error during shutdown', { error });
+    process.exit(1);
+  });
+
+  return shutdownPromise;
+}
+
+module.exports = {
+  PHASES,
+  getPhase,
+  isReady,
+  isShuttingDown,
+  backoffDelay,
+  connectWithRetry,
+  readinessGate,
+  start,
+  shutdown
+};
@@ -0,0 +1,91 @@
+// Structured logger: one JSON object per line, filtered by LOG_LEVEL
+// (error, warn, info, debug; default info). Secrets and email addresses are
+// redacted before anything is written.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const SECRET_KEY = /(token|authorization|password|secret|cookie|apikey|api_key)/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER = /Bearer\s+[\w.~+/-]+=*/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const SECRET_QUERY = /([?&](?:token|refreshToken|access_token)=)[^&#\s]*/gi;
+const MAX_DEPTH = 6;
+
+function currentLevel() {
+  const configured = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return configured in LEVELS ? LEVELS[configured] : LEVELS.info;
+}
+
+// Mask the local part of emails (jane.doe@acme.com -> j***@acme.com) and
+// strip bearer tokens, JWTs and secret query parameters from free text
+function redactString(value) {
+  return value
+    .replace(BEARER, 'Bearer [REDACTED]')
+    .replace(JWT, '[REDACTED]')
+    .replace(SECRET_QUERY, '$1[REDACTED]')
+    .replace(EMAIL, '$1***@$2');
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return serializeError(value);
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+  return Object.keys(source).reduce((out, key) => {
+    out[key] = SECRET_KEY.test(key) ? '[REDACTED]' : redact(source[key], depth + 1);
+    return out;
+  }, {});
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: redactString(error.message || '')
+  };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  if (error.stack) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] > currentLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(message)),
+    ...redact({ ...bindings, ...fields })
+  };
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+// Logger whose entries always carry `bindings` (e.g. requestId, userId)
+function createLogger(bindings = {}) {
+  return {
+    error: (message, fields = {}) => write('error', bindings, message, fields),
+    warn: (message, fields = {}) => write('warn', bindings, message, fields),
+    info: (message, fields = {}) => write('info', bindings, message, fields),
+    debug: (message, fields = {}) => write('debug', bindings, message, fields),
+    isLevelEnabled: level => LEVELS[level] <= currentLevel(),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
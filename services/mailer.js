@@ -0,0 +1,109 @@
+const logger = require('./logger');
+
+// Outbound email goes through a swappable transport. A transport is any
+// object with an async send({ to, subject, text, html }) method.
+
+// Default transport: log the message (no SMTP dependency in this service)
+const consoleTransport = {
+  async send(message) {
+    logger.info('Email sent', { to: message.to, subject: message.subject, transport: 'console' });
+    return { accepted: [message.to] };
+  }
+};
+
+// In-memory transport that records messages, for tests and local debugging
+function createMemoryTransport() {
+  const outbox = [];
+  return {
+    outbox,
+    async send(message) {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { accepted: [message.to] };
+    }
+  };
+}
+
+let transport = consoleTransport;
+
+function setTransport(customTransport) {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('A mail transport must implement send(message)');
+  }
+  transport = customTransport;
+}
+
+function resetTransport() {
+  transport = consoleTransport;
+}
+
+function frontendUrl(path) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${path}`;
+}
+
+async function sendMail(message) {
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Tether <no-reply@tether.app>',
+    ...message
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const url = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Tether password',
+    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in one hour and can only be used once.\n\n${url}\n\nIf you didn't request this, you can ignore this email.`
+  });
+}
+
+async function sendEmailVerificationEmail(user, token) {
+  const url = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email for Tether',
+    text: `Hi ${user.name},\n\nConfirm this is your email address to finish setting up your Tether account. The link expires in 24 hours.\n\n${url}\n\nIf you didn't create an account, you can ignore this email.`
+  });
+}
+
+async function sendTeamInvitationEmail({ email, team, inviter, token, message, expiresAt }) {
+  const url = frontendUrl(`/invitations/accept?token=${encodeURIComponent(token)}`);
+  const note = message ? `\n\n"${message}"` : '';
+  return sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to join ${team.name} on Tether`,
+    text: `Hi,\n\n${inviter.name} invited you to join the ${team.name} team (${team.productName}) on Tether.${note}\n\nAccept or decline the invitation here:\n\n${url}\n\nThe invitation expires on ${expiresAt.toUTCString()}.`
+  });
+}
+
+async function sendJoinRequestEmail(owner, { team, requester, message }) {
+  const url = frontendUrl(`/teams/${team._id}/join-requests`);
+  const note = message ? `\n\n"${message}"` : '';
+  return sendMail({
+    to: owner.email,
+    subject: `${requester.name} asked to join ${team.name}`,
+    text: `Hi ${owner.name},\n\n${requester.name} (${requester.email}) asked to join ${team.name}.${note}\n\nReview the request here:\n\n${url}`
+  });
+}
+
+async function sendJoinDecisionEmail(user, { team, approved, reason }) {
+  const outcome = approved ? 'approved' : 'declined';
+  const detail = reason ? `\n\nReason: ${reason}` : '';
+  return sendMail({
+    to: user.email,
+    subject: `Your request to join ${team.name} was ${outcome}`,
+    text: `Hi ${user.name},\n\nYour request to join ${team.name} was ${outcome}.${detail}`
+  });
+}
+
+module.exports = {
+  setTransport,
+  resetTransport,
+  createMemoryTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendTeamInvitationEmail,
+  sendJoinRequestEmail,
+  sendJoinDecisionEmail
+};
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { scheduleBadgeEvaluation } = require('./badgeService');
+const { emitToTeam, addUserToTeamRoom, removeUserFromTeamRoom, EVENTS } = require('./realtime');
+const { withTransaction } = require('./transactions');
+const logger = require('./logger');
+
+// Membership is stored twice: Team.members (source of truth, with the team
+// role) and User.teams (a per-user index whose role only mirrors ownership).
+// Every write goes through saveTeamMemberships() so both sides change in one
+// transaction; reconcileMemberships() repairs drift left by older writes
+// (or by a failure part way through on a standalone server).
+
+// Team roles a department maps onto when joining without an explicit role
+const DEPARTMENT_TEAM_ROLES = ['PM', 'DEV', 'DESIGN', 'LEGAL', 'SECURITY', 'BIZ_OPS', 'STAKEHOLDER'];
+
+function teamRoleFor(department) {
+  return DEPARTMENT_TEAM_ROLES.includes(department) ? department : 'STAKEHOLDER';
+}
+
+// User.teams[].role mirrors ownership only (OWNER or MEMBER)
+function userTeamRoleFor(teamRole) {
+  return teamRole === 'OWNER' ? 'OWNER' : 'MEMBER';
+}
+
+// Make one user's User.teams entry match their Team.members entry
+async function syncUserMembership(team, userId, session = null) {
+  const member = team.members.find(m => m.userId.toString() === userId.toString());
+
+  if (!member || !member.isActive) {
+    await User.updateOne({ _id: userId }, { $pull: { teams: { teamId: team._id } } }, { session });
+    return;
+  }
+
+  const role = userTeamRoleFor(member.role);
+  const updated = await User.updateOne(
+    { _id: userId, 'teams.teamId': team._id },
+    { $set: { 'teams.$.role': role } },
+    { session }
+  );
+  if (updated.matchedCount === 0) {
+    await User.updateOne(
+      { _id: userId },
+      { $push: { teams: { teamId: team._id, role, joinedAt: member.joinedAt || new Date() } } },
+      { session }
+    );
+  }
+}
+
+// Save a team and mirror the memberships of `userIds` onto User.teams in a
+// single transaction (sequential writes on a standalone server)
+async function saveTeamMemberships(team, userIds) {
+  await withTransaction(async session => {
+    await team.save({ session });
+    for (const userId of userIds) {
+      await syncUserMembership(team, userId, session);
+    }
+  });
+  return team;
+}
+
+// Add (or reactivate) a user on a team and notify connected clients
+async function addTeamMember(team, user, role) {
+  team.addMember(user._id, role);
+  await saveTeamMemberships(team, [user._id]);
+
+  scheduleBadgeEvaluation([user._id]);
+  addUserToTeamRoom(user._id, team._id);
+  emitToTeam(team._id, EVENTS.MEMBER_JOINED, {
+    teamId: team._id,
+    user: { _id: user._id, name: user.name, email: user.email, avatar: user.avatar },
+    role
+  });
+
+  return team;
+}
+
+// Deactivate a membership. Callers must check the last-owner rule first;
+// saving would otherwise fail validation.
+async function removeTeamMember(team, userId) {
+  team.removeMember(userId);
+  await saveTeamMemberships(team, [userId]);
+
+  emitToTeam(team._id, EVENTS.MEMBER_LEFT, { teamId: team._id, userId });
+  removeUserFromTeamRoom(userId, team._id);
+  scheduleBadgeEvaluation([userId]);
+
+  return team;
+}
+
+// Compare both sides of every membership. Returns one issue per drifted
+// (team, user) pair; `repairable` issues are fixed by reconcileMemberships().
+async function findMembershipDrift() {
+  const issues = [];
+  const expected = new Map(); // `${teamId}:${userId}` -> expected User.teams role
+  const teamIds = new Set();
+
+  const teams = Team.find().select('members').lean().cursor();
+  for (let team = await teams.next(); team; team = await teams.next()) {
+    teamIds.add(team._id.toString());
+    team.members
+      .filter(member => member.isActive)
+      .forEach(member => {
+        expected.set(`${team._id}:${member.userId}`, userTeamRoleFor(member.role));
+      });
+  }
+
+  const seen = new Set();
+  const users = User.find().select('teams').lean().cursor();
+  for (let user = await users.next(); user; user = await users.next()) {
+    const entries = new Set();
+    (user.teams || []).forEach(entry => {
+      const teamId = entry.teamId ? entry.teamId.toString() : null;
+      const key = `${teamId}:${user._id}`;
+      const issue = { type: null, team: teamId, user: user._id.toString(), repairable: true };
+
+      if (entries.has(teamId)) {
+        issues.push({ ...issue, type: 'DUPLICATE_USER_ENTRY' });
+        return;
+      }
+      entries.add(teamId);
+
+      if (!teamId || !teamIds.has(teamId)) {
+        issues.push({ ...issue, type: 'ORPHANED_USER_ENTRY', detail: 'Team no longer exists' });
+      } else if (!expected.has(key)) {
+        issues.push({ ...issue, type: 'STALE_USER_ENTRY', detail: 'User is not an active member of the team' });
+      } else {
+        seen.add(key);
+        if (entry.role !== expected.get(key)) {
+          issues.push({ ...issue, type: 'ROLE_MISMATCH', detail: `User.teams role ${entry.role}, expected ${expected.get(key)}` });
+        }
+      }
+    });
+  }
+
+  const existingUsers = new Set((await User.distinct('_id')).map(id => id.toString()));
+  expected.forEach((role, key) => {
+    if (seen.has(key)) return;
+    const [team, user] = key.split(':');
+    if (existingUsers.has(user)) {
+      issues.push({ type: 'MISSING_USER_ENTRY', team, user, repairable: true, detail: `Expected User.teams role ${role}` });
+    } else {
+      // A member pointing at a deleted user needs a human (it may be the owner)
+      issues.push({ type: 'UNKNOWN_MEMBER', team, user, repairable: false, detail: 'Team member references a missing user' });
+    }
+  });
+
+  return issues;
+}
+
+// Detect drift and, unless `dryRun`, rewrite the User.teams side of every
+// repairable issue from Team.members
+async function reconcileMemberships({ dryRun = false } = {}) {
+  const issues = await findMembershipDrift();
+  const summary = issues.reduce((counts, issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  let repaired = 0;
+  if (!dryRun) {
+    const byUser = new Map();
+    issues.filter(issue => issue.repairable).forEach(issue => {
+      if (!byUser.has(issue.user)) byUser.set(issue.user, new Set());
+      byUser.get(issue.user).add(issue.team);
+    });
+
+    for (const [userId, teamIdSet] of byUser) {
+      try {
+        const user = await User.findById(userId).select('teams');
+        if (!user) continue;
+        const teamIds = [...teamIdSet].filter(id => id && mongoose.isValidObjectId(id));
+        const liveTeams = await Team.find({ _id: { $in: teamIds } }).select('members');
+
+        // Drop every affected entry, then re-add the ones Team.members backs
+        user.teams = user.teams.filter(entry => !teamIdSet.has(entry.teamId ? entry.teamId.toString() : null));
+        liveTeams.forEach(team => {
+          const member = team.members.find(m => m.isActive && m.userId.toString() === userId);
+          if (member) {
+            user.teams.push({ teamId: team._id, role: userTeamRoleFor(member.role), joinedAt: member.joinedAt });
+          }
+        });
+        await user.save();
+        repaired += teamIdSet.size;
+      } catch (error) {
+        logger.error('Error reconciling memberships', { userId, error });
+      }
+    }
+  }
+
+  return { checkedAt: new Date(), dryRun, total: issues.length, repaired, summary, issues };
+}
+
+module.exports = {
+  DEPARTMENT_TEAM_ROLES,
+  teamRoleFor,
+  userTeamRoleFor,
+  syncUserMembership,
+  saveTeamMemberships,
+  addTeamMember,
+  removeTeamMember,
+  findMembershipDrift,
+  reconcileMemberships
+};
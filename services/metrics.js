@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const Team = require('../models/Team');
+const logger = require('./logger');
+
+// Minimal Prometheus registry (text exposition format 0.0.4). Metrics are
+// process-local; gauges may define `collect` to refresh their value at
+// scrape time.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const JOB_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600];
+
+// Business gauges hit the database, so they are refreshed at most this often
+const BUSINESS_METRICS_TTL_MS = parseInt(process.env.BUSINESS_METRICS_TTL_MS, 10) || 60 * 1000;
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeLabelValue(labels[key])}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series key and normalized labels (only declared names, in declared order)
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  });
+  return { key: JSON.stringify(labelNames.map(name => picked[name])), labels: picked };
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function counter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const { key, labels: picked } = pickLabels(labelNames, labels);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    lines() {
+      return Array.from(series.values()).map(entry => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    }
+  });
+}
+
+function gauge({ name, help, labelNames = [], collect }) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    collect,
+    set(labels = {}, value) {
+      const { key, labels: picked } = pickLabels(labelNames, labels);
+      series.set(key, { labels: picked, value });
+    },
+    lines() {
+      return Array.from(series.values()).map(entry => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    }
+  });
+}
+
+function histogram({ name, help, labelNames = [], buckets = HTTP_BUCKETS }) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const { key, labels: picked } = pickLabels(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    // Returns a function that observes the elapsed seconds when called
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    lines() {
+      const out = [];
+      series.forEach(entry => {
+        buckets.forEach((bound, index) => {
+          out.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        out.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        out.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        out.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+      return out;
+    }
+  });
+}
+
+// Render every registered metric. A failing collector is skipped (its
+// previous value is kept) rather than failing the scrape.
+async function renderMetrics() {
+  const metrics = Array.from(registry.values());
+  await Promise.all(metrics
+    .filter(metric => metric.collect)
+    .map(metric => Promise.resolve()
+      .then(() => metric.collect(metric))
+      .catch(error => logger.warn('Metric collection failed', { metric: metric.name, error }))));
+
+  const blocks = metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n'));
+  return blocks.join('\n') + '\n';
+}
+
+// --- HTTP ---
+
+const httpRequestsTotal = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route'],
+  buckets: HTTP_BUCKETS
+});
+
+const httpErrorsTotal = counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP responses with status >= 400, by error code',
+  labelNames: ['method', 'route', 'status', 'code']
+});
+
+// --- MongoDB ---
+
+gauge({
+  name: 'mongodb_connection_state',
+  help: 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  collect: metric => metric.set({}, mongoose.connection.readyState)
+});
+
+// --- Scheduler ---
+
+const jobDuration = histogram({
+  name: 'cron_job_duration_seconds',
+  help: 'Cron job run time in seconds, by job and result',
+  labelNames: ['job', 'result'],
+  buckets: JOB_BUCKETS
+});
+
+// --- Process ---
+
+gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: metric => metric.set({}, Math.round(process.uptime()))
+});
+
+gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: metric => metric.set({}, process.memoryUsage().rss)
+});
+
+gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use, in bytes',
+  collect: metric => metric.set({}, process.memoryUsage().heapUsed)
+});
+
+// --- Business ---
+
+let businessCache = null;
+
+// Counts shared by the business gauges, cached for BUSINESS_METRICS_TTL_MS.
+// The pending query is cached too, so one scrape runs it once.
+function businessCounts() {
+  if (mongoose.connection.readyState !== 1) return Promise.resolve(null);
+  if (businessCache && Date.now() - businessCache.at < BUSINESS_METRICS_TTL_MS) {
+    return businessCache.counts;
+  }
+  const counts = Promise.all([
+    Link.estimatedDocumentCount(),
+    Link.countDocuments({ status: 'COMPLETED' }),
+    Team.countDocuments({ status: 'ACTIVE' })
+  ]).then(([linksCreated, meetingsCompleted, activeTeams]) => ({ linksCreated, meetingsCompleted, activeTeams }));
+  businessCache = { at: Date.now(), counts };
+  counts.catch(() => { businessCache = null; });
+  return counts;
+}
+
+function businessGauge(name, help, field) {
+  return gauge({
+    name,
+    help,
+    collect: async metric => {
+      const counts = await businessCounts();
+      if (counts) metric.set({}, counts[field]);
+    }
+  });
+}
+
+businessGauge('tether_links_created', 'Links created (all time, including occurrences)', 'linksCreated');
+businessGauge('tether_meetings_completed', 'Links in COMPLETED status', 'meetingsCompleted');
+businessGauge('tether_active_teams', 'Teams in ACTIVE status', 'activeTeams');
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  httpRequestsTotal,
+  httpRequestDuration,
+  httpErrorsTotal,
+  jobDuration
+};
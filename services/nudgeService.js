@@ -0,0 +1,145 @@
+const Nudge = require('../models/Nudge');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const { emitToUser, EVENTS } = require('./realtime');
+const { recordAsk } = require('./activityService');
+
+const REMINDER_LEAD_MINUTES = parseInt(process.env.NUDGE_REMINDER_LEAD_MINUTES || '30', 10);
+const UNRESPONSIVE_AFTER_HOURS = parseInt(process.env.NUDGE_UNRESPONSIVE_AFTER_HOURS || '24', 10);
+const ESCALATION_ROLES = ['OWNER', 'PM'];
+
+// Create a nudge, bump the team's nudge counter and push it to the recipient
+async function createNudge({ team, link = null, sender = null, recipient, type = 'MANUAL', message = '', parentNudgeId = null }) {
+  const nudge = await Nudge.create({
+    team,
+    link,
+    sender,
+    recipient,
+    type,
+    message,
+    parentNudgeId
+  });
+
+  await Team.updateOne(
+    { _id: team },
+    { $inc: { 'stats.totalNudges': 1 }, $set: { lastActivity: new Date() } }
+  );
+
+  // Only direct asks count towards response metrics; scheduler chases don't
+  if (type === 'MANUAL') {
+    await recordAsk({ user: recipient, team, source: 'NUDGE', link, nudge: nudge._id });
+  }
+
+  emitToUser(recipient, EVENTS.NUDGE_RECEIVED, nudge);
+  return nudge;
+}
+
+// Remind every participant of links starting within the lead window
+async function remindUpcomingLinks(now = new Date()) {
+  const windowEnd = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+  const dormantTeams = await Team.findDormantIds();
+  const links = await Link.find({
+    team: { $nin: dormantTeams },
+    status: { $in: ['PENDING', 'SCHEDULED'] },
+    scheduledAt: { $gte: now, $lte: windowEnd },
+    // Series masters are templates; their occurrences get the reminders
+    'recurrence.rule': null
+  }).select('title team participants scheduledAt');
+
+  let sent = 0;
+  for (const link of links) {
+    for (const participant of link.participants) {
+      const alreadyReminded = await Nudge.exists({
+        link: link._id,
+        recipient: participant.userId,
+        type: 'REMINDER'
+      });
+      if (alreadyReminded) continue;
+
+      await createNudge({
+        team: link.team,
+        link: link._id,
+        recipient: participant.userId,
+        type: 'REMINDER',
+        message: `"${link.title}" starts at ${link.scheduledAt.toISOString()}`
+      });
+      sent++;
+    }
+  }
+
+  return { sent };
+}
+
+// Chase manual nudges nobody has acknowledged within the response window
+async function followUpUnresponsive(now = new Date()) {
+  const cutoff = new Date(now.getTime() - UNRESPONSIVE_AFTER_HOURS * 60 * 60 * 1000);
+  const stale = await Nudge.findUnanswered(cutoff);
+  const dormantTeams = new Set((await Team.findDormantIds()).map(id => id.toString()));
+
+  let sent = 0;
+  for (const nudge of stale) {
+    if (dormantTeams.has(nudge.team.toString())) continue;
+    await createNudge({
+      team: nudge.team,
+      link: nudge.link,
+      sender: nudge.sender,
+      recipient: nudge.recipient,
+      type: 'FOLLOW_UP',
+      message: nudge.message ? `Still waiting on you: ${nudge.message}` : 'Still waiting on your response',
+      parentNudgeId: nudge._id
+    });
+    nudge.followUpSentAt = now;
+    await nudge.save();
+    sent++;
+  }
+
+  return { sent };
+}
+
+// Escalate links whose required follow-up is overdue to the team's owners/PMs
+async function escalateOverdueFollowUps(now = new Date()) {
+  const dormantTeams = await Team.findDormantIds();
+  const overdue = await Link.find({
+    team: { $nin: dormantTeams },
+    'followUp.required': true,
+    'followUp.scheduledAt': { $lt: now },
+    'followUp.escalatedAt': null,
+    status: { $ne: 'CANCELLED' }
+  }).select('title team participants followUp');
+
+  let escalated = 0;
+  for (const link of overdue) {
+    const hasFollowUp = await Link.exists({ 'followUp.parentLinkId': link._id });
+    if (hasFollowUp) continue;
+
+    const team = await Team.findById(link.team).select('members');
+    if (!team) continue;
+
+    const escalateTo = team.members.filter(member =>
+      member.isActive && ESCALATION_ROLES.includes(member.role)
+    );
+
+    for (const member of escalateTo) {
+      await createNudge({
+        team: link.team,
+        link: link._id,
+        recipient: member.userId,
+        type: 'ESCALATION',
+        message: `Follow-up for "${link.title}" was due ${link.followUp.scheduledAt.toISOString()} and hasn't happened`
+      });
+    }
+
+    link.followUp.escalatedAt = now;
+    await link.save();
+    escalated++;
+  }
+
+  return { escalated };
+}
+
+module.exports = {
+  createNudge,
+  remindUpcomingLinks,
+  followUpUnresponsive,
+  escalateOverdueFollowUps
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const { paginationStages, toPage } = require('../middleware/pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toObjectId(id) {
+  return typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
+}
+
+// Flag outcomes that passed their due date since the last sweep (and clear
+// stale flags) so metrics.completionRate and overdueCount stay current
+async function markOverdueOutcomes(now = new Date()) {
+  const links = await Link.find({
+    $or: [
+      {
+        outcomes: {
+          $elemMatch: { status: { $ne: 'COMPLETED' }, dueDate: { $lt: now }, isOverdue: { $ne: true } }
+        }
+      },
+      {
+        outcomes: {
+          $elemMatch: { isOverdue: true, $or: [{ status: 'COMPLETED' }, { dueDate: { $gte: now } }] }
+        }
+      }
+    ]
+  });
+
+  let overdue = 0;
+  for (const link of links) {
+    link.refreshOutcomeMetrics(now);
+    overdue += link.metrics.overdueCount;
+    await link.save();
+  }
+
+  return { links: links.length, overdue };
+}
+
+// Outcomes assigned to a user across all links, soonest due first.
+// Filters: status (array), teamId, dueFrom/dueTo window, overdue flag.
+// `page` is the route's req.listQuery; returns { items, nextCursor, hasMore }.
+async function listActionItems(userId, { status, teamId, dueFrom, dueTo, overdue, type, page, now = new Date() } = {}) {
+  const outcomeMatch = { 'outcomes.assignedTo': toObjectId(userId) };
+  if (status && status.length) outcomeMatch['outcomes.status'] = { $in: status };
+  if (type) outcomeMatch['outcomes.type'] = type;
+  if (dueFrom || dueTo) {
+    outcomeMatch['outcomes.dueDate'] = {};
+    if (dueFrom) outcomeMatch['outcomes.dueDate'].$gte = new Date(dueFrom);
+    if (dueTo) outcomeMatch['outcomes.dueDate'].$lte = new Date(dueTo);
+  }
+  if (overdue === true) {
+    outcomeMatch['outcomes.status'] = { $ne: 'COMPLETED' };
+    outcomeMatch['outcomes.dueDate'] = { ...outcomeMatch['outcomes.dueDate'], $lt: now };
+  }
+
+  const linkMatch = { 'outcomes.assignedTo': toObjectId(userId) };
+  if (teamId) linkMatch.team = toObjectId(teamId);
+
+  const items = await Link.aggregate([
+    { $match: linkMatch },
+    { $unwind: '$outcomes' },
+    { $match: outcomeMatch },
+    {
+      $lookup: {
+        from: 'teams',
+        localField: 'team',
+        foreignField: '_id',
+        as: 'team',
+        pipeline: [{ $project: { name: 1, productName: 1 } }]
+      }
+    },
+    {
+      $project: {
+        _id: '$outcomes._id',
+        type: '$outcomes.type',
+        description: '$outcomes.description',
+        status: '$outcomes.status',
+        dueDate: '$outcomes.dueDate',
+        completedAt: '$outcomes.completedAt',
+        link: { _id: '$_id', title: '$title', status: '$status', scheduledAt: '$scheduledAt' },
+        team: { $arrayElemAt: ['$team', 0] },
+        // Sort undated items after dated ones
+        sortDue: { $ifNull: ['$outcomes.dueDate', new Date(8640000000000000)] }
+      }
+    },
+    ...paginationStages(page)
+  ]);
+
+  // Derived at read time so results are exact between overdue sweeps
+  const result = toPage(items, page);
+  result.items = result.items.map(({ sortDue, ...item }) => ({
+    ...item,
+    isOverdue: item.status !== 'COMPLETED' && Boolean(item.dueDate) && item.dueDate < now,
+    dueInDays: item.dueDate ? Math.ceil((item.dueDate - now) / DAY_MS) : null
+  }));
+  return result;
+}
+
+module.exports = {
+  markOverdueOutcomes,
+  listActionItems
+};
@@ -0,0 +1,40 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// express-rate-limit store backed by MongoDB, so every instance counts
+// against the same limits. Windows are fixed (not sliding).
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    // Keys are shared with other instances (tells express-rate-limit not to
+    // treat this store as process-local)
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findById(this.prefix + key).lean();
+    if (!counter || counter.resetAt <= new Date()) return undefined;
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async increment(key) {
+    const counter = await RateLimitCounter.hit(this.prefix + key, this.windowMs);
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      { _id: this.prefix + key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ _id: this.prefix + key });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { verifyAccessToken } = require('./tokenService');
+const { checkPermission } = require('../middleware/permissions');
+const { AppError } = require('../middleware/errors');
+const logger = require('./logger');
+
+// Event names pushed to clients
+const EVENTS = {
+  LINK_CREATED: 'link:created',
+  LINK_UPDATED: 'link:updated',
+  LINK_DELETED: 'link:deleted',
+  MEETING_STARTED: 'link:started',
+  MEETING_COMPLETED: 'link:completed',
+  OUTCOME_ADDED: 'link:outcomeAdded',
+  OUTCOME_UPDATED: 'link:outcomeUpdated',
+  OUTCOME_DELETED: 'link:outcomeDeleted',
+  MEMBER_JOINED: 'team:memberJoined',
+  MEMBER_LEFT: 'team:memberLeft',
+  MEMBER_ROLE_CHANGED: 'team:memberRoleChanged',
+  OWNERSHIP_TRANSFER_REQUESTED: 'team:ownershipTransferRequested',
+  OWNERSHIP_TRANSFER_DECLINED: 'team:ownershipTransferDeclined',
+  OWNERSHIP_TRANSFERRED: 'team:ownershipTransferred',
+  TEAM_STATUS_CHANGED: 'team:statusChanged',
+  TEAM_DELETED: 'team:deleted',
+  NUDGE_RECEIVED: 'nudge:received',
+  NUDGE_ACKNOWLEDGED: 'nudge:acknowledged',
+  NUDGE_RESPONDED: 'nudge:responded'
+};
+
+let io = null;
+
+const rooms = {
+  user: id => `user:${id}`,
+  team: id => `team:${id}`,
+  link: id => `link:${id}`
+};
+
+// Socket handshake auth: same access tokens as the REST API, sent either as
+// `auth.token` or an `Authorization: Bearer` header
+async function authenticateSocket(socket, next) {
+  try {
+    const header = socket.handshake.headers.authorization || '';
+    const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!token) {
+      return next(new Error('Unauthorized'));
+    }
+
+    const payload = await verifyAccessToken(token);
+    if (!mongoose.isValidObjectId(payload.sub)) {
+      return next(new Error('Unauthorized'));
+    }
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Unauthorized'));
+  }
+}
+
+async function handleConnection(socket) {
+  const user = socket.data.user;
+  socket.join(rooms.user(user._id));
+
+  // Join every team the user is an active member of. Listeners are attached
+  // before the lookup resolves so events sent right after connecting are not
+  // lost.
+  const teamsJoined = Team.find({ members: { $elemMatch: { userId: user._id, isActive: true } } })
+    .select('_id')
+    .then(teams => teams.forEach(team => socket.join(rooms.team(team._id))));
+
+  // Subscribe to a single link's room. The link room carries full link
+  // payloads, so joining takes the same check as GET /api/links/:linkId.
+  socket.on('link:subscribe', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const linkId = payload && payload.linkId;
+    try {
+      await checkPermission('link:read', user, { linkId });
+      socket.join(rooms.link(linkId));
+      reply({ success: true });
+    } catch (error) {
+      if (error instanceof AppError && error.status < 500) {
+        return reply({ success: false, error: error.label, code: error.code });
+      }
+      logger.error('Error subscribing to link', { userId: user._id, linkId, error });
+      reply({ success: false, error: 'Failed to subscribe' });
+    }
+  });
+
+  socket.on('link:unsubscribe', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const linkId = payload && payload.linkId;
+      if (!mongoose.isValidObjectId(linkId)) {
+        return reply({ success: false, error: 'Link not found' });
+      }
+      socket.leave(rooms.link(linkId));
+      reply({ success: true });
+    } catch (error) {
+      logger.error('Error unsubscribing from link', { userId: user._id, error });
+      reply({ success: false, error: 'Failed to unsubscribe' });
+    }
+  });
+
+  await teamsJoined;
+}
+
+// Attach Socket.IO to the HTTP server
+function initRealtime(httpServer, { origins = [] } = {}) {
+  io = new Server(httpServer, {
+    cors: {
+      origin: origins,
+      credentials: true
+    }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', socket => {
+    handleConnection(socket).catch(error => {
+      logger.error('Error initialising socket', { error });
+      socket.disconnect(true);
+    });
+  });
+
+  return io;
+}
+
+// Drop every socket connection (clients reconnect to another instance) and
+// stop emitting. The HTTP server itself is closed by the caller.
+function closeRealtime() {
+  if (!io) return;
+  io.engine.close();
+  io = null;
+}
+
+function getIO() {
+  return io;
+}
+
+// Emitters are no-ops until initRealtime has run (e.g. in scripts and tests)
+function emitToTeam(teamId, event, payload) {
+  if (!io || !teamId) return;
+  io.to(rooms.team(teamId._id || teamId)).emit(event, payload);
+}
+
+// Link events carry the full payload to the link room (subscribers passed
+// link:read) and the participants' own rooms. The rest of the team only
+// learns that the link changed, as { linkId, status }.
+function emitLinkEvent(link, event, payload = {}) {
+  if (!io || !link) return;
+  const teamId = link.team?._id || link.team;
+  const detailRooms = [
+    rooms.link(link._id),
+    ...(link.participants || []).map(p => rooms.user(p.userId?._id || p.userId))
+  ];
+  io.to(detailRooms).emit(event, {
+    linkId: link._id,
+    teamId,
+    ...payload
+  });
+  if (teamId) {
+    io.to(rooms.team(teamId)).except(detailRooms).emit(event, {
+      linkId: link._id,
+      status: link.status
+    });
+  }
+}
+
+function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(rooms.user(userId)).emit(event, payload);
+}
+
+// Keep connected sockets' team rooms in sync with membership changes
+function addUserToTeamRoom(userId, teamId) {
+  if (!io) return;
+  io.in(rooms.user(userId)).socketsJoin(rooms.team(teamId));
+}
+
+function removeUserFromTeamRoom(userId, teamId) {
+  if (!io) return;
+  io.in(rooms.user(userId)).socketsLeave(rooms.team(teamId));
+}
+
+module.exports = {
+  EVENTS,
+  initRealtime,
+  closeRealtime,
+  getIO,
+  emitToTeam,
+  emitToUser,
+  emitLinkEvent,
+  addUserToTeamRoom,
+  removeUserFromTeamRoom
+};
@@ -0,0 +1,218 @@
+const { RRule, rrulestr } = require('rrule');
+const Link = require('../models/Link');
+const Team = require('../models/Team');
+const logger = require('./logger');
+const { isValidTimeZone, toWallClock, fromWallClock } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZON_DAYS = parseInt(process.env.RECURRENCE_HORIZON_DAYS || '30', 10);
+
+// Fields copied from the series master onto each occurrence, and propagated
+// by series-wide edits
+const SERIES_FIELDS = ['title', 'purpose', 'meetingType', 'priority', 'impact', 'tags'];
+
+// Rule parts that would repeat a link more than once a day
+const SUB_DAILY_PARTS = ['byhour', 'byminute', 'bysecond'];
+
+// Parse and validate an iCalendar RRULE anchored at `dtstart`. With an IANA
+// `timezone` the rule is expanded on local wall clock times (like an
+// iCalendar DTSTART;TZID=...), so occurrences keep their local time across
+// DST changes; without one it is expanded in UTC.
+// Returns { rule, text, timezone } or throws with a user-facing message.
+function parseRule(ruleString, dtstart, timezone = null) {
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new Error(`Invalid recurrence rule: unknown time zone "${timezone}"`);
+  }
+  const source = ruleString.trim().replace(/^RRULE:/i, '').toUpperCase();
+  if (/(^|;)TZID=/.test(source)) {
+    throw new Error('Invalid recurrence rule: set the time zone with recurrence.timezone, not TZID');
+  }
+  const start = timezone ? toWallClock(dtstart, timezone) : new Date(dtstart);
+  let rule;
+  try {
+    rule = rrulestr(`RRULE:${source}`, { dtstart: start });
+  } catch (error) {
+    throw new Error(`Invalid recurrence rule: ${error.message}`);
+  }
+  if (!(rule instanceof RRule)) {
+    throw new Error('Invalid recurrence rule: only a single RRULE is supported');
+  }
+  if (rule.options.freq > RRule.DAILY || SUB_DAILY_PARTS.some(part => rule.origOptions[part] != null)) {
+    throw new Error('Invalid recurrence rule: links can repeat at most daily');
+  }
+  return { rule, text: source, timezone: timezone || null };
+}
+
+// Occurrence start times of a parsed rule in [from, until]
+function occurrencesBetween({ rule, timezone }, from, until) {
+  if (!timezone) {
+    return rule.between(from, until, true);
+  }
+  return rule.between(toWallClock(from, timezone), toWallClock(until, timezone), true)
+    .map(wall => fromWallClock(wall, timezone))
+    .filter(date => date >= from && date <= until);
+}
+
+function buildOccurrence(master, occurrenceAt) {
+  const occurrence = new Link({
+    team: master.team,
+    participants: master.participants.map(p => ({ userId: p.userId, role: p.role })),
+    scheduledAt: occurrenceAt,
+    status: 'SCHEDULED',
+    metadata: {
+      createdVia: 'SCHEDULED',
+      location: master.metadata.location,
+      meetingUrl: master.metadata.meetingUrl
+    },
+    recurrence: {
+      parentLinkId: master._id,
+      occurrenceAt
+    }
+  });
+  SERIES_FIELDS.forEach(field => {
+    occurrence[field] = master[field];
+  });
+  return occurrence;
+}
+
+// Create occurrences of a series up to `until` that don't exist yet
+async function materializeSeries(master, { now = new Date(), until } = {}) {
+  if (!master.recurrence || !master.recurrence.rule || master.status === 'CANCELLED') {
+    return [];
+  }
+
+  const horizon = until || new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const parsed = parseRule(master.recurrence.rule, master.scheduledAt, master.recurrence.timezone);
+  const from = master.recurrence.materializedUntil && master.recurrence.materializedUntil > now
+    ? master.recurrence.materializedUntil
+    : now;
+
+  const excluded = new Set((master.recurrence.exdates || []).map(date => date.getTime()));
+  const dates = occurrencesBetween(parsed, from, horizon).filter(date => !excluded.has(date.getTime()));
+
+  const existing = await Link.find({
+    'recurrence.parentLinkId': master._id,
+    'recurrence.occurrenceAt': { $in: dates }
+  }).select('recurrence.occurrenceAt');
+  const existingTimes = new Set(existing.map(link => link.recurrence.occurrenceAt.getTime()));
+
+  const created = [];
+  for (const date of dates) {
+    if (existingTimes.has(date.getTime())) continue;
+    try {
+      created.push(await buildOccurrence(master, date).save());
+    } catch (error) {
+      // Another instance materialized it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  master.recurrence.materializedUntil = horizon;
+  await master.save();
+
+  return created;
+}
+
+// Cron entry point: top up every active series to the horizon
+async function materializeAllSeries(now = new Date()) {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const dormantTeams = await Team.findDormantIds();
+  const masters = await Link.find({
+    team: { $nin: dormantTeams },
+    'recurrence.rule': { $ne: null },
+    status: { $ne: 'CANCELLED' },
+    $or: [
+      { 'recurrence.materializedUntil': null },
+      { 'recurrence.materializedUntil': { $lt: horizon } }
+    ]
+  });
+
+  let created = 0;
+  for (const master of masters) {
+    try {
+      created += (await materializeSeries(master, { now, until: horizon })).length;
+    } catch (error) {
+      logger.error('Error materializing series', { seriesId: master._id, error });
+    }
+  }
+
+  return { series: masters.length, created };
+}
+
+// Upcoming occurrences that series-wide edits may still change
+function findEditableOccurrences(masterId, now = new Date()) {
+  return Link.find({
+    'recurrence.parentLinkId': masterId,
+    'recurrence.isException': false,
+    status: { $in: ['SCHEDULED', 'PENDING'] },
+    scheduledAt: { $gte: now }
+  });
+}
+
+// Apply an edit to the whole series. When the rule, time zone or start time
+// changes the untouched future occurrences are regenerated. A null timezone
+// switches the series back to UTC.
+async function updateSeries(master, changes, { now = new Date() } = {}) {
+  const { rule, timezone, scheduledAt, ...fields } = changes;
+  const reschedule = rule !== undefined || timezone !== undefined || scheduledAt !== undefined;
+
+  if (reschedule) {
+    const start = scheduledAt || master.scheduledAt;
+    const zone = timezone !== undefined ? timezone : master.recurrence.timezone;
+    const parsed = parseRule(rule || master.recurrence.rule, start, zone);
+    master.recurrence.rule = parsed.text;
+    master.recurrence.timezone = parsed.timezone;
+    master.scheduledAt = start;
+    master.recurrence.materializedUntil = null;
+  }
+  Object.assign(master, fields);
+  await master.save();
+
+  const occurrences = await findEditableOccurrences(master._id, now);
+  if (reschedule) {
+    await Link.deleteMany({ _id: { $in: occurrences.map(link => link._id) } });
+    await materializeSeries(master, { now });
+  } else {
+    const propagated = SERIES_FIELDS.filter(field => fields[field] !== undefined);
+    for (const occurrence of occurrences) {
+      propagated.forEach(field => {
+        occurrence[field] = fields[field];
+      });
+      await occurrence.save();
+    }
+  }
+
+  return master;
+}
+
+// Drop one occurrence from its series so it is never re-materialized
+async function excludeOccurrence(occurrence) {
+  if (!occurrence.recurrence || !occurrence.recurrence.parentLinkId) return;
+  await Link.updateOne(
+    { _id: occurrence.recurrence.parentLinkId },
+    { $addToSet: { 'recurrence.exdates': occurrence.recurrence.occurrenceAt } }
+  );
+}
+
+// Cancel a series: the master plus its not-yet-started occurrences
+async function cancelSeries(master, { by = null, now = new Date() } = {}) {
+  const occurrences = await findEditableOccurrences(master._id, now);
+  for (const link of [master, ...occurrences]) {
+    if (link.canTransitionTo('CANCELLED')) {
+      link.transitionTo('CANCELLED', { by, reason: 'Series cancelled' });
+      await link.save();
+    }
+  }
+  return occurrences.length;
+}
+
+module.exports = {
+  SERIES_FIELDS,
+  parseRule,
+  occurrencesBetween,
+  materializeSeries,
+  materializeAllSeries,
+  updateSeries,
+  excludeOccurrence,
+  cancelSeries
+};
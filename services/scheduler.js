@@ -0,0 +1,99 @@
+const cron = require('node-cron');
+const logger = require('./logger');
+const { jobDuration } = require('./metrics');
+
+// Registry of cron jobs. A job is { name, schedule, run } where run is an
+// async function; overlapping runs of the same job are skipped.
+const jobs = new Map();
+
+function registerJob({ name, schedule, run }) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  jobs.set(name, { name, schedule, run, task: null, running: false, lastRunAt: null, lastDurationMs: null, lastError: null });
+}
+
+// Run a job once, outside its schedule (also used by the cron tick)
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  const start = Date.now();
+  try {
+    const result = await job.run();
+    job.lastError = null;
+    return result;
+  } catch (error) {
+    job.lastError = error.message;
+    logger.error('Job failed', { job: name, error });
+    return null;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+    job.lastDurationMs = Date.now() - start;
+    jobDuration.observe({ job: name, result: job.lastError ? 'failure' : 'success' }, job.lastDurationMs / 1000);
+  }
+}
+
+function startScheduler() {
+  jobs.forEach(job => {
+    if (!job.task) {
+      job.task = cron.schedule(job.schedule, () => runJob(job.name), {
+        timezone: process.env.SCHEDULER_TIMEZONE || 'UTC'
+      });
+    }
+  });
+  logger.info('Scheduler started', { jobs: jobs.size });
+}
+
+function stopScheduler() {
+  jobs.forEach(job => {
+    if (job.task) {
+      job.task.stop();
+      job.task = null;
+    }
+  });
+}
+
+// Resolve once no job is running, or after `timeoutMs` (resolves false)
+function waitForIdle(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise(resolve => {
+    const check = () => {
+      const busy = Array.from(jobs.values()).some(job => job.running);
+      if (!busy) return resolve(true);
+      if (Date.now() >= deadline) return resolve(false);
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+function getJobStatus() {
+  return Array.from(jobs.values()).map(({ name, schedule, running, lastRunAt, lastDurationMs, lastError }) => ({
+    name,
+    schedule,
+    running,
+    lastRunAt,
+    lastDurationMs,
+    lastError
+  }));
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  waitForIdle,
+  getJobStatus
+};
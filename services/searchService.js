@@ -0,0 +1,223 @@
+const Link = require('../models/Link');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { POLICIES } = require('../middleware/permissions');
+const { paginate, paginationStages, toPage } = require('../middleware/pagination');
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+// Text-indexed link fields highlights are built from (see link_text)
+const HIGHLIGHT_FIELDS = ['title', 'purpose', 'notes', 'aiSummary.content'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Positive terms and "quoted phrases" of a $text query; -negated terms are
+// dropped since they never appear in a hit
+function searchTerms(q) {
+  const terms = [];
+  const withoutPhrases = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    terms.push(phrase.trim());
+    return ' ';
+  });
+  withoutPhrases.split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+  return terms.filter(term => term.length > 1);
+}
+
+// Regex matching the terms as word prefixes, with common English suffixes
+// trimmed so highlights roughly follow MongoDB's stemming
+function termPattern(terms) {
+  if (terms.length === 0) return null;
+  const stems = terms.map(term => {
+    const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, '') : term;
+    return escapeRegex(stem);
+  });
+  return new RegExp(`\\b(?:${stems.join('|')})\\w*`, 'gi');
+}
+
+// HTML-escaped excerpt around the first match with every match wrapped in
+// <mark>, or null when the text does not match
+function highlight(text, pattern) {
+  if (!text || !pattern) return null;
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (let match = pattern.exec(excerpt); match; match = pattern.exec(excerpt)) {
+    html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function buildHighlights(link, pattern) {
+  const highlights = [];
+  HIGHLIGHT_FIELDS.forEach(field => {
+    const snippet = highlight(valueAt(link, field), pattern);
+    if (snippet) highlights.push({ field, snippet });
+  });
+  (link.tags || []).forEach(tag => {
+    const snippet = highlight(tag, pattern);
+    if (snippet) highlights.push({ field: 'tags', snippet });
+  });
+  (link.outcomes || []).forEach(outcome => {
+    const snippet = highlight(outcome.description, pattern);
+    if (snippet) {
+      highlights.push({ field: 'outcomes.description', outcomeId: outcome._id, type: outcome.type, snippet });
+    }
+  });
+  return highlights;
+}
+
+// Teams the user may see under a policy: active memberships plus teams
+// whose visibility admits them (team:readLinks for links, user:search for
+// rosters)
+async function readableTeamIds(user, action = 'team:readLinks') {
+  const { visibility = {} } = POLICIES[action];
+  const visibilities = Object.keys(visibility).filter(key =>
+    visibility[key].anyone || (visibility[key].departments || []).includes(user.department)
+  );
+
+  const conditions = [{ members: { $elemMatch: { userId: user._id, isActive: true } } }];
+  if (visibilities.length > 0) {
+    conditions.push({ 'settings.visibility': { $in: visibilities } });
+  }
+  return Team.distinct('_id', { $or: conditions });
+}
+
+// Ranked full-text search over the links a user can read. `page` is the
+// route's req.listQuery (sort field `score` is the text relevance).
+async function searchLinks(user, q, page) {
+  const teamIds = await readableTeamIds(user);
+
+  const docs = await Link.aggregate([
+    {
+      $match: {
+        ...page.filter,
+        $text: { $search: q },
+        $or: [
+          { 'participants.userId': user._id },
+          { team: { $in: teamIds } }
+        ]
+      }
+    },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    ...paginationStages(page),
+    {
+      $lookup: {
+        from: 'teams',
+        localField: 'team',
+        foreignField: '_id',
+        as: 'team',
+        pipeline: [{ $project: { name: 1, productName: 1 } }]
+      }
+    },
+    {
+      $project: {
+        title: 1,
+        purpose: 1,
+        notes: 1,
+        tags: 1,
+        status: 1,
+        meetingType: 1,
+        priority: 1,
+        scheduledAt: 1,
+        createdAt: 1,
+        'aiSummary.content': 1,
+        'outcomes._id': 1,
+        'outcomes.type': 1,
+        'outcomes.description': 1,
+        team: { $arrayElemAt: ['$team', 0] },
+        score: 1
+      }
+    }
+  ]);
+
+  const result = toPage(docs, page);
+  const pattern = termPattern(searchTerms(q));
+  result.items = result.items.map(link => ({
+    _id: link._id,
+    title: link.title,
+    status: link.status,
+    meetingType: link.meetingType,
+    priority: link.priority,
+    scheduledAt: link.scheduledAt,
+    createdAt: link.createdAt,
+    tags: link.tags,
+    team: link.team,
+    score: link.score,
+    highlights: buildHighlights(link, pattern)
+  }));
+  return result;
+}
+
+// Case-insensitive typeahead: every word of `q` must prefix a word of the
+// name or the start of the email. Input is escaped, never used as a pattern.
+function prefixConditions(q) {
+  return q.trim().split(/\s+/).filter(Boolean).map(word => {
+    const escaped = escapeRegex(word);
+    return {
+      $or: [
+        { name: { $regex: `(?:^|\\s)${escaped}`, $options: 'i' } },
+        { email: { $regex: `^${escaped}`, $options: 'i' } }
+      ]
+    };
+  });
+}
+
+// People search limited to the rosters of teams the caller can see (plus
+// the caller). `teamId` narrows to one team, which the route has already
+// authorized; `page` is the route's req.listQuery.
+async function searchUsers(user, { q, designation, teamId }, page) {
+  const teams = await Team.find({ _id: teamId ? teamId : { $in: await readableTeamIds(user, 'user:search') } })
+    .select('members.userId members.isActive');
+  const visibleIds = new Set(teamId ? [] : [user._id.toString()]);
+  teams.forEach(team => {
+    team.members
+      .filter(member => member.isActive)
+      .forEach(member => visibleIds.add(member.userId.toString()));
+  });
+
+  const conditions = [{ _id: { $in: [...visibleIds] } }];
+  if (q) conditions.push(...prefixConditions(q));
+  if (designation) {
+    conditions.push({ designation: { $regex: `^${escapeRegex(designation.trim())}`, $options: 'i' } });
+  }
+
+  return paginate(
+    User.find({ ...page.filter, $and: conditions }).select('name email avatar department designation'),
+    page
+  );
+}
+
+module.exports = {
+  escapeRegex,
+  readableTeamIds,
+  searchLinks,
+  searchUsers
+};
@@ -0,0 +1,100 @@
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Nudge = require('../models/Nudge');
+const ResponseRequest = require('../models/ResponseRequest');
+const TeamInvitation = require('../models/TeamInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const { refreshUserStats } = require('./activityService');
+const { scheduleBadgeEvaluation } = require('./badgeService');
+const { withTransaction } = require('./transactions');
+const logger = require('./logger');
+
+// Delete a team and everything hanging off it in one transaction: links,
+// nudges, response tracking, invitations, join requests, User.teams entries
+// and the initiators' link counts. Response stats and badges of affected
+// users are recomputed once the transaction has committed. On a standalone
+// server the team document goes last, so a failed delete can be retried.
+async function deleteTeamCascade(teamId) {
+  let affectedUserIds = [];
+
+  const deleted = await withTransaction(async session => {
+    const team = await Team.findById(teamId).session(session);
+    if (!team) return null;
+
+    const initiated = await Link.aggregate([
+      { $match: { team: team._id } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.role': 'INITIATOR' } },
+      { $group: { _id: '$participants.userId', count: { $sum: 1 } } }
+    ]).session(session);
+
+    // Sequential: operations sharing a transaction must not run in parallel
+    const links = await Link.deleteMany({ team: team._id }, { session });
+    const nudges = await Nudge.deleteMany({ team: team._id }, { session });
+    const responseRequests = await ResponseRequest.deleteMany({ team: team._id }, { session });
+    const invitations = await TeamInvitation.deleteMany({ team: team._id }, { session });
+    const joinRequests = await JoinRequest.deleteMany({ team: team._id }, { session });
+
+    if (initiated.length > 0) {
+      await User.bulkWrite(initiated.map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $inc: { 'stats.totalLinks': -count } } }
+      })), { session });
+    }
+    await User.updateMany(
+      { 'teams.teamId': team._id },
+      { $pull: { teams: { teamId: team._id } } },
+      { session }
+    );
+    await Team.deleteOne({ _id: team._id }, { session });
+
+    affectedUserIds = team.members.map(member => member.userId.toString());
+    return {
+      team: team._id,
+      links: links.deletedCount,
+      nudges: nudges.deletedCount,
+      responseRequests: responseRequests.deletedCount,
+      invitations: invitations.deletedCount,
+      joinRequests: joinRequests.deletedCount
+    };
+  });
+
+  if (deleted) {
+    refreshDerivedStats(affectedUserIds)
+      .catch(error => logger.error('Error refreshing stats after team delete', { error }));
+  }
+
+  return deleted;
+}
+
+// Recompute response stats (reset when no asks remain) and badges
+async function refreshDerivedStats(userIds) {
+  for (const userId of userIds) {
+    await refreshUserStats(userId);
+  }
+  scheduleBadgeEvaluation(userIds);
+}
+
+// Cron entry point: permanently delete teams archived past their retention
+async function purgeExpiredArchives(now = new Date()) {
+  const expired = await Team.find({
+    status: 'ARCHIVED',
+    'archive.purgeAfter': { $lte: now }
+  }).select('_id');
+
+  let purged = 0;
+  for (const team of expired) {
+    try {
+      if (await deleteTeamCascade(team._id)) purged++;
+    } catch (error) {
+      logger.error('Error purging team', { teamId: team._id, error });
+    }
+  }
+
+  return { purged };
+}
+
+module.exports = {
+  deleteTeamCascade,
+  purgeExpiredArchives
+};
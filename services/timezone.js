@@ -0,0 +1,59 @@
+// IANA time zone helpers built on Intl (no tz database dependency).
+//
+// A "wall clock" date is a Date whose UTC fields hold the local time in a
+// zone (e.g. 09:00 in Europe/Berlin is stored as 09:00Z). Recurrence rules
+// are expanded on wall clock dates so a weekly 09:00 meeting stays at 09:00
+// local across DST changes.
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The local time of `date` in `timeZone`, as a wall clock date
+function toWallClock(date, timeZone) {
+  const parts = formatterFor(timeZone).formatToParts(new Date(date));
+  const field = type => Number(parts.find(part => part.type === type).value);
+  return new Date(Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second')));
+}
+
+// The instant at which `timeZone` shows the wall clock date `wall`. Local
+// times skipped by a DST change use the offset from before the change
+// (02:30 on a spring-forward night becomes 03:30).
+function fromWallClock(wall, timeZone) {
+  const offsetAt = instant => toWallClock(instant, timeZone).getTime() - instant.getTime();
+  const first = new Date(wall.getTime() - offsetAt(wall));
+  const offset = offsetAt(first);
+  const second = new Date(wall.getTime() - offset);
+  if (offsetAt(second) === offset) return second;
+  return new Date(Math.max(first.getTime(), second.getTime()));
+}
+
+module.exports = {
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const TOKEN_ISSUER = 'tether-api';
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+// Default verifier: HS256 access tokens signed with JWT_SECRET
+const defaultVerifier = {
+  sign(payload) {
+    return jwt.sign(payload, getSecret(), {
+      expiresIn: ACCESS_TOKEN_TTL,
+      issuer: TOKEN_ISSUER
+    });
+  },
+  verify(token) {
+    return jwt.verify(token, getSecret(), { issuer: TOKEN_ISSUER });
+  }
+};
+
+let verifier = defaultVerifier;
+
+// Swap the signer/verifier (e.g. for tests or an external identity provider)
+function setVerifier(customVerifier) {
+  if (!customVerifier || typeof customVerifier.verify !== 'function') {
+    throw new Error('A verifier must implement verify(token)');
+  }
+  verifier = {
+    sign: customVerifier.sign || defaultVerifier.sign,
+    verify: customVerifier.verify
+  };
+}
+
+function resetVerifier() {
+  verifier = defaultVerifier;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a short-lived access token for a user document
+function issueAccessToken(user) {
+  return verifier.sign({
+    sub: user._id.toString(),
+    email: user.email,
+    type: 'access'
+  });
+}
+
+async function verifyAccessToken(token) {
+  const payload = await verifier.verify(token);
+  if (!payload || !payload.sub || (payload.type && payload.type !== 'access')) {
+    throw new Error('Invalid access token');
+  }
+  return payload;
+}
+
+// Issue an opaque refresh token; only its hash is persisted
+async function issueRefreshToken(user, { family, userAgent, ip } = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip
+  });
+  return { token, record };
+}
+
+async function issueTokenPair(user, context = {}) {
+  const accessToken = issueAccessToken(user);
+  const { token: refreshToken, record } = await issueRefreshToken(user, context);
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: record.expiresAt
+  };
+}
+
+// Exchange a refresh token for a new pair. The token is claimed (revoked)
+// atomically, so of two concurrent refreshes only one succeeds. Presenting
+// an already-rotated token revokes the whole family, since it means the
+// token was leaked.
+async function rotateRefreshToken(token, context = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'ROTATED' } },
+    { new: true }
+  ).populate('user');
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ tokenHash }).select('family revokedAt');
+    if (existing && existing.revokedAt) {
+      await RefreshToken.revokeFamily(existing.family, 'REUSE_DETECTED');
+    }
+    return null;
+  }
+
+  if (!record.user) {
+    return null;
+  }
+
+  const user = record.user;
+  const accessToken = issueAccessToken(user);
+  const { token: refreshToken, record: next } = await issueRefreshToken(user, {
+    ...context,
+    family: record.family
+  });
+
+  await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: next._id } });
+
+  return {
+    user,
+    tokens: {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshExpiresAt: next.expiresAt
+    }
+  };
+}
+
+async function revokeRefreshToken(token, reason = 'SIGNOUT') {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) {
+    return null;
+  }
+  await RefreshToken.revokeFamily(record.family, reason);
+  return record;
+}
+
+async function revokeAllForUser(userId, reason = 'SIGNOUT_ALL') {
+  return RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+module.exports = {
+  setVerifier,
+  resetVerifier,
+  issueAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+};
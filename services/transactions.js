@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Multi-document transactions need a replica set (or a sharded cluster).
+// Against a standalone server, such as the local MongoDB in env.example, the
+// same work runs without a session: each write still applies, but a failure
+// part way through is not rolled back.
+
+let supported = null;
+
+async function transactionsSupported() {
+  if (supported !== null) return supported;
+  // Not connected yet: try a transaction and let the driver report errors
+  if (mongoose.connection.readyState !== 1) return true;
+
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  if (!supported) {
+    logger.warn('MongoDB is a standalone server; multi-document writes run without transactions');
+  }
+  return supported;
+}
+
+// Run work(session) in a transaction, or work(null) when the server cannot
+// run one. work may be retried on transient transaction errors, so it must
+// not have side effects outside the database. Resolves to work's result.
+async function withTransaction(work) {
+  if (!(await transactionsSupported())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  withTransaction,
+  transactionsSupported
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const ResponseRequest = require('../models/ResponseRequest');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const activity = require('../services/activityService');
+const { buildUser } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+function buildTeam(stats) {
+  return new Team({ name: 'Team', productName: 'Product', owner: id(), stats });
+}
+
+beforeEach(() => {
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Team.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refreshUserStats', () => {
+  test('persists the window metrics', async () => {
+    const user = buildUser();
+    jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue([{ asked: 4, responded: 3, averageResponseTime: 2.345 }]);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await expect(activity.refreshUserStats(user._id)).resolves.toMatchObject({ asked: 4, responseRate: 75, averageResponseTime: 2.35 });
+    expect(user.stats.responseRate).toBe(75);
+    expect(user.stats.averageResponseTime).toBe(2.35);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('resets the stats when nothing was asked in the window', async () => {
+    const user = buildUser({ stats: { responseRate: 80, averageResponseTime: 5 } });
+    jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await expect(activity.refreshUserStats(user._id)).resolves.toMatchObject({ asked: 0, responseRate: 0, averageResponseTime: 0 });
+    expect(user.stats.responseRate).toBe(0);
+    expect(user.stats.averageResponseTime).toBe(0);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('returns null for unknown users', async () => {
+    jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    await expect(activity.refreshUserStats(id())).resolves.toBeNull();
+  });
+});
+
+describe('refreshTeamStats', () => {
+  test('resets the stats when nothing was asked in the window', async () => {
+    const team = buildTeam({ responseRate: 60, averageResponseTime: 3 });
+    jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Team, 'findById').mockResolvedValue(team);
+
+    await activity.refreshTeamStats(team._id);
+
+    expect(team.stats.responseRate).toBe(0);
+    expect(team.save).toHaveBeenCalled();
+  });
+});
+
+describe('refreshAllResponseStats', () => {
+  test('refreshes users and teams with asks in the window or leftover stats', async () => {
+    const active = id();
+    const stale = id();
+    const team = id();
+    jest.spyOn(ResponseRequest, 'distinct').mockImplementation(async field => (field === 'user' ? [active] : [team]));
+    const staleUsers = jest.spyOn(User, 'distinct').mockResolvedValue([stale, active]);
+    jest.spyOn(Team, 'distinct').mockResolvedValue([]);
+    jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue([]);
+    const findUser = jest.spyOn(User, 'findById').mockResolvedValue(null);
+    const findTeam = jest.spyOn(Team, 'findById').mockResolvedValue(null);
+
+    await expect(activity.refreshAllResponseStats()).resolves.toEqual({ users: 2, teams: 1 });
+    expect(staleUsers).toHaveBeenCalledWith('_id', expect.objectContaining({ $or: expect.any(Array) }));
+    expect(findUser.mock.calls.map(([userId]) => userId.toString()).sort()).toEqual([active.toString(), stale.toString()].sort());
+    expect(findTeam).toHaveBeenCalledWith(team);
+  });
+});
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const { createApp } = require('../app');
+
+// The app is built without connecting to MongoDB, so these cover the
+// middleware stack only; anything reaching the database is mocked.
+
+process.env.LOG_LEVEL = 'error';
+
+let app;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+afterEach(() => {
+  tokenService.resetVerifier();
+  jest.restoreAllMocks();
+});
+
+describe('createApp()', () => {
+  test('serves liveness without a database', async () => {
+    const res = await request(app).get('/health/live');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  test('reports not ready while MongoDB is disconnected', async () => {
+    const res = await request(app).get('/health/ready');
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({
+      status: 'UNAVAILABLE',
+      phase: 'UNMANAGED',
+      checks: { mongodb: { status: 'DOWN' } }
+    });
+  });
+
+  test('unknown routes get the error envelope with a request id', async () => {
+    const res = await request(app).get('/api/nope');
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'ROUTE_NOT_FOUND', requestId: expect.any(String) });
+    expect(res.headers['x-request-id']).toBe(res.body.requestId);
+  });
+
+  test('API routes require an access token', async () => {
+    const res = await request(app).get('/api/teams');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_MISSING');
+  });
+
+  test('invalid access tokens are rejected', async () => {
+    const res = await request(app).get('/api/teams').set('Authorization', 'Bearer not-a-token');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('tokens from a custom verifier authenticate requests', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'dev@example.com', department: 'DEV' };
+    tokenService.setVerifier({
+      sign: payload => `test:${payload.sub}`,
+      verify: token => ({ sub: token.slice('test:'.length), type: 'access' })
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    // A malformed team id is rejected by authorization, after authentication
+    const res = await request(app)
+      .get('/api/teams/not-an-id/members')
+      .set('Authorization', `Bearer ${tokenService.issueAccessToken(user)}`);
+
+    expect(User.findById).toHaveBeenCalledWith(user._id.toString());
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+
+  test('malformed JSON bodies are a 400', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+    expect(res.status).toBe(400);
+  });
+
+  test('rate limit headers are sent on API responses', async () => {
+    const res = await request(app).get('/api/teams');
+    expect(res.headers['ratelimit-limit']).toBeDefined();
+    expect(res.headers['ratelimit-remaining']).toBeDefined();
+  });
+});
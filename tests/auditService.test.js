@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { exportAuditEvents, snapshot, diff, EXPORT_LIMIT } = require('../services/auditService');
+
+function mockEvents(events) {
+  const query = {
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(events)
+  };
+  jest.spyOn(AuditEvent, 'find').mockReturnValue(query);
+  return query;
+}
+
+function buildEvent(fields = {}) {
+  return {
+    createdAt: new Date('2026-10-01T12:00:00Z'),
+    action: 'team.update',
+    actor: { userId: new mongoose.Types.ObjectId(), email: 'owner@example.com' },
+    target: { type: 'TEAM', id: new mongoose.Types.ObjectId(), label: 'Checkout' },
+    changes: [],
+    metadata: {},
+    ip: '203.0.113.1',
+    requestId: 'req-1',
+    ...fields
+  };
+}
+
+// Split a CSV export into rows of raw (still quoted) cells
+function cells(csv) {
+  return csv.split('\r\n').map(row => row.match(/("([^"]|"")*"|[^,]*)(,|$)/g).slice(0, -1).map(cell => cell.replace(/,$/, '')));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('exportAuditEvents (csv)', () => {
+  test('writes a header and one row per event, newest first', async () => {
+    const query = mockEvents([buildEvent()]);
+
+    const csv = await exportAuditEvents({ team: 'team-1' });
+
+    expect(AuditEvent.find).toHaveBeenCalledWith({ team: 'team-1' });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(EXPORT_LIMIT);
+    const [header, row] = cells(csv);
+    expect(header[0]).toBe('createdAt');
+    expect(row.slice(0, 2)).toEqual(['2026-10-01T12:00:00.000Z', 'team.update']);
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example","x")'],
+    ['+1+1'],
+    ['-2+3'],
+    ['@SUM(A1:A2)'],
+    ['\tcmd'],
+    ['\rcmd']
+  ])('neutralises the formula %j', async label => {
+    mockEvents([buildEvent({ target: { type: 'TEAM', id: null, label } })]);
+
+    const [, row] = cells(await exportAuditEvents({}));
+    const cell = row[6].replace(/^"|"$/g, '').replace(/""/g, '"');
+
+    expect(cell).toBe(`'${label}`);
+  });
+
+  test('quotes cells containing separators', async () => {
+    mockEvents([buildEvent({ target: { type: 'TEAM', id: null, label: 'Checkout, "v2"' } })]);
+
+    const [, row] = cells(await exportAuditEvents({}));
+
+    expect(row[6]).toBe('"Checkout, ""v2"""');
+  });
+
+  test('leaves ordinary values alone', async () => {
+    mockEvents([buildEvent({ target: { type: 'TEAM', id: null, label: 'Team 2 - Checkout' }, ip: null })]);
+
+    const [, row] = cells(await exportAuditEvents({}));
+
+    expect(row[6]).toBe('Team 2 - Checkout');
+    expect(row[9]).toBe('');
+  });
+
+  test('serializes changes and metadata as JSON', async () => {
+    mockEvents([buildEvent({ changes: [{ field: 'name', before: 'a', after: 'b' }], metadata: { reason: 'x' } })]);
+
+    const [, row] = cells(await exportAuditEvents({}));
+
+    expect(row[7]).toBe('"[{""field"":""name"",""before"":""a"",""after"":""b""}]"');
+    expect(row[8]).toBe('"{""reason"":""x""}"');
+  });
+});
+
+describe('exportAuditEvents (json)', () => {
+  test('returns the events unmodified', async () => {
+    const event = buildEvent({ target: { type: 'TEAM', id: null, label: '=1+1' } });
+    mockEvents([event]);
+
+    const [exported] = JSON.parse(await exportAuditEvents({}, 'json'));
+
+    expect(exported.target.label).toBe('=1+1');
+  });
+});
+
+describe('snapshot and diff', () => {
+  test('diff lists only the fields that changed', () => {
+    const before = snapshot('MEMBER', { role: 'DEV', isActive: true });
+    const after = snapshot('MEMBER', { role: 'PM', isActive: true });
+
+    expect(diff(before, after)).toEqual([{ field: 'role', before: 'DEV', after: 'PM' }]);
+    expect(diff(null, after)).toEqual([
+      { field: 'role', before: null, after: 'PM' },
+      { field: 'isActive', before: null, after: true }
+    ]);
+  });
+});
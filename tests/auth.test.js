@@ -0,0 +1,231 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.NEXTAUTH_SECRET = process.env.NEXTAUTH_SECRET || 'nextauth-test-secret';
+
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const mailer = require('../services/mailer');
+const tokenService = require('../services/tokenService');
+const { createApp } = require('../app');
+const { buildUser } = require('./helpers');
+
+const TOKENS = { accessToken: 'access', refreshToken: 'refresh', tokenType: 'Bearer' };
+
+let app;
+let transport;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  transport = mailer.createMemoryTransport();
+  mailer.setTransport(transport);
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(tokenService, 'issueTokenPair').mockResolvedValue(TOKENS);
+});
+
+afterEach(() => {
+  mailer.resetTransport();
+  jest.restoreAllMocks();
+});
+
+// User.findOne(...) is awaited directly by some routes and chained with
+// .select() by others
+function mockFindOne(user) {
+  const query = Promise.resolve(user);
+  query.select = jest.fn().mockResolvedValue(user);
+  return jest.spyOn(User, 'findOne').mockReturnValue(query);
+}
+
+async function passwordUser(fields = {}) {
+  const user = buildUser(fields);
+  await user.setPassword('correct horse');
+  return user;
+}
+
+describe('POST /api/auth/register', () => {
+  test('emails a verification link and issues no tokens', async () => {
+    mockFindOne(null);
+
+    const res = await request(app).post('/api/auth/register').send({
+      email: 'New.User@example.com',
+      password: 'correct horse',
+      name: 'New User',
+      department: 'DEV'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.tokens).toBeUndefined();
+    expect(res.body.user).toMatchObject({ email: 'new.user@example.com', emailVerified: false });
+    expect(tokenService.issueTokenPair).not.toHaveBeenCalled();
+    expect(transport.outbox).toHaveLength(1);
+    expect(transport.outbox[0]).toMatchObject({ to: 'new.user@example.com', text: expect.stringContaining('/verify-email?token=') });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('refuses accounts whose email is not verified', async () => {
+    mockFindOne(await passwordUser());
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'someone@example.com', password: 'correct horse' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(tokenService.issueTokenPair).not.toHaveBeenCalled();
+  });
+
+  test('a wrong password is INVALID_CREDENTIALS whether or not the email is verified', async () => {
+    mockFindOne(await passwordUser());
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'someone@example.com', password: 'wrong password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('signs in verified accounts', async () => {
+    mockFindOne(await passwordUser({ emailVerifiedAt: new Date() }));
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'someone@example.com', password: 'correct horse' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tokens).toEqual(TOKENS);
+    expect(res.body.user.emailVerified).toBe(true);
+  });
+});
+
+describe('POST /api/auth/email/verify', () => {
+  test('marks the account verified and clears the token', async () => {
+    const user = buildUser();
+    const token = user.createEmailVerificationToken();
+    const lookup = jest.spyOn(User, 'findByEmailVerificationToken').mockResolvedValue(user);
+
+    const res = await request(app).post('/api/auth/email/verify').send({ token });
+
+    expect(res.status).toBe(200);
+    expect(lookup).toHaveBeenCalledWith(token);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(user.emailVerification.tokenHash).toBeNull();
+    expect(User.prototype.save).toHaveBeenCalled();
+  });
+
+  test('unknown or expired tokens are a 400', async () => {
+    jest.spyOn(User, 'findByEmailVerificationToken').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/email/verify').send({ token: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/auth/email/resend', () => {
+  test('sends a new link to unverified accounts only', async () => {
+    mockFindOne(buildUser({ emailVerifiedAt: new Date() }));
+    const verified = await request(app).post('/api/auth/email/resend').send({ email: 'someone@example.com' });
+
+    mockFindOne(buildUser());
+    const pending = await request(app).post('/api/auth/email/resend').send({ email: 'someone@example.com' });
+
+    expect(verified.status).toBe(200);
+    expect(pending.status).toBe(200);
+    expect(verified.body.message).toBe(pending.body.message);
+    expect(transport.outbox).toHaveLength(1);
+  });
+});
+
+describe('POST /api/auth/password/reset', () => {
+  test('verifies the email, since the link was delivered to it', async () => {
+    const user = await passwordUser();
+    jest.spyOn(User, 'findByPasswordResetToken').mockResolvedValue(user);
+    jest.spyOn(tokenService, 'revokeAllForUser').mockResolvedValue({});
+
+    const res = await request(app).post('/api/auth/password/reset').send({ token: 'reset', password: 'a new password' });
+
+    expect(res.status).toBe(200);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('POST /api/auth/exchange', () => {
+  function googleToken(email) {
+    return `Bearer ${jwt.sign({ email, name: 'Google User' }, process.env.NEXTAUTH_SECRET)}`;
+  }
+
+  test('discards the password of an unverified account before signing the Google user in', async () => {
+    const user = await passwordUser();
+    mockFindOne(user);
+    const revoke = jest.spyOn(tokenService, 'revokeAllForUser').mockResolvedValue({});
+
+    const res = await request(app).post('/api/auth/exchange').set('Authorization', googleToken(user.email));
+
+    expect(res.status).toBe(200);
+    expect(user.passwordHash).toBeNull();
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(revoke).toHaveBeenCalledWith(user._id, 'ACCOUNT_CLAIMED');
+    expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'auth.google.link',
+      metadata: { passwordDiscarded: true }
+    }));
+  });
+
+  test('keeps the password of a verified account', async () => {
+    const user = await passwordUser({ emailVerifiedAt: new Date() });
+    const passwordHash = user.passwordHash;
+    mockFindOne(user);
+    const revoke = jest.spyOn(tokenService, 'revokeAllForUser');
+
+    const res = await request(app).post('/api/auth/exchange').set('Authorization', googleToken(user.email));
+
+    expect(res.status).toBe(200);
+    expect(user.passwordHash).toBe(passwordHash);
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  test('new Google accounts are created verified', async () => {
+    mockFindOne(null);
+    const create = jest.spyOn(User, 'create').mockImplementation(async fields => buildUser(fields));
+
+    const res = await request(app).post('/api/auth/exchange').set('Authorization', googleToken('fresh@example.com'));
+
+    expect(res.status).toBe(200);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ email: 'fresh@example.com', emailVerifiedAt: expect.any(Date) }));
+    expect(res.body.user.emailVerified).toBe(true);
+  });
+});
+
+describe('POST /api/auth/test', () => {
+  const previous = process.env.ENABLE_TEST_LOGIN;
+
+  afterEach(() => {
+    if (previous === undefined) {
+      delete process.env.ENABLE_TEST_LOGIN;
+    } else {
+      process.env.ENABLE_TEST_LOGIN = previous;
+    }
+  });
+
+  test('is not found unless ENABLE_TEST_LOGIN=true', async () => {
+    delete process.env.ENABLE_TEST_LOGIN;
+    const findOne = jest.spyOn(User, 'findOne');
+
+    const res = await request(app).post('/api/auth/test').send({ username: 'test1', password: 'test@123' });
+
+    expect(res.status).toBe(404);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('signs in a test account when enabled', async () => {
+    process.env.ENABLE_TEST_LOGIN = 'true';
+    mockFindOne(null);
+    jest.spyOn(User, 'create').mockImplementation(async fields => buildUser(fields));
+
+    const res = await request(app).post('/api/auth/test').send({ username: 'test1', password: 'test@123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tokens).toEqual(TOKENS);
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const BadgeEvent = require('../models/BadgeEvent');
+const ResponseRequest = require('../models/ResponseRequest');
+const badges = require('../services/badgeService');
+const logger = require('../services/logger');
+const { buildUser } = require('./helpers');
+
+// Stub every fact source collectFacts reads
+function mockFacts(user, { asked = 0, linksInitiated = 0, linksParticipated = 0, collaborators = 0, activeTeams = 1 } = {}) {
+  jest.spyOn(User, 'findById').mockImplementation(id => {
+    const found = String(id) === String(user._id) ? user : null;
+    const query = Promise.resolve(found);
+    query.select = jest.fn().mockResolvedValue(found);
+    return query;
+  });
+  jest.spyOn(Link, 'countDocuments').mockImplementation(async query => (query.participants ? linksInitiated : linksParticipated));
+  jest.spyOn(Link, 'aggregate').mockResolvedValue(collaborators ? [{ count: collaborators }] : []);
+  jest.spyOn(Team, 'countDocuments').mockResolvedValue(activeTeams);
+  jest.spyOn(ResponseRequest, 'aggregate').mockResolvedValue(asked ? [{ asked, responded: 0, averageResponseTime: null }] : []);
+}
+
+let user;
+
+beforeEach(() => {
+  user = buildUser();
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(BadgeEvent, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateUserBadges', () => {
+  test('awards badges whose conditions all hold and records the history', async () => {
+    user.stats.responseRate = 95;
+    user.stats.averageResponseTime = 1.5;
+    mockFacts(user, { asked: 8, linksInitiated: 30, linksParticipated: 40 });
+
+    const { events } = await badges.evaluateUserBadges(user._id);
+
+    expect(events.map(event => [event.badge, event.action])).toEqual([
+      ['SUPER_RESPONDER', 'EARNED'],
+      ['LINK_HERO', 'EARNED']
+    ]);
+    expect(user.badges.map(badge => badge.type)).toEqual(['SUPER_RESPONDER', 'LINK_HERO']);
+    expect(User.prototype.save).toHaveBeenCalled();
+    expect(BadgeEvent.insertMany).toHaveBeenCalledWith(events);
+  });
+
+  test('revokes badges that no longer hold', async () => {
+    user.badges.push({ type: 'GHOST_MODE', earnedAt: new Date() });
+    user.stats.responseRate = 60;
+    mockFacts(user, { asked: 10 });
+
+    const { events } = await badges.evaluateUserBadges(user._id);
+
+    expect(events).toEqual([expect.objectContaining({ badge: 'GHOST_MODE', action: 'REVOKED' })]);
+    expect(user.badges).toHaveLength(0);
+  });
+
+  test('does not write when nothing changed', async () => {
+    mockFacts(user);
+
+    await expect(badges.evaluateUserBadges(user._id)).resolves.toMatchObject({ events: [] });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+    expect(BadgeEvent.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('unknown users are skipped', async () => {
+    mockFacts(user);
+
+    await expect(badges.evaluateUserBadges(new mongoose.Types.ObjectId())).resolves.toBeNull();
+  });
+
+  test('SILENT_WITNESS needs participation without initiating', async () => {
+    mockFacts(user, { linksParticipated: 12 });
+
+    const { results } = await badges.evaluateUserBadges(user._id);
+
+    expect(results.find(result => result.type === 'SILENT_WITNESS').earned).toBe(true);
+  });
+});
+
+describe('getBadgeReport', () => {
+  test('reports progress toward unearned badges only', async () => {
+    user.badges.push({ type: 'TEAM_MAGNET', earnedAt: new Date() });
+    mockFacts(user, { collaborators: 5, activeTeams: 3 });
+    jest.spyOn(BadgeEvent, 'find').mockReturnValue({
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockResolvedValue([])
+    });
+
+    const report = await badges.getBadgeReport(user._id);
+
+    expect(report.earned.map(badge => badge.type)).toEqual(['TEAM_MAGNET']);
+    expect(report.progress.map(result => result.type)).not.toContain('TEAM_MAGNET');
+    expect(report.progress.find(result => result.type === 'POWER_CONNECTOR')).toMatchObject({ earned: false, progress: 50 });
+  });
+});
+
+describe('scheduleBadgeEvaluation', () => {
+  test('evaluates each user once and only logs failures', async () => {
+    const findById = jest.spyOn(User, 'findById').mockRejectedValue(new Error('connection lost'));
+    const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    expect(() => badges.scheduleBadgeEvaluation([user._id, String(user._id), { _id: user._id }, null])).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(findById).toHaveBeenCalledTimes(1);
+    expect(logError).toHaveBeenCalledWith('Error evaluating badges', expect.any(Object));
+  });
+});
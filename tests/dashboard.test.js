@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+let app;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+afterEach(resetAuth);
+
+describe('GET /api/dashboard/analytics', () => {
+  let linkAggregate;
+  let teamAggregate;
+
+  beforeEach(() => {
+    linkAggregate = jest.spyOn(Link, 'aggregate').mockResolvedValue([{ _id: '2026-10-01', count: 2, completed: 1 }]);
+    teamAggregate = jest.spyOn(Team, 'aggregate').mockResolvedValue([{ _id: null, totalLinks: 2 }]);
+  });
+
+  test('scopes both aggregates to the requested team, as ObjectIds', async () => {
+    const user = buildUser();
+    const team = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'ACTIVE',
+      settings: { visibility: 'PRIVATE' },
+      members: [{ userId: user._id, role: 'DEV', isActive: true }]
+    };
+    jest.spyOn(Team, 'findById').mockResolvedValue(team);
+
+    const res = await request(app)
+      .get('/api/dashboard/analytics')
+      .query({ teamId: team._id.toString(), period: '7d' })
+      .set('Authorization', signInAs(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ links: [{ count: 2 }], teamTrends: { totalLinks: 2 }, period: '7d' });
+    const linkMatch = linkAggregate.mock.calls[0][0][0].$match;
+    expect(linkMatch.team).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(linkMatch.team.equals(team._id)).toBe(true);
+    expect(teamAggregate.mock.calls[0][0][0].$match).toEqual({ _id: team._id });
+  });
+
+  test('CXOs get org-wide analytics without a team', async () => {
+    const res = await request(app)
+      .get('/api/dashboard/analytics')
+      .set('Authorization', signInAs(buildUser({ department: 'CXO' })));
+
+    expect(res.status).toBe(200);
+    expect(linkAggregate.mock.calls[0][0][0].$match.team).toBeUndefined();
+    expect(teamAggregate.mock.calls[0][0][0].$match).toEqual({ status: 'ACTIVE' });
+  });
+
+  test('other departments must name a team', async () => {
+    const res = await request(app)
+      .get('/api/dashboard/analytics')
+      .set('Authorization', signInAs(buildUser({ department: 'PM' })));
+
+    expect(res.status).toBe(403);
+    expect(linkAggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+
+// Shared setup for route tests: the app is never connected to MongoDB, so
+// the signed-in user is resolved from memory and models are mocked per test.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// Build an (unsaved) User document
+function buildUser(fields = {}) {
+  return new User({
+    email: `user-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Test User',
+    department: 'DEV',
+    ...fields
+  });
+}
+
+// Make `user` the authenticated user and return its Authorization header.
+// Call resetAuth() (or jest.restoreAllMocks + resetVerifier) afterwards.
+function signInAs(user) {
+  tokenService.setVerifier({
+    sign: payload => `test:${payload.sub}`,
+    verify: token => ({ sub: token.slice('test:'.length), type: 'access' })
+  });
+  jest.spyOn(User, 'findById').mockImplementation(async id => (String(id) === String(user._id) ? user : null));
+  return `Bearer ${tokenService.issueAccessToken(user)}`;
+}
+
+function resetAuth() {
+  tokenService.resetVerifier();
+  jest.restoreAllMocks();
+}
+
+module.exports = {
+  buildUser,
+  signInAs,
+  resetAuth
+};
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { buildCalendar, buildEvent, eventUid } = require('../services/icalendar');
+
+function buildLink(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Design review',
+    purpose: 'Walk through the checkout flow',
+    status: 'SCHEDULED',
+    scheduledAt: new Date('2026-10-20T15:00:00Z'),
+    duration: 45,
+    participants: [],
+    metadata: {},
+    ...fields
+  };
+}
+
+function unfold(calendar) {
+  return calendar.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('buildEvent', () => {
+  test('writes UTC times, the end from the duration and a stable UID', () => {
+    const link = buildLink({ calendarSequence: 2 });
+
+    const lines = buildEvent(link, { now: new Date('2026-10-19T08:00:00Z') });
+
+    expect(lines[0]).toBe('BEGIN:VEVENT');
+    expect(lines).toEqual(expect.arrayContaining([
+      `UID:${eventUid(link)}`,
+      'SEQUENCE:2',
+      'DTSTAMP:20261019T080000Z',
+      'DTSTART:20261020T150000Z',
+      'DTEND:20261020T154500Z',
+      'STATUS:CONFIRMED'
+    ]));
+    expect(lines[lines.length - 1]).toBe('END:VEVENT');
+  });
+
+  test('defaults to a 30 minute event', () => {
+    expect(buildEvent(buildLink({ duration: 0 }))).toContain('DTEND:20261020T153000Z');
+  });
+
+  test.each([
+    ['PENDING', 'TENTATIVE'],
+    ['DELAYED', 'TENTATIVE'],
+    ['CANCELLED', 'CANCELLED'],
+    ['COMPLETED', 'CONFIRMED']
+  ])('maps %s links to STATUS:%s', (status, expected) => {
+    expect(buildEvent(buildLink({ status }))).toContain(`STATUS:${expected}`);
+  });
+
+  test('escapes text values', () => {
+    const lines = buildEvent(buildLink({
+      title: 'Sync; API, v2 \\ beta',
+      purpose: 'Line one\nLine two',
+      metadata: { meetingUrl: 'https://meet.example.com/abc', location: 'Room 4, floor 2' }
+    }));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'SUMMARY:Sync\\; API\\, v2 \\\\ beta',
+      'DESCRIPTION:Line one\\nLine two\\n\\nJoin: https://meet.example.com/abc',
+      'LOCATION:Room 4\\, floor 2',
+      'URL:https://meet.example.com/abc'
+    ]));
+  });
+
+  test('lists populated participants as organizer and attendees', () => {
+    const lines = buildEvent(buildLink({
+      participants: [
+        { userId: { name: 'Ada, PM', email: 'ada@example.com' }, role: 'INITIATOR' },
+        { userId: { name: 'Lin', email: 'lin@example.com' }, role: 'OBSERVER' },
+        { userId: new mongoose.Types.ObjectId(), role: 'PARTICIPANT' }
+      ]
+    }));
+
+    expect(lines.filter(line => /^(ORGANIZER|ATTENDEE)/.test(line))).toEqual([
+      'ORGANIZER;CN="Ada, PM":mailto:ada@example.com',
+      'ATTENDEE;CN="Ada, PM";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:ada@example.com',
+      'ATTENDEE;CN=Lin;ROLE=OPT-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:lin@example.com'
+    ]);
+  });
+
+  test('series masters carry their rule and exception dates', () => {
+    const lines = buildEvent(buildLink({
+      recurrence: { rule: 'FREQ=WEEKLY;BYDAY=TU', exdates: [new Date('2026-10-27T15:00:00Z')] }
+    }));
+
+    expect(lines).toEqual(expect.arrayContaining(['RRULE:FREQ=WEEKLY;BYDAY=TU', 'EXDATE:20261027T150000Z']));
+  });
+
+  test('occurrences of a series are plain events', () => {
+    const lines = buildEvent(buildLink({ recurrence: { parentLinkId: new mongoose.Types.ObjectId() } }));
+
+    expect(lines.some(line => /^(RRULE|EXDATE)/.test(line))).toBe(false);
+  });
+});
+
+describe('buildCalendar', () => {
+  test('wraps scheduled links in a VCALENDAR with CRLF line endings', () => {
+    const calendar = buildCalendar([buildLink(), buildLink({ scheduledAt: null })], { name: 'My, links' });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    const lines = unfold(calendar);
+    expect(lines.slice(0, 6)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      expect.stringMatching(/^PRODID:/),
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:My\\, links'
+    ]);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const title = 'Überprüfung der Zahlungsabwicklung für den europäischen Markt – Runde zwei';
+    const calendar = buildCalendar([buildLink({ title })]);
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    expect(unfold(calendar)).toContain(`SUMMARY:${title}`);
+  });
+});
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const TeamInvitation = require('../models/TeamInvitation');
+const invitations = require('../services/invitationService');
+const { buildUser } = require('./helpers');
+
+function buildInvitation(email) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    email,
+    status: 'PENDING',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    resolve: jest.fn(),
+    save: jest.fn().mockResolvedValue()
+  };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('responding to an invitation', () => {
+  test('by id requires a verified email', async () => {
+    const user = buildUser();
+    const findById = jest.spyOn(TeamInvitation, 'findById').mockResolvedValue(buildInvitation(user.email));
+
+    await expect(invitations.declineInvitation(user, { invitationId: new mongoose.Types.ObjectId().toString() }))
+      .rejects.toMatchObject({ status: 403, code: 'EMAIL_NOT_VERIFIED' });
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  test('by id works once the email is verified', async () => {
+    const user = buildUser({ emailVerifiedAt: new Date() });
+    const invitation = buildInvitation(user.email);
+    jest.spyOn(TeamInvitation, 'findById').mockResolvedValue(invitation);
+
+    await expect(invitations.declineInvitation(user, { invitationId: invitation._id.toString() })).resolves.toBe(invitation);
+    expect(invitation.resolve).toHaveBeenCalledWith('DECLINED', user._id);
+  });
+
+  test('by the emailed token works without a verified email', async () => {
+    const user = buildUser();
+    const invitation = buildInvitation(user.email);
+    jest.spyOn(TeamInvitation, 'findByToken').mockResolvedValue(invitation);
+
+    await expect(invitations.declineInvitation(user, { token: 'from-the-email' })).resolves.toBe(invitation);
+  });
+
+  test('is refused when the invitation was sent to another address', async () => {
+    const user = buildUser({ emailVerifiedAt: new Date() });
+    jest.spyOn(TeamInvitation, 'findByToken').mockResolvedValue(buildInvitation('someone-else@example.com'));
+
+    await expect(invitations.declineInvitation(user, { token: 'forwarded' })).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('listInvitationsForUser', () => {
+  test('requires a verified email', () => {
+    const find = jest.spyOn(TeamInvitation, 'find');
+
+    expect(() => invitations.listInvitationsForUser(buildUser())).toThrow(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }));
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('lists pending invitations for verified emails', () => {
+    const user = buildUser({ emailVerifiedAt: new Date() });
+    const query = { populate: jest.fn().mockReturnThis() };
+    const find = jest.spyOn(TeamInvitation, 'find').mockReturnValue(query);
+
+    expect(invitations.listInvitationsForUser(user)).toBe(query);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ email: user.email, status: 'PENDING' }));
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const ResponseRequest = require('../models/ResponseRequest');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+// Badge evaluation runs after the response and would reach the database
+jest.mock('../services/badgeService', () => ({
+  ...jest.requireActual('../services/badgeService'),
+  scheduleBadgeEvaluation: jest.fn()
+}));
+
+let app;
+let initiator;
+let active;
+let removed;
+let team;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  initiator = buildUser();
+  active = buildUser();
+  removed = buildUser();
+  team = new Team({
+    name: 'Checkout',
+    productName: 'Shop',
+    owner: initiator._id,
+    members: [
+      { userId: initiator._id, role: 'OWNER', isActive: true },
+      { userId: active._id, role: 'DEV', isActive: true },
+      { userId: removed._id, role: 'DEV', isActive: false }
+    ]
+  });
+  jest.spyOn(Team, 'findById').mockImplementation(async id => (String(id) === String(team._id) ? team : null));
+  jest.spyOn(Team.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Link.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Link.prototype, 'populate').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  jest.spyOn(ResponseRequest, 'create').mockResolvedValue({});
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(resetAuth);
+
+function createLink(user, participants) {
+  return request(app)
+    .post('/api/links')
+    .set('Authorization', signInAs(user))
+    .send({
+      teamId: team._id.toString(),
+      title: 'API review',
+      purpose: 'Agree the checkout API',
+      meetingType: 'REVIEW',
+      participants: participants.map(participant => participant._id.toString())
+    });
+}
+
+describe('POST /api/links', () => {
+  test('only active members become participants', async () => {
+    const res = await createLink(initiator, [active, removed]);
+
+    expect(res.status).toBe(201);
+    const participants = res.body.data.participants.map(p => [String(p.userId), p.role]);
+    expect(participants).toEqual([
+      [initiator._id.toString(), 'INITIATOR'],
+      [active._id.toString(), 'PARTICIPANT']
+    ]);
+    expect(ResponseRequest.create).toHaveBeenCalledTimes(1);
+    expect(ResponseRequest.create).toHaveBeenCalledWith(expect.objectContaining({ user: active._id, source: 'LINK_INVITE' }));
+  });
+
+  test('removed members cannot create links', async () => {
+    const res = await createLink(removed, [active]);
+
+    expect(res.status).toBe(403);
+    expect(Link.prototype.save).not.toHaveBeenCalled();
+  });
+});
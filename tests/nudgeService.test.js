@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const Nudge = require('../models/Nudge');
+const ResponseRequest = require('../models/ResponseRequest');
+const nudges = require('../services/nudgeService');
+
+const id = () => new mongoose.Types.ObjectId();
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+let dormantTeam;
+
+beforeEach(() => {
+  dormantTeam = id();
+  jest.spyOn(Team, 'findDormantIds').mockResolvedValue([dormantTeam]);
+  jest.spyOn(Team, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Nudge, 'create').mockImplementation(async fields => ({ _id: id(), ...fields }));
+  jest.spyOn(ResponseRequest, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('remindUpcomingLinks', () => {
+  test('reminds each participant once, skipping dormant teams and series masters', async () => {
+    const reminded = id();
+    const pending = id();
+    const link = {
+      _id: id(),
+      team: id(),
+      title: 'API review',
+      scheduledAt: new Date('2026-10-19T09:15:00Z'),
+      participants: [{ userId: reminded }, { userId: pending }]
+    };
+    const find = jest.spyOn(Link, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([link]) });
+    jest.spyOn(Nudge, 'exists').mockImplementation(async query => String(query.recipient) === String(reminded));
+
+    await expect(nudges.remindUpcomingLinks(NOW)).resolves.toEqual({ sent: 1 });
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      team: { $nin: [dormantTeam] },
+      scheduledAt: { $gte: NOW, $lte: new Date('2026-10-19T09:30:00Z') },
+      'recurrence.rule': null
+    }));
+    expect(Nudge.create).toHaveBeenCalledTimes(1);
+    expect(Nudge.create).toHaveBeenCalledWith(expect.objectContaining({ recipient: pending, type: 'REMINDER' }));
+    // Scheduler nudges are not asks
+    expect(ResponseRequest.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('followUpUnresponsive', () => {
+  test('chases unanswered nudges outside dormant teams', async () => {
+    const stale = { _id: id(), team: id(), sender: id(), recipient: id(), message: 'Review my PR?', save: jest.fn() };
+    const dormant = { _id: id(), team: dormantTeam, sender: id(), recipient: id(), message: '', save: jest.fn() };
+    const findUnanswered = jest.spyOn(Nudge, 'findUnanswered').mockResolvedValue([stale, dormant]);
+
+    await expect(nudges.followUpUnresponsive(NOW)).resolves.toEqual({ sent: 1 });
+
+    expect(findUnanswered).toHaveBeenCalledWith(new Date('2026-10-18T09:00:00Z'));
+    expect(Nudge.create).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: stale.recipient,
+      type: 'FOLLOW_UP',
+      message: 'Still waiting on you: Review my PR?',
+      parentNudgeId: stale._id
+    }));
+    expect(stale.followUpSentAt).toBe(NOW);
+    expect(stale.save).toHaveBeenCalled();
+    expect(dormant.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('escalateOverdueFollowUps', () => {
+  test('nudges active owners and PMs once per overdue link', async () => {
+    const owner = id();
+    const pm = id();
+    const link = {
+      _id: id(),
+      team: id(),
+      title: 'API review',
+      followUp: { required: true, scheduledAt: new Date('2026-10-18T09:00:00Z'), escalatedAt: null },
+      save: jest.fn()
+    };
+    jest.spyOn(Link, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([link]) });
+    jest.spyOn(Link, 'exists').mockResolvedValue(null);
+    jest.spyOn(Team, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        members: [
+          { userId: owner, role: 'OWNER', isActive: true },
+          { userId: pm, role: 'PM', isActive: true },
+          { userId: id(), role: 'PM', isActive: false },
+          { userId: id(), role: 'DEV', isActive: true }
+        ]
+      })
+    });
+
+    await expect(nudges.escalateOverdueFollowUps(NOW)).resolves.toEqual({ escalated: 1 });
+
+    expect(Nudge.create.mock.calls.map(([fields]) => [fields.recipient, fields.type])).toEqual([
+      [owner, 'ESCALATION'],
+      [pm, 'ESCALATION']
+    ]);
+    expect(link.followUp.escalatedAt).toBe(NOW);
+    expect(link.save).toHaveBeenCalled();
+  });
+
+  test('links that already have a follow-up are not escalated', async () => {
+    const link = { _id: id(), team: id(), followUp: { escalatedAt: null }, save: jest.fn() };
+    jest.spyOn(Link, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([link]) });
+    jest.spyOn(Link, 'exists').mockResolvedValue({ _id: id() });
+
+    await expect(nudges.escalateOverdueFollowUps(NOW)).resolves.toEqual({ escalated: 0 });
+    expect(Nudge.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const Nudge = require('../models/Nudge');
+const ResponseRequest = require('../models/ResponseRequest');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+let app;
+let sender;
+let recipient;
+let removed;
+let team;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  sender = buildUser();
+  recipient = buildUser();
+  removed = buildUser();
+  team = new Team({
+    name: 'Checkout',
+    productName: 'Shop',
+    owner: sender._id,
+    members: [
+      { userId: sender._id, role: 'OWNER', isActive: true },
+      { userId: recipient._id, role: 'DEV', isActive: true },
+      { userId: removed._id, role: 'DEV', isActive: false }
+    ]
+  });
+  jest.spyOn(Team, 'findById').mockImplementation(async id => (String(id) === String(team._id) ? team : null));
+  jest.spyOn(Team, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Team.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Nudge, 'create').mockImplementation(async fields => new Nudge(fields));
+  jest.spyOn(Nudge.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Link.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(ResponseRequest, 'create').mockResolvedValue({});
+  jest.spyOn(ResponseRequest, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+});
+
+afterEach(resetAuth);
+
+function sendNudge(user, fields = {}) {
+  return request(app)
+    .post('/api/nudges')
+    .set('Authorization', signInAs(user))
+    .send({ teamId: team._id.toString(), recipientId: recipient._id.toString(), message: 'Review my PR?', ...fields });
+}
+
+function mockNudge(fields = {}) {
+  const nudge = new Nudge({ team: team._id, sender: sender._id, recipient: recipient._id, message: 'Review my PR?', ...fields });
+  jest.spyOn(Nudge, 'findById').mockImplementation(async id => (String(id) === String(nudge._id) ? nudge : null));
+  return nudge;
+}
+
+describe('POST /api/nudges', () => {
+  test('nudges an active teammate and records the ask', async () => {
+    const res = await sendNudge(sender);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ type: 'MANUAL', status: 'SENT', recipient: recipient._id.toString() });
+    expect(Team.updateOne).toHaveBeenCalledWith({ _id: team._id }, expect.objectContaining({ $inc: { 'stats.totalNudges': 1 } }));
+    expect(ResponseRequest.create).toHaveBeenCalledWith(expect.objectContaining({ user: recipient._id.toString(), source: 'NUDGE' }));
+  });
+
+  test('refuses to nudge yourself or inactive members', async () => {
+    const self = await sendNudge(sender, { recipientId: sender._id.toString() });
+    const inactive = await sendNudge(sender, { recipientId: removed._id.toString() });
+
+    expect(self.status).toBe(400);
+    expect(inactive.status).toBe(400);
+    expect(Nudge.create).not.toHaveBeenCalled();
+  });
+
+  test('removed members cannot send nudges', async () => {
+    const res = await sendNudge(removed);
+
+    expect(res.status).toBe(403);
+    expect(Nudge.create).not.toHaveBeenCalled();
+  });
+
+  test('links must belong to the same team', async () => {
+    jest.spyOn(Link, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ team: new mongoose.Types.ObjectId() }) });
+
+    const res = await sendNudge(sender, { linkId: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid link');
+  });
+
+  test('paused teams do not accept nudges', async () => {
+    team.status = 'PAUSED';
+
+    const res = await sendNudge(sender);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('POST /api/nudges/:nudgeId/acknowledge', () => {
+  test('only the recipient can acknowledge', async () => {
+    const nudge = mockNudge();
+
+    const res = await request(app)
+      .post(`/api/nudges/${nudge._id}/acknowledge`)
+      .set('Authorization', signInAs(sender));
+
+    expect(res.status).toBe(403);
+    expect(nudge.status).toBe('SENT');
+  });
+
+  test('marks the nudge acknowledged', async () => {
+    const nudge = mockNudge();
+
+    const res = await request(app)
+      .post(`/api/nudges/${nudge._id}/acknowledge`)
+      .set('Authorization', signInAs(recipient));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('ACKNOWLEDGED');
+    expect(nudge.acknowledgedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('POST /api/nudges/:nudgeId/respond', () => {
+  function respond(nudge, body) {
+    return request(app)
+      .post(`/api/nudges/${nudge._id}/respond`)
+      .set('Authorization', signInAs(recipient))
+      .send(body);
+  }
+
+  test('can turn the nudge into a link with the sender', async () => {
+    const nudge = mockNudge();
+
+    const res = await respond(nudge, {
+      message: 'Sure',
+      link: { title: 'PR review', purpose: 'Go through the checkout PR', meetingType: 'REVIEW' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.nudge.status).toBe('RESPONDED');
+    const participants = res.body.data.link.participants.map(p => [String(p.userId), p.role]);
+    expect(participants).toEqual([
+      [recipient._id.toString(), 'INITIATOR'],
+      [sender._id.toString(), 'PARTICIPANT']
+    ]);
+    expect(res.body.data.link.metadata.createdVia).toBe('NUDGE');
+    expect(nudge.response.linkId).toEqual(expect.any(mongoose.Types.ObjectId));
+  });
+
+  test('answering twice is a conflict', async () => {
+    const nudge = mockNudge({ status: 'RESPONDED' });
+
+    const res = await respond(nudge, { message: 'Again' });
+
+    expect(res.status).toBe(409);
+  });
+});
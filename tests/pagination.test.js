@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { parseListQuery, toPage, paginationStages, pageMeta } = require('../middleware/pagination');
+
+const spec = {
+  sortFields: { createdAt: 'createdAt', name: 'name', score: 'stats.score' },
+  defaultSort: '-createdAt',
+  filters: {
+    status: { type: 'in', values: ['OPEN', 'CLOSED'] },
+    tags: { type: 'all' },
+    created: { type: 'dateRange', field: 'createdAt' },
+    teamId: { type: 'objectId', field: 'team' }
+  },
+  defaultLimit: 2,
+  maxLimit: 5
+};
+
+function doc(fields) {
+  return { _id: new mongoose.Types.ObjectId(), ...fields };
+}
+
+function encode(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Fetch limit + 1 docs and page them, as paginate() does
+function firstPage(query, docs) {
+  const state = parseListQuery(spec, query);
+  return { state, page: toPage(docs.slice(0, state.limit + 1), state) };
+}
+
+function expectInvalid(query, message = '"cursor" is invalid') {
+  expect(() => parseListQuery(spec, query)).toThrow(expect.objectContaining({
+    status: 400,
+    code: 'INVALID_LIST_QUERY',
+    message
+  }));
+}
+
+describe('parseListQuery', () => {
+  test('applies defaults', () => {
+    expect(parseListQuery(spec, {})).toEqual({
+      limit: 2,
+      sort: { name: 'createdAt', field: 'createdAt', direction: -1 },
+      cursor: null,
+      filter: {}
+    });
+  });
+
+  test('builds filters from whitelisted parameters', () => {
+    const teamId = new mongoose.Types.ObjectId().toString();
+    const { filter } = parseListQuery(spec, {
+      status: 'OPEN,CLOSED',
+      tags: 'a,b',
+      createdFrom: '2026-01-01',
+      teamId,
+      ignored: 'x'
+    });
+    expect(filter).toEqual({
+      status: { $in: ['OPEN', 'CLOSED'] },
+      tags: { $all: ['a', 'b'] },
+      createdAt: { $gte: new Date('2026-01-01') },
+      team: new mongoose.Types.ObjectId(teamId)
+    });
+  });
+
+  test.each([
+    [{ limit: '0' }, '"limit" must be between 1 and 5'],
+    [{ limit: '6' }, '"limit" must be between 1 and 5'],
+    [{ sort: 'password' }, '"sort" must be one of createdAt, name, score (prefix with - for descending)'],
+    [{ status: 'DELETED' }, '"status" must be one of OPEN, CLOSED'],
+    [{ teamId: 'nope' }, '"teamId" must be a valid id'],
+    [{ createdTo: 'yesterday' }, '"createdTo" must be a valid date']
+  ])('rejects %j', (query, message) => {
+    expectInvalid(query, message);
+  });
+});
+
+describe('cursors', () => {
+  test('round-trip a date sort value', () => {
+    const docs = [
+      doc({ createdAt: new Date('2026-03-03T00:00:00Z') }),
+      doc({ createdAt: new Date('2026-03-02T00:00:00Z') }),
+      doc({ createdAt: new Date('2026-03-01T00:00:00Z') })
+    ];
+    const { page } = firstPage({}, docs);
+    expect(pageMeta(page)).toEqual({ count: 2, nextCursor: expect.any(String), hasMore: true });
+
+    const next = parseListQuery(spec, { cursor: page.nextCursor });
+    expect(next.cursor).toEqual({ sort: '-createdAt', value: docs[1].createdAt, id: docs[1]._id, offset: 2 });
+    expect(paginationStages(next)[0].$match).toEqual({
+      $or: [
+        { createdAt: { $lt: docs[1].createdAt } },
+        { createdAt: docs[1].createdAt, _id: { $lt: docs[1]._id } },
+        { createdAt: null }
+      ]
+    });
+  });
+
+  test('round-trip string, number and missing sort values', () => {
+    const byName = firstPage({ sort: 'name' }, [doc({ name: 'Ada' }), doc({ name: 'Bo' }), doc({ name: 'Cy' })]).page;
+    expect(parseListQuery(spec, { sort: 'name', cursor: byName.nextCursor }).cursor.value).toBe('Bo');
+
+    const byScore = firstPage({ sort: '-score' }, [doc({ stats: { score: 9.5 } }), doc({ stats: { score: 7 } }), doc({ stats: { score: 1 } })]).page;
+    expect(parseListQuery(spec, { sort: '-score', cursor: byScore.nextCursor }).cursor.value).toBe(7);
+
+    const missing = firstPage({ sort: 'score' }, [doc({}), doc({}), doc({})]).page;
+    const state = parseListQuery(spec, { sort: 'score', cursor: missing.nextCursor });
+    expect(state.cursor.value).toBeNull();
+  });
+
+  test('the last page has no cursor', () => {
+    const { page } = firstPage({}, [doc({ createdAt: new Date() })]);
+    expect(pageMeta(page)).toEqual({ count: 1, nextCursor: null, hasMore: false });
+  });
+
+  test('a cursor only works with the sort that produced it', () => {
+    const { page } = firstPage({}, [doc({ createdAt: new Date() }), doc({ createdAt: new Date() }), doc({ createdAt: new Date() })]);
+    expectInvalid({ sort: 'createdAt', cursor: page.nextCursor }, '"cursor" does not match the requested sort');
+  });
+
+  describe('tampered cursors are a 400', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+
+    test.each([
+      ['an operator as the value', { s: 'name', v: { $gt: '' }, d: false, id, n: 2 }],
+      ['an array as the value', { s: 'name', v: ['a'], d: false, id, n: 2 }],
+      ['a boolean as the value', { s: 'name', v: true, d: false, id, n: 2 }],
+      ['an operator flagged as a date', { s: '-createdAt', v: { $ne: null }, d: true, id, n: 2 }],
+      ['a non-ISO date', { s: '-createdAt', v: 'March 1st', d: true, id, n: 2 }],
+      ['an impossible date', { s: '-createdAt', v: '2026-13-45T00:00:00.000Z', d: true, id, n: 2 }],
+      ['a truthy non-boolean date flag', { s: 'name', v: 'Bo', d: 'yes', id, n: 2 }],
+      ['an operator as the id', { s: 'name', v: 'Bo', id: { $gt: '' }, n: 2 }],
+      ['a malformed id', { s: 'name', v: 'Bo', id: 'nope', n: 2 }],
+      ['a negative offset', { s: 'name', v: 'Bo', id, n: -1 }],
+      ['a fractional offset', { s: 'name', v: 'Bo', id, n: 1.5 }],
+      ['a missing sort', { v: 'Bo', id, n: 2 }]
+    ])('%s', (description, payload) => {
+      expectInvalid({ sort: payload.s || 'name', cursor: encode(payload) });
+    });
+
+    test('non-JSON and non-object payloads', () => {
+      expectInvalid({ cursor: 'not base64 json' });
+      expectInvalid({ cursor: encode(null) });
+      expectInvalid({ cursor: encode([1, 2]) });
+    });
+
+    test('huge numbers are refused', () => {
+      // JSON has no Infinity, but 1e400 parses to it
+      const cursor = Buffer.from(`{"s":"-score","v":1e400,"d":false,"id":"${id}","n":2}`).toString('base64url');
+      expectInvalid({ sort: '-score', cursor });
+    });
+  });
+});
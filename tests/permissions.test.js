@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const { authorize, POLICIES } = require('../middleware/permissions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const users = {
+  OWNER: { _id: id(), department: 'PM' },
+  PM: { _id: id(), department: 'PM' },
+  DEV: { _id: id(), department: 'DEV' },
+  NON_MEMBER: { _id: id(), department: 'DEV' }
+};
+const ROLES = Object.keys(users);
+
+function buildTeam({ status = 'ACTIVE', visibility = 'PRIVATE' } = {}) {
+  return {
+    _id: id(),
+    status,
+    settings: { visibility },
+    members: ['OWNER', 'PM', 'DEV'].map(role => ({ userId: users[role]._id, role, isActive: true }))
+  };
+}
+
+function buildLink(team, participants = []) {
+  return { _id: id(), team: team._id, participants };
+}
+
+// Run the middleware and resolve to the error passed to next() (null when allowed)
+function run(action, { user, params = {}, body = {}, query = {} }) {
+  const req = { user, params, body, query };
+  return new Promise(resolve => {
+    authorize(action)(req, {}, error => resolve(error || null));
+  });
+}
+
+function status(error) {
+  return error ? error.status : 200;
+}
+
+let team;
+let link;
+
+beforeEach(() => {
+  team = buildTeam();
+  link = buildLink(team);
+  jest.spyOn(Team, 'findById').mockImplementation(async teamId => (String(teamId) === String(team._id) ? team : null));
+  jest.spyOn(Link, 'findById').mockImplementation(async linkId => (String(linkId) === String(link._id) ? link : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Expected outcome per team role on an ACTIVE, PRIVATE team, in ROLES order
+// (OWNER, PM, DEV, NON_MEMBER). 200 = allowed, 403 = denied.
+const TEAM_MATRIX = {
+  'team:read': [200, 200, 200, 403],
+  'team:readLinks': [200, 200, 200, 403],
+  'team:update': [200, 403, 403, 403],
+  'team:lifecycle': [200, 403, 403, 403],
+  'team:manageRoles': [200, 403, 403, 403],
+  'team:transferOwnership': [200, 403, 403, 403],
+  'team:member': [200, 200, 200, 403],
+  'team:delete': [200, 403, 403, 403],
+  'team:addMember': [200, 200, 403, 403],
+  'team:removeMember': [200, 200, 403, 403],
+  'team:invite': [200, 200, 200, 403],
+  'team:manageInvitations': [200, 200, 403, 403],
+  'team:manageJoinRequests': [200, 403, 403, 403],
+  'team:audit': [200, 403, 403, 403],
+  'link:create': [200, 200, 200, 403],
+  'link:list': [200, 200, 200, 403],
+  'nudge:send': [200, 200, 200, 403],
+  'user:leaderboard': [200, 200, 200, 403],
+  'user:search': [200, 200, 200, 403],
+  'dashboard:team': [200, 200, 200, 403],
+  'dashboard:analytics': [200, 200, 200, 403]
+};
+
+// Same, for team roles that are not participants of the link
+const LINK_MATRIX = {
+  'link:read': [200, 403, 403, 403],
+  'link:update': [200, 403, 403, 403],
+  'link:run': [403, 403, 403, 403],
+  'link:addOutcome': [403, 403, 403, 403],
+  'link:updateOutcome': [200, 403, 403, 403],
+  'link:deleteOutcome': [200, 403, 403, 403],
+  'link:delete': [200, 200, 403, 403]
+};
+
+// Expected outcome per link role, for a DEV member of the team
+const PARTICIPANT_MATRIX = {
+  'link:read': { INITIATOR: 200, PARTICIPANT: 200 },
+  'link:update': { INITIATOR: 200, PARTICIPANT: 200 },
+  'link:run': { INITIATOR: 200, PARTICIPANT: 200 },
+  'link:addOutcome': { INITIATOR: 200, PARTICIPANT: 200 },
+  'link:updateOutcome': { INITIATOR: 200, PARTICIPANT: 200 },
+  'link:deleteOutcome': { INITIATOR: 200, PARTICIPANT: 403 },
+  'link:delete': { INITIATOR: 200, PARTICIPANT: 403 }
+};
+
+describe('authorize() policy table', () => {
+  test('every scoped policy is covered by a matrix', () => {
+    const scoped = Object.keys(POLICIES).filter(action => POLICIES[action].scope);
+    const covered = [...Object.keys(TEAM_MATRIX), ...Object.keys(LINK_MATRIX)];
+    expect(covered.sort()).toEqual(scoped.sort());
+  });
+
+  describe.each(Object.entries(TEAM_MATRIX))('%s', (action, expected) => {
+    test.each(ROLES.map((role, index) => [role, expected[index]]))('%s -> %i', async (role, code) => {
+      const error = await run(action, { user: users[role], params: { teamId: team._id.toString() } });
+      expect(status(error)).toBe(code);
+    });
+
+    test('unknown team -> 404', async () => {
+      const error = await run(action, { user: users.OWNER, params: { teamId: id().toString() } });
+      expect(status(error)).toBe(404);
+    });
+
+    test('malformed team id -> 404', async () => {
+      const error = await run(action, { user: users.OWNER, params: { teamId: 'not-an-id' } });
+      expect(status(error)).toBe(404);
+    });
+  });
+
+  describe.each(Object.entries(LINK_MATRIX))('%s', (action, expected) => {
+    test.each(ROLES.map((role, index) => [role, expected[index]]))('%s (not a participant) -> %i', async (role, code) => {
+      const error = await run(action, { user: users[role], params: { linkId: link._id.toString() } });
+      expect(status(error)).toBe(code);
+    });
+
+    test.each(Object.entries(PARTICIPANT_MATRIX[action]))('DEV as %s -> %i', async (linkRole, code) => {
+      link.participants = [{ userId: users.DEV._id, role: linkRole }];
+      const error = await run(action, { user: users.DEV, params: { linkId: link._id.toString() } });
+      expect(status(error)).toBe(code);
+    });
+
+    test('unknown link -> 404', async () => {
+      const error = await run(action, { user: users.OWNER, params: { linkId: id().toString() } });
+      expect(status(error)).toBe(404);
+    });
+  });
+
+  test('team id is read from the body and query as well as params', async () => {
+    expect(status(await run('link:create', { user: users.DEV, body: { teamId: team._id.toString() } }))).toBe(200);
+    expect(status(await run('link:create', { user: users.NON_MEMBER, query: { teamId: team._id.toString() } }))).toBe(403);
+  });
+
+  test('unscoped requests are allowed only where the policy says so', async () => {
+    expect(status(await run('link:list', { user: users.NON_MEMBER }))).toBe(200);
+    expect(status(await run('team:read', { user: users.NON_MEMBER }))).toBe(403);
+  });
+
+  test('unscoped analytics are for CXOs only', async () => {
+    expect(status(await run('dashboard:analytics', { user: { _id: id(), department: 'CXO' } }))).toBe(200);
+    expect(status(await run('dashboard:analytics', { user: users.OWNER }))).toBe(403);
+  });
+
+  test('inactive members are treated as non-members', async () => {
+    team.members.find(member => member.role === 'DEV').isActive = false;
+    const error = await run('team:read', { user: users.DEV, params: { teamId: team._id.toString() } });
+    expect(status(error)).toBe(403);
+  });
+
+  test('requests without a user -> 401', async () => {
+    const error = await run('team:read', { user: null, params: { teamId: team._id.toString() } });
+    expect(status(error)).toBe(401);
+  });
+
+  describe('visibility', () => {
+    test('PUBLIC teams are readable by anyone but not writable', async () => {
+      team = buildTeam({ visibility: 'PUBLIC' });
+      const params = { teamId: team._id.toString() };
+      expect(status(await run('team:read', { user: users.NON_MEMBER, params }))).toBe(200);
+      expect(status(await run('team:readLinks', { user: users.NON_MEMBER, params }))).toBe(403);
+      expect(status(await run('team:update', { user: users.NON_MEMBER, params }))).toBe(403);
+    });
+
+    test('CXOs can read RESTRICTED teams and their links but not PRIVATE ones', async () => {
+      const cxo = { _id: id(), department: 'CXO' };
+      team = buildTeam({ visibility: 'RESTRICTED' });
+      link = buildLink(team);
+      expect(status(await run('team:readLinks', { user: cxo, params: { teamId: team._id.toString() } }))).toBe(200);
+      expect(status(await run('link:read', { user: cxo, params: { linkId: link._id.toString() } }))).toBe(200);
+      expect(status(await run('link:update', { user: cxo, params: { linkId: link._id.toString() } }))).toBe(403);
+
+      team = buildTeam({ visibility: 'PRIVATE' });
+      expect(status(await run('team:read', { user: cxo, params: { teamId: team._id.toString() } }))).toBe(403);
+    });
+  });
+
+  describe('team status', () => {
+    test.each([
+      ['ARCHIVED', 'team:update', 409],
+      ['ARCHIVED', 'team:read', 200],
+      ['ARCHIVED', 'team:lifecycle', 200],
+      ['PAUSED', 'team:update', 200],
+      ['PAUSED', 'link:create', 409],
+      ['COMPLETED', 'nudge:send', 409]
+    ])('%s team: %s -> %i', async (teamStatus, action, code) => {
+      team = buildTeam({ status: teamStatus });
+      const error = await run(action, { user: users.OWNER, params: { teamId: team._id.toString() } });
+      expect(status(error)).toBe(code);
+    });
+
+    test('permission is checked before team status', async () => {
+      team = buildTeam({ status: 'ARCHIVED' });
+      const error = await run('team:update', { user: users.DEV, params: { teamId: team._id.toString() } });
+      expect(status(error)).toBe(403);
+    });
+  });
+
+  test('department-only policies', async () => {
+    expect(status(await run('dashboard:cxo', { user: { _id: id(), department: 'CXO' } }))).toBe(200);
+    expect(status(await run('dashboard:cxo', { user: users.OWNER }))).toBe(403);
+  });
+
+  test('unknown policy names throw when the route is defined', () => {
+    expect(() => authorize('team:fly')).toThrow('Unknown permission policy: team:fly');
+  });
+});
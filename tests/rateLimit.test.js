@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+const tokenService = require('../services/tokenService');
+const { RATE_LIMITS, apiRateLimit, authRateLimit } = require('../middleware/rateLimit');
+
+process.env.LOG_LEVEL = 'error';
+
+const defaults = JSON.parse(JSON.stringify(RATE_LIMITS));
+
+// A fresh app (and fresh in-memory counters) per test, mounted like app.js
+function buildApp() {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use('/api', apiRateLimit());
+  app.use(express.json());
+  app.use('/api/auth', authRateLimit(), (req, res) => res.json({ success: true }));
+  app.use('/api', (req, res) => res.json({ success: true }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ code: err.code }));
+  return app;
+}
+
+function from(ip, req) {
+  return req.set('X-Forwarded-For', ip);
+}
+
+async function statuses(count, send) {
+  const codes = [];
+  for (let i = 0; i < count; i += 1) {
+    codes.push((await send(i)).status);
+  }
+  return codes;
+}
+
+beforeEach(() => {
+  RATE_LIMITS.authIp.limit = 3;
+  RATE_LIMITS.auth.limit = 2;
+  RATE_LIMITS.api.limit = 4;
+  RATE_LIMITS.api.anonymousLimit = 2;
+});
+
+afterEach(() => {
+  Object.keys(defaults).forEach(bucket => Object.assign(RATE_LIMITS[bucket], defaults[bucket]));
+  tokenService.resetVerifier();
+});
+
+describe('authIp bucket', () => {
+  test('limits one client across many accounts', async () => {
+    const app = buildApp();
+    const codes = await statuses(4, i =>
+      from('203.0.113.1', request(app).post('/api/auth/login')).send({ email: `user${i}@example.com`, password: 'x' }));
+
+    expect(codes).toEqual([200, 200, 200, 429]);
+  });
+
+  test('counts each client separately', async () => {
+    const app = buildApp();
+    await statuses(3, i => from('203.0.113.1', request(app).post('/api/auth/login')).send({ email: `a${i}@example.com` }));
+
+    const res = await from('203.0.113.2', request(app).post('/api/auth/login')).send({ email: 'other@example.com' });
+    expect(res.status).toBe(200);
+  });
+
+  test('does not count refreshes, so a shared NAT keeps working', async () => {
+    const app = buildApp();
+    const codes = await statuses(6, i =>
+      from('203.0.113.1', request(app).post('/api/auth/refresh')).send({ refreshToken: `token-${i}` }));
+
+    expect(codes).toEqual([200, 200, 200, 200, 200, 200]);
+
+    const login = await from('203.0.113.1', request(app).post('/api/auth/login')).send({ email: 'user@example.com' });
+    expect(login.status).toBe(200);
+  });
+});
+
+describe('auth bucket', () => {
+  test('limits one account across many clients', async () => {
+    const app = buildApp();
+    const codes = await statuses(3, i =>
+      from(`203.0.113.${i + 1}`, request(app).post('/api/auth/login')).send({ email: 'Target@Example.com', password: 'x' }));
+
+    expect(codes).toEqual([200, 200, 429]);
+  });
+
+  test('normalizes the email before counting', async () => {
+    const app = buildApp();
+    await from('203.0.113.1', request(app).post('/api/auth/login')).send({ email: 'target@example.com' });
+    await from('203.0.113.2', request(app).post('/api/auth/login')).send({ email: ' TARGET@example.com ' });
+
+    const res = await from('203.0.113.3', request(app).post('/api/auth/login')).send({ email: 'target@example.com' });
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+  });
+
+  test('still limits replays of a single refresh token', async () => {
+    const app = buildApp();
+    const codes = await statuses(3, () =>
+      from('203.0.113.1', request(app).post('/api/auth/refresh')).send({ refreshToken: 'same-token' }));
+
+    expect(codes).toEqual([200, 200, 429]);
+  });
+});
+
+describe('api bucket', () => {
+  test('anonymous clients get the lower limit, per IP', async () => {
+    const app = buildApp();
+    const codes = await statuses(3, () => from('203.0.113.1', request(app).get('/api/teams')));
+
+    expect(codes).toEqual([200, 200, 429]);
+  });
+
+  test('signed-in users are counted per user, with the higher limit', async () => {
+    tokenService.setVerifier({ verify: token => ({ sub: token, type: 'access' }) });
+    const app = buildApp();
+    const codes = await statuses(5, i =>
+      from(`203.0.113.${i + 1}`, request(app).get('/api/teams')).set('Authorization', 'Bearer user-1'));
+
+    expect(codes).toEqual([200, 200, 200, 200, 429]);
+  });
+
+  test('does not count /api/auth requests', async () => {
+    const app = buildApp();
+    await statuses(2, i => from('203.0.113.1', request(app).post('/api/auth/login')).send({ email: `u${i}@example.com` }));
+
+    const res = await from('203.0.113.1', request(app).get('/api/teams'));
+    expect(res.status).toBe(200);
+  });
+});
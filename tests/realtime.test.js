@@ -0,0 +1,130 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const realtime = require('../services/realtime');
+
+process.env.LOG_LEVEL = 'error';
+
+const id = () => new mongoose.Types.ObjectId();
+
+let io;
+
+beforeEach(() => {
+  io = realtime.initRealtime(http.createServer());
+});
+
+afterEach(() => {
+  realtime.closeRealtime();
+  jest.restoreAllMocks();
+});
+
+// Record io.to(...).except(...).emit(...) calls
+function recordBroadcasts() {
+  const sent = [];
+  jest.spyOn(io, 'to').mockImplementation(to => {
+    const operation = { to: [].concat(to), except: [] };
+    return {
+      except(rooms) {
+        operation.except = [].concat(rooms);
+        return this;
+      },
+      emit(event, payload) {
+        sent.push({ ...operation, event, payload });
+      }
+    };
+  });
+  return sent;
+}
+
+// Connect a fake socket for `user` and return it once handlers are attached
+async function connect(user) {
+  jest.spyOn(Team, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  const socket = new EventEmitter();
+  socket.data = { user };
+  socket.rooms = new Set();
+  socket.join = jest.fn(room => socket.rooms.add(room));
+  socket.leave = jest.fn(room => socket.rooms.delete(room));
+  EventEmitter.prototype.emit.call(io.sockets, 'connection', socket);
+  await new Promise(resolve => setImmediate(resolve));
+  return socket;
+}
+
+function subscribe(socket, linkId) {
+  return new Promise(resolve => socket.listeners('link:subscribe')[0]({ linkId }, resolve));
+}
+
+describe('emitLinkEvent', () => {
+  test('sends the full payload to the link and participant rooms and a summary to the team', () => {
+    const sent = recordBroadcasts();
+    const participant = id();
+    const link = { _id: id(), team: id(), status: 'SCHEDULED', participants: [{ userId: participant, role: 'INITIATOR' }] };
+
+    realtime.emitLinkEvent(link, realtime.EVENTS.LINK_UPDATED, { link });
+
+    const detailRooms = [`link:${link._id}`, `user:${participant}`];
+    expect(sent).toEqual([
+      { to: detailRooms, except: [], event: 'link:updated', payload: { linkId: link._id, teamId: link.team, link } },
+      { to: [`team:${link.team}`], except: detailRooms, event: 'link:updated', payload: { linkId: link._id, status: 'SCHEDULED' } }
+    ]);
+  });
+
+  test('handles populated participants', () => {
+    const sent = recordBroadcasts();
+    const participant = { _id: id(), name: 'Dev' };
+    const link = { _id: id(), team: { _id: id() }, status: 'PENDING', participants: [{ userId: participant }] };
+
+    realtime.emitLinkEvent(link, realtime.EVENTS.LINK_CREATED);
+
+    expect(sent[0].to).toContain(`user:${participant._id}`);
+    expect(sent[1].to).toEqual([`team:${link.team._id}`]);
+  });
+});
+
+describe('link:subscribe', () => {
+  let team;
+  let link;
+  const member = { _id: id(), department: 'DEV' };
+  const owner = { _id: id(), department: 'PM' };
+
+  beforeEach(() => {
+    team = {
+      _id: id(),
+      status: 'ACTIVE',
+      settings: { visibility: 'PRIVATE' },
+      members: [
+        { userId: owner._id, role: 'OWNER', isActive: true },
+        { userId: member._id, role: 'DEV', isActive: true }
+      ]
+    };
+    link = { _id: id(), team: team._id, participants: [] };
+    jest.spyOn(Link, 'findById').mockImplementation(async linkId => (String(linkId) === String(link._id) ? link : null));
+    jest.spyOn(Team, 'findById').mockResolvedValue(team);
+  });
+
+  test('team members who cannot read the link are refused', async () => {
+    const socket = await connect(member);
+
+    await expect(subscribe(socket, link._id.toString())).resolves.toMatchObject({ success: false, code: 'FORBIDDEN' });
+    expect(socket.join).not.toHaveBeenCalledWith(`link:${link._id}`);
+  });
+
+  test('participants and team owners may subscribe', async () => {
+    link.participants = [{ userId: member._id, role: 'PARTICIPANT' }];
+
+    const participantSocket = await connect(member);
+    await expect(subscribe(participantSocket, link._id.toString())).resolves.toEqual({ success: true });
+    expect(participantSocket.rooms.has(`link:${link._id}`)).toBe(true);
+
+    const ownerSocket = await connect(owner);
+    await expect(subscribe(ownerSocket, link._id.toString())).resolves.toEqual({ success: true });
+  });
+
+  test('unknown and malformed link ids are not found', async () => {
+    const socket = await connect(owner);
+
+    await expect(subscribe(socket, id().toString())).resolves.toMatchObject({ success: false, code: 'NOT_FOUND' });
+    await expect(subscribe(socket, 'nope')).resolves.toMatchObject({ success: false, code: 'NOT_FOUND' });
+  });
+});
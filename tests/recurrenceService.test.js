@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const recurrence = require('../services/recurrenceService');
+const { buildEvent } = require('../services/icalendar');
+const { toWallClock, fromWallClock } = require('../services/timezone');
+
+// Monday 2 March 2026, 09:00 in New York (EST, UTC-5). US DST starts on
+// Sunday 8 March, after which 09:00 local is 13:00Z.
+const MONDAY_9AM_NEW_YORK = new Date('2026-03-02T14:00:00Z');
+
+function iso(dates) {
+  return dates.map(date => date.toISOString());
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseRule', () => {
+  test('accepts daily and slower rules', () => {
+    expect(recurrence.parseRule('rrule:freq=weekly;byday=mo', MONDAY_9AM_NEW_YORK)).toMatchObject({
+      text: 'FREQ=WEEKLY;BYDAY=MO',
+      timezone: null
+    });
+    expect(recurrence.parseRule('FREQ=DAILY;COUNT=5', MONDAY_9AM_NEW_YORK).text).toBe('FREQ=DAILY;COUNT=5');
+  });
+
+  test.each([
+    'FREQ=HOURLY',
+    'FREQ=MINUTELY',
+    'FREQ=DAILY;BYHOUR=9,17',
+    'FREQ=WEEKLY;BYMINUTE=0,30',
+    'FREQ=DAILY;BYSECOND=1,2,3'
+  ])('rejects %s, which repeats more than once a day', rule => {
+    expect(() => recurrence.parseRule(rule, MONDAY_9AM_NEW_YORK)).toThrow('links can repeat at most daily');
+  });
+
+  test('rejects malformed rules and rule sets', () => {
+    expect(() => recurrence.parseRule('FREQ=SOMETIMES', MONDAY_9AM_NEW_YORK)).toThrow('Invalid recurrence rule');
+    expect(() => recurrence.parseRule('FREQ=WEEKLY;TZID=Europe/Berlin', MONDAY_9AM_NEW_YORK)).toThrow('recurrence.timezone');
+  });
+
+  test('rejects unknown time zones', () => {
+    expect(() => recurrence.parseRule('FREQ=WEEKLY', MONDAY_9AM_NEW_YORK, 'Mars/Olympus_Mons')).toThrow('unknown time zone');
+  });
+});
+
+describe('occurrencesBetween', () => {
+  const from = new Date('2026-03-01T00:00:00Z');
+  const until = new Date('2026-03-20T00:00:00Z');
+
+  test('without a time zone occurrences keep their UTC time', () => {
+    const parsed = recurrence.parseRule('FREQ=WEEKLY', MONDAY_9AM_NEW_YORK);
+    expect(iso(recurrence.occurrencesBetween(parsed, from, until))).toEqual([
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-09T14:00:00.000Z',
+      '2026-03-16T14:00:00.000Z'
+    ]);
+  });
+
+  test('with a time zone occurrences keep their local time across DST', () => {
+    const parsed = recurrence.parseRule('FREQ=WEEKLY', MONDAY_9AM_NEW_YORK, 'America/New_York');
+    expect(iso(recurrence.occurrencesBetween(parsed, from, until))).toEqual([
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-09T13:00:00.000Z',
+      '2026-03-16T13:00:00.000Z'
+    ]);
+  });
+
+  test('BYDAY is evaluated on the local date', () => {
+    // 20:00 on a Monday in Los Angeles is already Tuesday in UTC
+    const mondayEvening = new Date('2026-03-03T04:00:00Z');
+    const parsed = recurrence.parseRule('FREQ=WEEKLY;BYDAY=MO', mondayEvening, 'America/Los_Angeles');
+    const [first] = recurrence.occurrencesBetween(parsed, from, until);
+    expect(first.toISOString()).toBe('2026-03-03T04:00:00.000Z');
+  });
+});
+
+describe('wall clock conversion', () => {
+  test('round-trips ordinary times', () => {
+    const wall = toWallClock(MONDAY_9AM_NEW_YORK, 'America/New_York');
+    expect(wall.toISOString()).toBe('2026-03-02T09:00:00.000Z');
+    expect(fromWallClock(wall, 'America/New_York')).toEqual(MONDAY_9AM_NEW_YORK);
+  });
+
+  test('local times skipped by DST move forward an hour', () => {
+    expect(fromWallClock(new Date('2026-03-08T02:30:00Z'), 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+  });
+});
+
+describe('materializeSeries', () => {
+  function buildMaster(fields = {}) {
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      team: new mongoose.Types.ObjectId(),
+      title: 'Weekly sync',
+      status: 'SCHEDULED',
+      scheduledAt: MONDAY_9AM_NEW_YORK,
+      participants: [],
+      metadata: {},
+      recurrence: { rule: 'FREQ=WEEKLY', timezone: 'America/New_York', exdates: [], materializedUntil: null },
+      save: jest.fn().mockResolvedValue(),
+      ...fields
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Link, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(Link.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  test('creates occurrences in the series time zone, skipping exdates', async () => {
+    const master = buildMaster();
+    master.recurrence.exdates = [new Date('2026-03-09T13:00:00Z')];
+
+    const created = await recurrence.materializeSeries(master, {
+      now: new Date('2026-03-01T00:00:00Z'),
+      until: new Date('2026-03-20T00:00:00Z')
+    });
+
+    expect(iso(created.map(link => link.scheduledAt))).toEqual(['2026-03-02T14:00:00.000Z', '2026-03-16T13:00:00.000Z']);
+    expect(created[0].recurrence.parentLinkId).toEqual(master._id);
+    expect(master.recurrence.materializedUntil).toEqual(new Date('2026-03-20T00:00:00Z'));
+  });
+
+  test('does nothing for cancelled series', async () => {
+    await expect(recurrence.materializeSeries(buildMaster({ status: 'CANCELLED' }))).resolves.toEqual([]);
+    expect(Link.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('iCalendar export', () => {
+  test('series masters with a time zone are exported with TZID', () => {
+    const lines = buildEvent({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Weekly sync',
+      status: 'SCHEDULED',
+      scheduledAt: MONDAY_9AM_NEW_YORK,
+      duration: 30,
+      participants: [],
+      recurrence: { rule: 'FREQ=WEEKLY', timezone: 'America/New_York', exdates: [new Date('2026-03-09T13:00:00Z')] }
+    });
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTART;TZID=America/New_York:20260302T090000',
+      'DTEND;TZID=America/New_York:20260302T093000',
+      'RRULE:FREQ=WEEKLY',
+      'EXDATE;TZID=America/New_York:20260309T090000'
+    ]));
+  });
+});
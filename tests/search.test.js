@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Team = require('../models/Team');
+const Link = require('../models/Link');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+let app;
+let readableTeam;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  readableTeam = new mongoose.Types.ObjectId();
+  jest.spyOn(Team, 'distinct').mockResolvedValue([readableTeam]);
+});
+
+afterEach(resetAuth);
+
+function search(user, query) {
+  return request(app)
+    .get('/api/search')
+    .query(query)
+    .set('Authorization', signInAs(user));
+}
+
+function searchDoc(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'API rate limits',
+    purpose: 'Decide how we throttle the public API',
+    notes: '',
+    tags: ['api'],
+    status: 'COMPLETED',
+    outcomes: [],
+    team: { _id: readableTeam, name: 'Platform' },
+    score: 1.5,
+    createdAt: new Date('2026-10-01T12:00:00Z'),
+    ...fields
+  };
+}
+
+describe('GET /api/search', () => {
+  test('only searches links the caller participates in or whose team they can read', async () => {
+    const user = buildUser();
+    const aggregate = jest.spyOn(Link, 'aggregate').mockResolvedValue([]);
+
+    const res = await search(user, { q: 'rate limits' });
+
+    expect(res.status).toBe(200);
+    const [{ $match: match }] = aggregate.mock.calls[0][0];
+    expect(match.$text).toEqual({ $search: 'rate limits' });
+    expect(match.$or).toEqual([
+      { 'participants.userId': user._id },
+      { team: { $in: [readableTeam] } }
+    ]);
+    expect(Team.distinct).toHaveBeenCalledWith('_id', {
+      $or: [{ members: { $elemMatch: { userId: user._id, isActive: true } } }]
+    });
+  });
+
+  test('CXOs can also read public and restricted teams', async () => {
+    const user = buildUser({ department: 'CXO' });
+    jest.spyOn(Link, 'aggregate').mockResolvedValue([]);
+
+    await search(user, { q: 'rate limits' });
+
+    expect(Team.distinct.mock.calls[0][1].$or).toContainEqual({ 'settings.visibility': { $in: ['PUBLIC', 'RESTRICTED'] } });
+  });
+
+  test('returns ranked results with escaped, highlighted snippets', async () => {
+    const outcome = { _id: new mongoose.Types.ObjectId(), type: 'DECISION', description: 'Limit <b>clients</b> to 100 requests a minute' };
+    jest.spyOn(Link, 'aggregate').mockResolvedValue([searchDoc({ outcomes: [outcome] })]);
+
+    const res = await search(buildUser(), { q: 'limiting -burst "public API"' });
+
+    expect(res.status).toBe(200);
+    const [result] = res.body.data;
+    expect(result).toMatchObject({ title: 'API rate limits', score: 1.5, team: { name: 'Platform' } });
+    expect(result.notes).toBeUndefined();
+    expect(result.highlights).toEqual([
+      { field: 'title', snippet: 'API rate <mark>limits</mark>' },
+      { field: 'purpose', snippet: 'Decide how we throttle the <mark>public API</mark>' },
+      {
+        field: 'outcomes.description',
+        outcomeId: outcome._id.toString(),
+        type: 'DECISION',
+        snippet: '<mark>Limit</mark> &lt;b&gt;clients&lt;/b&gt; to 100 requests a minute'
+      }
+    ]);
+  });
+
+  test('long fields are trimmed to the context around the first match', async () => {
+    const notes = `${'a'.repeat(200)} throttling ${'b'.repeat(200)}`;
+    jest.spyOn(Link, 'aggregate').mockResolvedValue([searchDoc({ title: 'Sync', purpose: 'Weekly', notes })]);
+
+    const res = await search(buildUser(), { q: 'throttling' });
+
+    const [{ field, snippet }] = res.body.data[0].highlights;
+    expect(field).toBe('notes');
+    expect(snippet).toMatch(/^….*<mark>throttling<\/mark>.*…$/);
+    expect(snippet.length).toBeLessThan(notes.length);
+  });
+
+  test('sorts by relevance by default and accepts list filters', async () => {
+    const aggregate = jest.spyOn(Link, 'aggregate').mockResolvedValue([]);
+    const teamId = new mongoose.Types.ObjectId().toString();
+
+    const res = await search(buildUser(), { q: 'rate limits', teamId, status: 'COMPLETED' });
+
+    expect(res.status).toBe(200);
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[0].$match).toMatchObject({ team: new mongoose.Types.ObjectId(teamId), status: 'COMPLETED' });
+    expect(pipeline).toContainEqual({ $sort: { score: -1, _id: -1 } });
+  });
+
+  test('rejects missing or one-character queries', async () => {
+    const aggregate = jest.spyOn(Link, 'aggregate');
+
+    const missing = await search(buildUser(), {});
+    const short = await search(buildUser(), { q: 'a' });
+
+    expect(missing.status).toBe(400);
+    expect(short.status).toBe(400);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
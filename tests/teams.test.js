@@ -0,0 +1,100 @@
+const request = require('supertest');
+const Team = require('../models/Team');
+const AuditEvent = require('../models/AuditEvent');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+let app;
+let owner;
+let team;
+let authorization;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  owner = buildUser({ department: 'PM' });
+  team = new Team({
+    name: 'Checkout',
+    productName: 'Shop',
+    owner: owner._id,
+    members: [{ userId: owner._id, role: 'OWNER', isActive: true }],
+    settings: { visibility: 'PRIVATE', allowMemberInvites: false, requireApproval: true }
+  });
+  authorization = signInAs(owner);
+  jest.spyOn(Team, 'findById').mockImplementation(async id => (String(id) === String(team._id) ? team : null));
+  jest.spyOn(Team.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Team.prototype, 'populate').mockImplementation(async function() { return this; });
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(resetAuth);
+
+function update(body) {
+  return request(app).put(`/api/teams/${team._id}`).set('Authorization', authorization).send(body);
+}
+
+function auditActions() {
+  return AuditEvent.create.mock.calls.map(([event]) => event.action);
+}
+
+describe('PUT /api/teams/:teamId', () => {
+  test('merges settings key by key', async () => {
+    const res = await update({ settings: { visibility: 'PUBLIC' } });
+
+    expect(res.status).toBe(200);
+    expect(team.settings.toObject()).toEqual({ visibility: 'PUBLIC', allowMemberInvites: false, requireApproval: true });
+  });
+
+  test.each([
+    [{ settings: { visibility: 'EVERYONE' } }],
+    [{ settings: { owner: 'someone-else' } }],
+    [{ status: 'DELETED' }],
+    [{ name: 'x' }],
+    [{ members: [] }]
+  ])('rejects %j', async body => {
+    const res = await update(body);
+
+    expect(res.status).toBe(400);
+    expect(Team.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('status changes go through the lifecycle', async () => {
+    const res = await update({ name: 'Checkout v2', status: 'PAUSED', reason: 'Waiting on legal' });
+
+    expect(res.status).toBe(200);
+    expect(team.status).toBe('PAUSED');
+    expect(team.statusHistory[team.statusHistory.length - 1]).toMatchObject({ from: 'ACTIVE', to: 'PAUSED', reason: 'Waiting on legal' });
+    expect(auditActions()).toEqual(['team.status', 'team.update']);
+    expect(AuditEvent.create.mock.calls[0][0].changes).toEqual([{ field: 'status', before: 'ACTIVE', after: 'PAUSED' }]);
+  });
+
+  test('archiving through PUT sets the retention window like POST /archive', async () => {
+    const res = await update({ status: 'ARCHIVED' });
+
+    expect(res.status).toBe(200);
+    expect(team.archive.previousStatus).toBe('ACTIVE');
+    expect(team.archive.purgeAfter).toBeInstanceOf(Date);
+  });
+
+  test('transitions the lifecycle does not allow are a 400', async () => {
+    team.status = 'COMPLETED';
+
+    const res = await update({ status: 'PAUSED' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TRANSITION');
+    expect(team.status).toBe('COMPLETED');
+  });
+});
+
+describe('POST /api/teams/:teamId/pause', () => {
+  test('records the status change', async () => {
+    const res = await request(app).post(`/api/teams/${team._id}/pause`).set('Authorization', authorization).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('PAUSED');
+    expect(auditActions()).toEqual(['team.status']);
+  });
+});
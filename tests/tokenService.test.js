@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const tokenService = require('../services/tokenService');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'dev@example.com' };
+
+afterEach(() => {
+  tokenService.resetVerifier();
+  jest.restoreAllMocks();
+});
+
+describe('access tokens', () => {
+  const previousSecret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = previousSecret;
+    }
+  });
+
+  test('the default verifier round-trips tokens signed with JWT_SECRET', async () => {
+    const token = tokenService.issueAccessToken(user);
+    const payload = await tokenService.verifyAccessToken(token);
+    expect(payload).toMatchObject({ sub: user._id.toString(), email: user.email, type: 'access' });
+  });
+
+  test('tokens signed with another secret are rejected', async () => {
+    const token = tokenService.issueAccessToken(user);
+    process.env.JWT_SECRET = 'rotated-secret';
+    try {
+      await expect(tokenService.verifyAccessToken(token)).rejects.toThrow();
+    } finally {
+      process.env.JWT_SECRET = 'test-secret';
+    }
+  });
+
+  test('a custom verifier can issue and verify tokens', async () => {
+    tokenService.setVerifier({
+      sign: payload => `test:${payload.sub}`,
+      verify: token => ({ sub: token.slice('test:'.length), type: 'access' })
+    });
+
+    const token = tokenService.issueAccessToken(user);
+    expect(token).toBe(`test:${user._id}`);
+    await expect(tokenService.verifyAccessToken(token)).resolves.toMatchObject({ sub: user._id.toString() });
+  });
+
+  test('payloads that are not access tokens are rejected', async () => {
+    tokenService.setVerifier({ verify: () => ({ sub: 'someone', type: 'refresh' }) });
+    await expect(tokenService.verifyAccessToken('anything')).rejects.toThrow('Invalid access token');
+  });
+
+  test('a verifier without verify() is refused', () => {
+    expect(() => tokenService.setVerifier({ sign: () => 'x' })).toThrow('A verifier must implement verify(token)');
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  function mockClaim(record) {
+    return jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue({
+      populate: jest.fn().mockResolvedValue(record)
+    });
+  }
+
+  function mockLookup(record) {
+    return jest.spyOn(RefreshToken, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue(record)
+    });
+  }
+
+  beforeEach(() => {
+    tokenService.setVerifier({ sign: payload => `access:${payload.sub}`, verify: () => null });
+  });
+
+  test('claims the token atomically and issues a new pair in the same family', async () => {
+    const claimed = { _id: new mongoose.Types.ObjectId(), family: 'family-1', user };
+    const claim = mockClaim(claimed);
+    const create = jest.spyOn(RefreshToken, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    const link = jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+
+    const result = await tokenService.rotateRefreshToken('old-token');
+
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter).toMatchObject({ revokedAt: null, expiresAt: { $gt: expect.any(Date) } });
+    expect(update.$set).toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'ROTATED' });
+    expect(create.mock.calls[0][0]).toMatchObject({ user: user._id, family: 'family-1' });
+    expect(link).toHaveBeenCalledWith({ _id: claimed._id }, { $set: { replacedBy: expect.any(mongoose.Types.ObjectId) } });
+    expect(result.tokens.accessToken).toBe(`access:${user._id}`);
+    expect(result.tokens.refreshToken).toEqual(expect.any(String));
+  });
+
+  test('a token that was already rotated revokes its family', async () => {
+    mockClaim(null);
+    mockLookup({ family: 'family-1', revokedAt: new Date() });
+    const revokeFamily = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+    const create = jest.spyOn(RefreshToken, 'create');
+
+    await expect(tokenService.rotateRefreshToken('old-token')).resolves.toBeNull();
+    expect(revokeFamily).toHaveBeenCalledWith('family-1', 'REUSE_DETECTED');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('of two concurrent rotations only one gets a new pair', async () => {
+    const claimed = { _id: new mongoose.Types.ObjectId(), family: 'family-1', user };
+    jest.spyOn(RefreshToken, 'findOneAndUpdate')
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(claimed) })
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(null) });
+    mockLookup({ family: 'family-1', revokedAt: new Date() });
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+    const revokeFamily = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+
+    const results = await Promise.all([
+      tokenService.rotateRefreshToken('same-token'),
+      tokenService.rotateRefreshToken('same-token')
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(revokeFamily).toHaveBeenCalledWith('family-1', 'REUSE_DETECTED');
+  });
+
+  test('unknown and expired tokens are refused without revoking anything', async () => {
+    mockClaim(null);
+    const lookup = mockLookup(null);
+    const revokeFamily = jest.spyOn(RefreshToken, 'revokeFamily');
+
+    await expect(tokenService.rotateRefreshToken('unknown')).resolves.toBeNull();
+
+    lookup.mockReturnValue({ select: jest.fn().mockResolvedValue({ family: 'family-1', revokedAt: null }) });
+    await expect(tokenService.rotateRefreshToken('expired')).resolves.toBeNull();
+    expect(revokeFamily).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { createApp } = require('../app');
+const { buildUser, signInAs, resetAuth } = require('./helpers');
+
+let app;
+
+beforeAll(() => {
+  app = createApp();
+});
+
+beforeEach(() => {
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(resetAuth);
+
+describe('PUT /api/users/onboarded', () => {
+  test('marks the signed-in user as onboarded', async () => {
+    const user = buildUser({ onboarded: false });
+    const authorization = signInAs(user);
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async () => {
+      user.onboarded = true;
+      return user;
+    });
+
+    const res = await request(app).put('/api/users/onboarded').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ _id: user._id.toString(), onboarded: true });
+    expect(update).toHaveBeenCalledWith(user._id, { onboarded: true }, { new: true });
+    expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.onboarded',
+      changes: [{ field: 'onboarded', before: false, after: true }]
+    }));
+  });
+});
+
+describe('GET /api/users/me', () => {
+  test('returns the signed-in user without another lookup', async () => {
+    const user = buildUser({ onboarded: true });
+    const authorization = signInAs(user);
+
+    const res = await request(app).get('/api/users/me').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ _id: user._id.toString(), email: user.email, onboarded: true, name: user.name });
+    expect(User.findById).toHaveBeenCalledTimes(1);
+  });
+});